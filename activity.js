@@ -0,0 +1,115 @@
+// Live progress of the stages of one run, and its pause switch, shared by extract_zoomify.js,
+// run_dezoomify.js and the dashboard. Every run has one of its own, so two runs in one process (ie.
+// library calls) do not see each other's figures; pipeline.js sync gives all of its stages the same one.
+function createActivity() {
+    const stages = {};
+    let paused = false;
+
+    const activity = {
+        // Start tracking a stage run of total URLs, replacing the figures of an earlier run of that stage
+        beginStage(stage, total) {
+            stages[stage] = {
+                total,
+                succeeded: 0,
+                failed: 0,
+                startedAt: Date.now(),
+                finishedAt: null,
+                inFlight: new Map(),
+                pool: null
+            };
+        },
+
+        // Attach the worker pool of a running stage, so its concurrency can be changed from the dashboard
+        setPool(stage, pool) {
+            if (stages[stage]) {
+                stages[stage].pool = pool;
+            }
+        },
+
+        // Change the number of workers of a running stage; returns false when the stage is not running
+        setConcurrency(stage, concurrency) {
+            const state = stages[stage];
+            if (!state || state.finishedAt || !state.pool) {
+                return false;
+            }
+            state.pool.setConcurrency(concurrency);
+            return true;
+        },
+
+        // Mark a stage run as finished, keeping its figures for the dashboard
+        endStage(stage) {
+            if (stages[stage]) {
+                stages[stage].finishedAt = Date.now();
+                stages[stage].inFlight.clear();
+                stages[stage].pool = null;
+            }
+        },
+
+        workStarted(stage, url) {
+            if (stages[stage]) {
+                stages[stage].inFlight.set(url, Date.now());
+            }
+        },
+
+        // ok is null for work that was given up (cancelled or interrupted), which counts neither way
+        workFinished(stage, url, ok) {
+            if (stages[stage]) {
+                stages[stage].inFlight.delete(url);
+                if (ok !== null) {
+                    stages[stage][ok ? 'succeeded' : 'failed']++;
+                }
+            }
+        },
+
+        // Pausing only stops new work from starting; work already running finishes
+        pause() {
+            paused = true;
+        },
+
+        resume() {
+            paused = false;
+        },
+
+        isPaused() {
+            return paused;
+        },
+
+        // Wait until the run is resumed, or until shouldStop() says to give up (ie. after Ctrl-C)
+        async waitWhilePaused(shouldStop = () => false) {
+            while (paused && !shouldStop()) {
+                await new Promise(resolve => setTimeout(resolve, 1000));
+            }
+        },
+
+        // Figures for every tracked stage, with the rate (URLs/minute) and ETA (seconds) of the ones still running
+        snapshot() {
+            const now = Date.now();
+            const result = {};
+            for (const [stage, state] of Object.entries(stages)) {
+                const done = state.succeeded + state.failed;
+                const elapsedMinutes = ((state.finishedAt || now) - state.startedAt) / 60000;
+                const rate = elapsedMinutes > 0 ? done / elapsedMinutes : 0;
+                result[stage] = {
+                    total: state.total,
+                    done,
+                    succeeded: state.succeeded,
+                    failed: state.failed,
+                    running: !state.finishedAt,
+                    startedAt: new Date(state.startedAt).toISOString(),
+                    finishedAt: state.finishedAt ? new Date(state.finishedAt).toISOString() : null,
+                    rate: Number(rate.toFixed(2)),
+                    etaSeconds: !state.finishedAt && rate > 0 ? Math.round((state.total - done) / rate * 60) : null,
+                    concurrency: state.pool ? state.pool.stats().concurrency : null,
+                    workers: [...state.inFlight].map(([url, since]) => ({ url, seconds: Math.round((now - since) / 1000) }))
+                };
+            }
+            return { paused, stages: result };
+        }
+    };
+
+    return activity;
+}
+
+module.exports = {
+    createActivity
+};
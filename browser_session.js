@@ -0,0 +1,167 @@
+const fs = require('fs');
+const path = require('path');
+
+// Resource types a product page does not need for its Zoomify script to be read
+const BLOCKED_RESOURCE_TYPES = ['image', 'media', 'font', 'stylesheet'];
+
+// Third-party analytics, advertising and tracking hosts that are never loaded
+const BLOCKED_HOSTS = /(^|\.)(google-analytics\.com|googletagmanager\.com|doubleclick\.net|googlesyndication\.com|facebook\.(com|net)|hotjar\.com|bing\.com|clarity\.ms)$/i;
+
+// Helper function to decide whether a request made by a page is skipped
+function shouldBlock(request) {
+    if (BLOCKED_RESOURCE_TYPES.includes(request.resourceType())) {
+        return true;
+    }
+    try {
+        return BLOCKED_HOSTS.test(new URL(request.url()).hostname);
+    } catch (err) {
+        return false;
+    }
+}
+
+// Save a screenshot and the HTML of a page that failed, for debugging. Never throws: a crashed
+// page may not be able to give either, and whatever could be saved is returned.
+async function saveSnapshot(page, snapshotDir, url) {
+    const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+    const slug = url.replace(/^https?:\/\//, '').replace(/[^\w.-]+/g, '_').slice(-80);
+    const base = path.join(snapshotDir, `${stamp}-${slug}`);
+    const saved = [];
+    try {
+        fs.mkdirSync(snapshotDir, { recursive: true });
+        await page.screenshot({ path: `${base}.png`, fullPage: true, timeout: 10000 });
+        saved.push(`${base}.png`);
+    } catch (err) {
+        // Nothing to capture
+    }
+    try {
+        fs.writeFileSync(`${base}.html`, await page.content(), 'utf-8');
+        saved.push(`${base}.html`);
+    } catch (err) {
+        // Nothing to capture
+    }
+    if (saved.length > 0) {
+        console.log(`[SNAPSHOT] Saved ${saved.map(file => path.basename(file)).join(', ')}`);
+    }
+    return saved;
+}
+
+// One Chromium shared by the workers of a stage, with a context (and page) of its own per worker slot.
+// The browser is launched when a page is first needed and relaunched after it crashes or disconnects;
+// a slot's context is replaced after a page crash or after recycleAfter pages (0 to keep it for the run).
+// blockResources skips images, media, fonts, stylesheets and tracking hosts; userAgent ('' for
+// Playwright's own) is set on every context.
+function createBrowserSession({ userAgent = '', blockResources = true, recycleAfter = 0 } = {}) {
+    let browserPromise = null;
+    let closing = false;
+    let restarts = 0;
+    const slots = new Map();
+
+    // Helper function to start Chromium; the session forgets it as soon as it goes away
+    function launchBrowser() {
+        const { chromium } = require('playwright');
+        const launched = chromium.launch({ headless: true });
+        browserPromise = launched;
+        launched.then(browser => {
+            browser.on('disconnected', () => {
+                if (browserPromise !== launched) {
+                    return;
+                }
+                browserPromise = null;
+                slots.clear();
+                if (!closing) {
+                    restarts++;
+                    console.log('[BROWSER] Chromium disconnected, a new browser is started for the next page');
+                }
+            });
+        }, () => {
+            // A failed launch is tried again for the next page
+            if (browserPromise === launched) {
+                browserPromise = null;
+            }
+        });
+        return launched;
+    }
+
+    // Helper function to open a context with the session's user agent and request filter
+    async function newContext() {
+        const browser = await (browserPromise || launchBrowser());
+        const context = await browser.newContext(userAgent ? { userAgent } : {});
+        if (blockResources) {
+            await context.route('**/*', route => (shouldBlock(route.request()) ? route.abort() : route.continue()));
+        }
+        return context;
+    }
+
+    const session = {
+        // The page of a worker slot, opened in a fresh context when the slot has none
+        page(slot) {
+            let entry = slots.get(slot);
+            if (!entry) {
+                const context = newContext();
+                const page = context.then(c => c.newPage());
+                entry = { context, page, pages: 0 };
+                slots.set(slot, entry);
+                page.then(p => {
+                    p.on('crash', () => {
+                        console.log(`[BROWSER] Page of worker ${slot} crashed, it gets a new context`);
+                        session.discard(slot);
+                    });
+                }, () => {
+                    // Opening failed (ie. the browser died meanwhile); the next call tries again
+                    if (slots.get(slot) === entry) {
+                        slots.delete(slot);
+                    }
+                });
+            }
+            return entry.page;
+        },
+
+        // Count a URL loaded by the slot's page, replacing its context once it has loaded recycleAfter
+        async pageDone(slot) {
+            const entry = slots.get(slot);
+            if (!entry) {
+                return;
+            }
+            entry.pages++;
+            if (recycleAfter > 0 && entry.pages >= recycleAfter) {
+                await session.discard(slot);
+            }
+        },
+
+        // Close the slot's context; its next page starts in a new one
+        async discard(slot) {
+            const entry = slots.get(slot);
+            if (!entry) {
+                return;
+            }
+            slots.delete(slot);
+            const context = await entry.context.catch(() => null);
+            if (context) {
+                await context.close().catch(() => {});
+            }
+        },
+
+        stats() {
+            return { running: browserPromise !== null, contexts: slots.size, restarts };
+        },
+
+        async close() {
+            closing = true;
+            slots.clear();
+            if (browserPromise) {
+                const browser = await browserPromise.catch(() => null);
+                browserPromise = null;
+                if (browser) {
+                    await browser.close();
+                }
+            }
+        }
+    };
+
+    return session;
+}
+
+module.exports = {
+    createBrowserSession,
+    saveSnapshot
+};
@@ -0,0 +1,180 @@
+const fs = require('fs');
+const path = require('path');
+const cheerio = require('cheerio');
+
+// Catalog columns, in CSV order
+const CATALOG_FIELDS = [
+    'key',
+    'title',
+    'cartographer',
+    'date',
+    'region',
+    'dimensions',
+    'condition',
+    'sku',
+    'width',
+    'height',
+    'numTiles',
+    'zoomlinkId',
+    'productUrl',
+    'imagePropertiesUrl',
+    'outputPath'
+];
+
+// Product page labels (lower case, without the colon) for each metadata field
+const FIELD_LABELS = {
+    cartographer: ['cartographer', 'cartographers', 'author', 'mapmaker', 'publisher'],
+    date: ['date', 'year', 'published'],
+    region: ['region', 'place', 'location', 'area'],
+    dimensions: ['dimensions', 'size', 'measurements'],
+    condition: ['condition', 'condition notes'],
+    sku: ['sku', 'code', 'item code', 'product code', 'stock number']
+};
+
+// Helper function to collapse whitespace in scraped text
+function clean(text) {
+    return (text || '').replace(/\s+/g, ' ').trim();
+}
+
+// Helper function to read `Label: value` pairs from definition lists, tables and bold labels
+function readLabelledValues($) {
+    const values = {};
+    const add = (label, value) => {
+        const key = clean(label).replace(/:$/, '').toLowerCase();
+        const text = clean(value);
+        if (key && text && !(key in values)) {
+            values[key] = text;
+        }
+    };
+
+    $('dt').each((i, el) => add($(el).text(), $(el).next('dd').text()));
+    $('tr').each((i, el) => {
+        const cells = $(el).children('th, td');
+        if (cells.length === 2) {
+            add($(cells[0]).text(), $(cells[1]).text());
+        }
+    });
+    $('b, strong').each((i, el) => {
+        const label = clean($(el).text());
+        if (!label.endsWith(':')) {
+            return;
+        }
+        // The value is the text that follows the label up to the next line break or label
+        let value = '';
+        let node = el.next;
+        while (node && !(node.type === 'tag' && ['br', 'b', 'strong', 'p', 'div'].includes(node.name))) {
+            value += node.type === 'text' ? node.data : $(node).text();
+            node = node.next;
+        }
+        add(label, value);
+    });
+
+    return values;
+}
+
+// Helper function to read the first schema.org Product from JSON-LD blocks
+function readJsonLdProduct($) {
+    let product = null;
+    $('script[type="application/ld+json"]').each((i, el) => {
+        if (product) {
+            return;
+        }
+        try {
+            const data = JSON.parse($(el).contents().text());
+            const items = [].concat(data['@graph'] || data);
+            product = items.find(item => item && item['@type'] === 'Product') || null;
+        } catch (err) {
+            // Ignore malformed blocks; the other sources still apply
+        }
+    });
+    return product;
+}
+
+// Scrape the descriptive metadata of a map from its product page HTML.
+// Fields that cannot be found are left null.
+function scrapeMapMetadata(html) {
+    const $ = cheerio.load(html);
+    const labelled = readLabelledValues($);
+    const product = readJsonLdProduct($) || {};
+
+    const metadata = {
+        title: clean(product.name)
+            || clean($('meta[property="og:title"]').attr('content'))
+            || clean($('h1').first().text())
+            || clean($('title').text())
+            || null
+    };
+
+    for (const [field, labels] of Object.entries(FIELD_LABELS)) {
+        const label = labels.find(candidate => labelled[candidate]);
+        metadata[field] = label ? labelled[label] : null;
+    }
+
+    if (!metadata.sku) {
+        metadata.sku = clean(product.sku) || clean($('[itemprop="sku"]').first().text()) || null;
+    }
+    if (!metadata.cartographer && product.brand) {
+        metadata.cartographer = clean(product.brand.name || product.brand) || null;
+    }
+
+    return metadata;
+}
+
+// Helper function to quote a CSV value when needed
+function csvValue(value) {
+    if (value === null || value === undefined) {
+        return '';
+    }
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Turn a job store row into a catalog entry keyed by its output filename
+function catalogEntry(row, keyFor) {
+    const metadata = row.metadata ? JSON.parse(row.metadata) : {};
+    const entry = { key: keyFor(row.image_properties_url) };
+    ['title', ...Object.keys(FIELD_LABELS)].forEach(field => {
+        entry[field] = metadata[field] || null;
+    });
+    return {
+        ...entry,
+        width: row.width,
+        height: row.height,
+        numTiles: row.num_tiles,
+        zoomlinkId: row.zoomlink_id,
+        productUrl: row.product_url,
+        imagePropertiesUrl: row.image_properties_url,
+        outputPath: row.output_path
+    };
+}
+
+// Regenerate catalog.jsonl and catalog.csv from every extracted map in the job store
+function writeCatalog(store, { catalogDir, keyFor }) {
+    const entries = store.db
+        .prepare(`SELECT * FROM maps WHERE extract_status = 'success' AND image_properties_url IS NOT NULL ORDER BY id`)
+        .all()
+        .map(row => catalogEntry(row, keyFor));
+
+    fs.mkdirSync(catalogDir, { recursive: true });
+    const jsonlPath = path.join(catalogDir, 'catalog.jsonl');
+    const csvPath = path.join(catalogDir, 'catalog.csv');
+
+    const jsonl = entries
+        .map(entry => JSON.stringify(Object.fromEntries(CATALOG_FIELDS.map(field => [field, entry[field]]))))
+        .join('\n');
+    fs.writeFileSync(jsonlPath, jsonl ? jsonl + '\n' : '', 'utf-8');
+
+    const csv = [CATALOG_FIELDS.join(',')]
+        .concat(entries.map(entry => CATALOG_FIELDS.map(field => csvValue(entry[field])).join(',')))
+        .join('\n');
+    fs.writeFileSync(csvPath, csv + '\n', 'utf-8');
+
+    return { count: entries.length, jsonlPath, csvPath };
+}
+
+module.exports = {
+    CATALOG_FIELDS,
+    scrapeMapMetadata,
+    catalogEntry,
+    writeCatalog
+};
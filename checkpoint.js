@@ -0,0 +1,158 @@
+const fs = require('fs');
+const path = require('path');
+
+// Helper function to write JSON without leaving a half-written file behind if the process dies
+function writeJsonAtomic(filePath, data) {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    const tempPath = `${filePath}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(data, null, 2));
+    fs.renameSync(tempPath, filePath);
+}
+
+// Read a progress file, returning null if it is missing or unreadable
+function readCheckpoint(filePath) {
+    if (!fs.existsSync(filePath)) {
+        return null;
+    }
+    try {
+        return JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+    } catch (err) {
+        console.warn(`[WARN] Could not read checkpoint ${filePath}: ${err.message}`);
+        return null;
+    }
+}
+
+// Work out where a --resume run should start in the full URL list.
+// The saved URL is looked up first so the cursor survives URLs being added or removed.
+function resumeIndex(filePath, urls) {
+    const saved = readCheckpoint(filePath);
+    if (!saved || saved.cursor === undefined) {
+        return null;
+    }
+    if (saved.cursorUrl) {
+        const index = urls.indexOf(saved.cursorUrl);
+        if (index !== -1) {
+            return index;
+        }
+    }
+    return Math.min(saved.cursor, urls.length);
+}
+
+// Track a batch taken from the full URL list and save a stable cursor after every completion.
+// The cursor is the index of the first URL in the full list that has not been completed yet;
+// URLs the batch skipped because an earlier run already handled them count as completed.
+function createCheckpoint({ filePath, urls, queue, startIndex, extra = () => ({}) }) {
+    const queuedIndices = new Set();
+    let searchFrom = startIndex;
+    queue.forEach(url => {
+        const index = urls.indexOf(url, searchFrom);
+        queuedIndices.add(index);
+        searchFrom = index + 1;
+    });
+    const batchEnd = queue.length > 0 ? searchFrom : startIndex;
+
+    const done = new Set();
+    const inFlight = new Set();
+    let cursor = startIndex;
+
+    // Helper function to move the cursor past every completed or skipped URL
+    function advance() {
+        while (cursor < batchEnd && (!queuedIndices.has(cursor) || done.has(cursor))) {
+            cursor++;
+        }
+    }
+
+    const checkpoint = {
+        started(url) {
+            inFlight.add(url);
+        },
+
+        completed(url) {
+            inFlight.delete(url);
+            done.add(urls.indexOf(url, startIndex));
+            advance();
+            checkpoint.save();
+        },
+
+        // Work that stopped without a result stays behind the cursor and is redone on resume
+        abandoned(url) {
+            inFlight.delete(url);
+        },
+
+        get cursor() {
+            return cursor;
+        },
+
+        save(status = 'running') {
+            writeJsonAtomic(filePath, {
+                status,
+                cursor,
+                cursorUrl: urls[cursor] || null,
+                totalUrls: urls.length,
+                batch: { startIndex, endIndex: batchEnd, size: queue.length, completed: done.size },
+                inFlight: [...inFlight],
+                lastUpdate: new Date().toISOString(),
+                ...extra()
+            });
+        }
+    };
+
+    advance();
+    return checkpoint;
+}
+
+// Handle Ctrl-C for the duration of a run. The first press stops new work from starting and lets
+// in-flight work finish and be recorded; a second press calls onForceExit and exits straight away.
+// Library callers pass sigint: false and stop a run with signal (an AbortSignal) instead, which stops new
+// work like the first press and also cancels the work in flight. The returned signal is aborted on the
+// first press too, so waits between jobs can end early; cancelSignal is aborted once in-flight work
+// should be given up (the caller's signal or a second press), so a stage can cancel its worker pool.
+function watchInterrupts(onForceExit = () => {}, { signal = null, sigint = true } = {}) {
+    const stopped = new AbortController();
+    const cancelled = new AbortController();
+    const onAbort = () => {
+        stopped.abort(signal.reason);
+        cancelled.abort(signal.reason);
+    };
+    if (signal) {
+        if (signal.aborted) {
+            onAbort();
+        } else {
+            signal.addEventListener('abort', onAbort, { once: true });
+        }
+    }
+
+    const handler = () => {
+        if (stopped.signal.aborted) {
+            console.log('\n[INTERRUPT] Stopping now; unfinished work will be picked up again with --resume');
+            cancelled.abort();
+            onForceExit();
+            process.exit(130);
+        }
+        stopped.abort();
+        console.log('\n[INTERRUPT] Finishing in-flight work, press Ctrl-C again to stop immediately');
+    };
+    if (sigint) {
+        process.on('SIGINT', handler);
+    }
+
+    return {
+        isStopping: () => stopped.signal.aborted,
+        signal: stopped.signal,
+        cancelSignal: cancelled.signal,
+        dispose: () => {
+            process.removeListener('SIGINT', handler);
+            if (signal) {
+                signal.removeEventListener('abort', onAbort);
+            }
+        }
+    };
+}
+
+module.exports = {
+    readCheckpoint,
+    resumeIndex,
+    createCheckpoint,
+    watchInterrupts,
+    writeJsonAtomic
+};
@@ -0,0 +1,308 @@
+const fs = require('fs');
+const path = require('path');
+const http = require('http');
+const crypto = require('crypto');
+const { createActivity } = require('./activity');
+const { createRateLimiter } = require('./rate_limiter');
+const { RETRY_POLICIES, FAILURE_CATEGORIES } = require('./failures');
+
+// Sitemap URLs listed per change entry; the first check lists every URL as added
+const SITEMAP_URLS_PER_ENTRY = 100;
+
+// Header carrying the token of the run on POST requests
+const TOKEN_HEADER = 'x-dashboard-token';
+
+// Host names of the loopback address, any of which a browser may send for a server bound to it
+const LOOPBACK_HOSTS = ['127.0.0.1', 'localhost', '[::1]'];
+// Addresses that listen on every interface, whose host names are not known
+const WILDCARD_HOSTS = ['0.0.0.0', '::'];
+
+// The page polls the JSON API, so it works without any build step or external files.
+// It carries the token of the run, which its POST requests send back.
+const renderPage = token => `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>Zoomify pipeline</title>
+<style>
+    body { font-family: sans-serif; margin: 2em; color: #222; }
+    table { border-collapse: collapse; margin-bottom: 1.5em; }
+    th, td { border: 1px solid #ccc; padding: 4px 8px; text-align: left; font-size: 0.9em; }
+    th { background: #f0f0f0; }
+    button { margin-right: 0.5em; }
+    .paused { color: #b00; font-weight: bold; }
+</style>
+</head>
+<body>
+<h1>Zoomify pipeline</h1>
+<p>
+    <span id="state"></span>
+    <button onclick="post('/api/pause')">Pause</button>
+    <button onclick="post('/api/resume')">Resume</button>
+    <button onclick="retry()">Re-queue failures</button>
+    <select id="category"><option value="">all categories</option></select>
+</p>
+<h2>Totals</h2><table id="totals"></table>
+<h2>Running stages</h2><table id="stages"></table>
+<h2>Workers</h2><table id="workers"></table>
+<h2>Recent failures</h2><table id="failures"></table>
+<h2>Sitemap changes</h2><table id="sitemap"></table>
+<script>
+const esc = text => String(text === null || text === undefined ? '' : text).replace(/[&<>"]/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' }[c]));
+const table = (id, head, rows) => {
+    document.getElementById(id).innerHTML = '<tr>' + head.map(h => '<th>' + esc(h) + '</th>').join('') + '</tr>' +
+        rows.map(row => '<tr>' + row.map(cell => '<td>' + esc(cell) + '</td>').join('') + '</tr>').join('');
+};
+const eta = seconds => seconds === null ? '' : Math.floor(seconds / 3600) + 'h ' + Math.floor(seconds % 3600 / 60) + 'm';
+const TOKEN = ${JSON.stringify(token)};
+async function post(url, body) {
+    const res = await fetch(url, { method: 'POST', headers: { 'Content-Type': 'application/json', 'X-Dashboard-Token': TOKEN }, body: JSON.stringify(body || {}) });
+    const data = await res.json();
+    if (data.requeued) {
+        alert('Re-queued: ' + JSON.stringify(data.requeued));
+    }
+    refresh();
+}
+function retry() {
+    const category = document.getElementById('category').value;
+    post('/api/retry', category ? { category } : {});
+}
+async function refresh() {
+    const [status, failures, sitemap] = await Promise.all(['/api/status', '/api/failures', '/api/sitemap']
+        .map(url => fetch(url).then(res => res.json())));
+    document.getElementById('state').innerHTML = status.paused ? '<span class="paused">PAUSED</span>' : 'Running';
+    const c = status.counts;
+    table('totals', ['Maps', 'Extracted', 'Extract failed', 'Downloaded', 'Download failed'],
+        [[c.total, c.extracted, c.extractFailed, c.downloaded, c.downloadFailed]]);
+    const stages = Object.entries(status.stages);
+    table('stages', ['Stage', 'Done', 'Succeeded', 'Failed', 'URLs/minute', 'ETA', 'Workers', 'State'],
+        stages.map(([name, s]) => [name, s.done + ' / ' + s.total, s.succeeded, s.failed, s.rate, eta(s.etaSeconds), s.concurrency, s.running ? 'running' : 'finished']));
+    table('workers', ['Stage', 'URL', 'Seconds'],
+        stages.flatMap(([name, s]) => s.workers.map(w => [name, w.url, w.seconds])));
+    table('failures', ['Time', 'Stage', 'Category', 'URL', 'Error'],
+        failures.failures.map(f => [f.updatedAt, f.stage, f.category, f.url, f.error]));
+    table('sitemap', ['Date', 'Added', 'Removed', 'Changed'],
+        sitemap.changes.slice().reverse().map(s => [s.date, s.added.count, s.removed.count, s.changed.count]));
+    const select = document.getElementById('category');
+    if (select.options.length === 1) {
+        status.categories.forEach(name => select.add(new Option(name, name)));
+    }
+}
+refresh();
+setInterval(refresh, 5000);
+</script>
+</body>
+</html>
+`;
+
+// Helper function to send a JSON response
+function sendJson(res, statusCode, data) {
+    res.writeHead(statusCode, { 'Content-Type': 'application/json; charset=utf-8' });
+    res.end(JSON.stringify(data, null, 2));
+}
+
+// Helper function to check the Host header against the address the server listens on, so a site whose
+// name was pointed at this address (DNS rebinding) gets no answer. A server bound to every interface
+// can only have the port checked.
+function hostAllowed(hostHeader, host, port) {
+    const match = String(hostHeader || '').toLowerCase().match(/^(\[[^\]]+\]|[^:]+)(?::(\d+))?$/);
+    if (!match || parseInt(match[2] || '80') !== port) {
+        return false;
+    }
+    if (WILDCARD_HOSTS.includes(host)) {
+        return true;
+    }
+    const bound = host.includes(':') ? `[${host.toLowerCase()}]` : host.toLowerCase();
+    return match[1] === bound || (LOOPBACK_HOSTS.includes(bound) && LOOPBACK_HOSTS.includes(match[1]));
+}
+
+// Helper function to refuse a POST a page on another site could have sent: it must be JSON (which a
+// plain cross-site form cannot send) and carry the token of this run. Returns [status, error] or null.
+function postRefusal(req, token) {
+    const type = String(req.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+    if (type !== 'application/json') {
+        return [415, 'POST requests must have Content-Type: application/json'];
+    }
+    const sent = Buffer.from(String(req.headers[TOKEN_HEADER] || ''));
+    const expected = Buffer.from(token);
+    if (sent.length !== expected.length || !crypto.timingSafeEqual(sent, expected)) {
+        return [403, `POST requests need the token printed when the dashboard started, in the ${TOKEN_HEADER} header`];
+    }
+    return null;
+}
+
+// Helper function to read a small JSON request body; an empty body is an empty object
+function readJsonBody(req) {
+    return new Promise((resolve, reject) => {
+        let body = '';
+        req.on('data', chunk => {
+            body += chunk;
+            if (body.length > 65536) {
+                reject(new Error('Request body too large'));
+                req.destroy();
+            }
+        });
+        req.on('end', () => {
+            try {
+                resolve(body.trim() ? JSON.parse(body) : {});
+            } catch (err) {
+                reject(new Error(`Request body is not valid JSON: ${err.message}`));
+            }
+        });
+        req.on('error', reject);
+    });
+}
+
+// Helper function to summarise one list of sitemap URLs
+function sitemapList(urls = []) {
+    return { count: urls.length, urls: urls.slice(0, SITEMAP_URLS_PER_ENTRY) };
+}
+
+// Read the sitemap change history, with long URL lists shortened
+function sitemapHistory(workingDir) {
+    const changesLog = path.join(workingDir, 'logs', 'sitemap_changes.json');
+    if (!fs.existsSync(changesLog)) {
+        return [];
+    }
+    try {
+        return JSON.parse(fs.readFileSync(changesLog, 'utf-8')).changes.map(change => ({
+            date: change.date,
+            added: sitemapList(change.added),
+            removed: sitemapList(change.removed),
+            changed: sitemapList(change.changed)
+        }));
+    } catch (err) {
+        console.warn(`[WARN] Could not read ${changesLog}: ${err.message}`);
+        return [];
+    }
+}
+
+// Handle one API request; returns false for paths that are not part of the API
+async function handleApi(req, res, url, { store, workingDir, token, activity, rateLimiter }) {
+    const route = `${req.method} ${url.pathname}`;
+    const refusal = req.method === 'POST' && url.pathname.startsWith('/api/') ? postRefusal(req, token) : null;
+    if (refusal) {
+        sendJson(res, refusal[0], { error: refusal[1] });
+        return true;
+    }
+    switch (route) {
+        case 'GET /api/status':
+            sendJson(res, 200, {
+                ...activity.snapshot(),
+                counts: store.counts(),
+                rateLimit: rateLimiter.status(),
+                categories: FAILURE_CATEGORIES
+            });
+            return true;
+        case 'GET /api/failures': {
+            const limit = Math.min(parseInt(url.searchParams.get('limit')) || 50, 1000);
+            const failures = store.recentFailures(limit).map(failure => ({
+                ...failure,
+                description: RETRY_POLICIES[failure.category] ? RETRY_POLICIES[failure.category].description : null
+            }));
+            sendJson(res, 200, { failures });
+            return true;
+        }
+        case 'GET /api/sitemap':
+            sendJson(res, 200, { changes: sitemapHistory(workingDir) });
+            return true;
+        case 'POST /api/pause':
+            activity.pause();
+            console.log('[DASHBOARD] Paused; running work will finish but nothing new starts');
+            sendJson(res, 200, { paused: true });
+            return true;
+        case 'POST /api/resume':
+            activity.resume();
+            console.log('[DASHBOARD] Resumed');
+            sendJson(res, 200, { paused: false });
+            return true;
+        case 'POST /api/concurrency': {
+            const { stage, concurrency } = await readJsonBody(req);
+            if (!Number.isInteger(concurrency) || concurrency < 1) {
+                sendJson(res, 400, { error: 'concurrency must be a whole number of at least 1' });
+                return true;
+            }
+            if (!activity.setConcurrency(stage, concurrency)) {
+                sendJson(res, 409, { error: `Stage ${stage} is not running` });
+                return true;
+            }
+            console.log(`[DASHBOARD] Concurrency of ${stage} set to ${concurrency}`);
+            sendJson(res, 200, { stage, concurrency });
+            return true;
+        }
+        case 'POST /api/retry': {
+            const { stage = null, category = null } = await readJsonBody(req);
+            if (category !== null && !FAILURE_CATEGORIES.includes(category)) {
+                sendJson(res, 400, { error: `category must be one of: ${FAILURE_CATEGORIES.join(', ')}` });
+                return true;
+            }
+            if (stage !== null && !['extract', 'download'].includes(stage)) {
+                sendJson(res, 400, { error: 'stage must be extract or download' });
+                return true;
+            }
+            const requeued = {};
+            (stage ? [stage] : ['extract', 'download']).forEach(name => {
+                requeued[name] = store.requeueFailures(name, category);
+            });
+            console.log(`[DASHBOARD] Re-queued failures${category ? ` (${category})` : ''}: ${JSON.stringify(requeued)}`);
+            sendJson(res, 200, { requeued });
+            return true;
+        }
+        default:
+            if (url.pathname.startsWith('/api/')) {
+                sendJson(res, 404, { error: `No such endpoint: ${route}` });
+                return true;
+            }
+            return false;
+    }
+}
+
+// Start the dashboard web server for the job store of workingDir, showing the live progress of the run
+// that activity (activity.js) and rateLimiter (rate_limiter.js) belong to; without them there is no
+// run to show. Resolves once it is listening, with its url, the token POST requests need (new for every
+// start) and close() to stop it when the run is over.
+function startDashboard({ store, workingDir, port, host = '127.0.0.1', activity = createActivity(), rateLimiter = createRateLimiter() }) {
+    const token = crypto.randomBytes(16).toString('hex');
+    const server = http.createServer(async (req, res) => {
+        try {
+            if (!hostAllowed(req.headers.host, host, server.address().port)) {
+                sendJson(res, 403, { error: `Host ${req.headers.host} is not the address the dashboard listens on` });
+                return;
+            }
+            // A fixed base, as the Host header is whatever the client sent
+            const url = new URL(req.url, 'http://localhost');
+            if (await handleApi(req, res, url, { store, workingDir, token, activity, rateLimiter })) {
+                return;
+            }
+            if (req.method === 'GET' && url.pathname === '/') {
+                res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+                res.end(renderPage(token));
+                return;
+            }
+            res.writeHead(404, { 'Content-Type': 'text/plain' });
+            res.end('Not found');
+        } catch (err) {
+            sendJson(res, 400, { error: err.message });
+        }
+    });
+
+    return new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(port, host, () => {
+            const address = `http://${host}:${server.address().port}/`;
+            console.log(`[DASHBOARD] Listening on ${address} (token for POST requests: ${token})`);
+            resolve({
+                url: address,
+                token,
+                close: () => new Promise(done => {
+                    server.close(done);
+                    server.closeAllConnections();
+                })
+            });
+        });
+    });
+}
+
+module.exports = {
+    startDashboard
+};
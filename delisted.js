@@ -0,0 +1,81 @@
+const fs = require('fs');
+const path = require('path');
+const { moveOutput, isInside, matchingFolder } = require('./verify');
+
+// Record sitemap removals and additions in the job store and apply the retention policy (config
+// delistedPolicy): keep leaves the files of delisted maps in place, move puts them in delistedDir and
+// report leaves them where they are. Products that come back are unmarked, and moved files moved back.
+function applyDelisting(store, { removed, added }, { policy, outputDir, delistedDir }) {
+    const summary = { delisted: store.markDelisted(removed), relisted: 0, moved: 0, restored: 0 };
+
+    store.markListed(added).forEach(row => {
+        summary.relisted++;
+        if (row.output_path && isInside(row.output_path, delistedDir)) {
+            const restored = moveOutput(row.output_path, matchingFolder(row.output_path, delistedDir, outputDir));
+            if (restored) {
+                store.recordOutputPath(row.image_properties_url, restored);
+                summary.restored++;
+            }
+        }
+    });
+
+    if (policy === 'move') {
+        store.delistedMaps()
+            .filter(row => row.download_status === 'success' && row.output_path && !isInside(row.output_path, delistedDir))
+            .forEach(row => {
+                const moved = moveOutput(row.output_path, matchingFolder(row.output_path, outputDir, delistedDir));
+                if (moved) {
+                    store.recordOutputPath(row.image_properties_url, moved);
+                    summary.moved++;
+                }
+            });
+    }
+
+    return summary;
+}
+
+// Sort delisted maps into the ones we hold a downloaded file for and the ones we never captured
+function delistedReport(store) {
+    const report = { date: new Date().toISOString(), held: [], notCaptured: [] };
+    store.delistedMaps().forEach(row => {
+        const entry = { productUrl: row.product_url, delistedAt: row.delisted_at };
+        if (row.download_status === 'success' && row.output_path && fs.existsSync(row.output_path)) {
+            report.held.push({ ...entry, outputPath: row.output_path, downloadedAt: row.downloaded_at });
+            return;
+        }
+        // Why there is no file: the step the map got stuck at
+        let reason = 'never extracted';
+        if (row.extract_status === 'failed') {
+            reason = `extraction failed (${row.extract_error_type || 'unknown'})`;
+        } else if (row.download_status === 'failed') {
+            reason = `download failed (${row.download_error_type || 'unknown'})`;
+        } else if (row.download_status === 'success') {
+            reason = 'downloaded file is missing';
+        } else if (row.extract_status === 'success') {
+            reason = 'never downloaded';
+        }
+        report.notCaptured.push({ ...entry, reason });
+    });
+    return report;
+}
+
+// Write the delisted report as JSON and print it
+function writeDelistedReport(store, reportPath) {
+    const report = delistedReport(store);
+    fs.mkdirSync(path.dirname(reportPath), { recursive: true });
+    fs.writeFileSync(reportPath, JSON.stringify(report, null, 2), 'utf-8');
+
+    console.log(`\n[DELISTED] ${report.held.length + report.notCaptured.length} maps are no longer in the sitemap`);
+    console.log(`[HELD] ${report.held.length}`);
+    report.held.forEach(entry => console.log(`   ${entry.productUrl} -> ${entry.outputPath}`));
+    console.log(`[NOT CAPTURED] ${report.notCaptured.length}`);
+    report.notCaptured.forEach(entry => console.log(`   ${entry.productUrl} (${entry.reason})`));
+    console.log(`[INFO] Report written to ${reportPath}`);
+    return report;
+}
+
+module.exports = {
+    applyDelisting,
+    delistedReport,
+    writeDelistedReport
+};
@@ -0,0 +1,87 @@
+const fs = require('fs');
+const path = require('path');
+
+const SIZE_UNITS = { b: 1, kb: 1024, mb: 1024 ** 2, gb: 1024 ** 3, tb: 1024 ** 4 };
+
+// Read a size such as '500MB', '20 GB' or 1073741824 (bytes) as a number of bytes, or null if it is not one
+function parseSize(value) {
+    if (typeof value === 'number') {
+        return Number.isFinite(value) && value >= 0 ? Math.round(value) : null;
+    }
+    const match = String(value).trim().toLowerCase().match(/^(\d+(?:\.\d+)?)\s*(b|kb|mb|gb|tb)?$/);
+    return match ? Math.round(Number(match[1]) * SIZE_UNITS[match[2] || 'b']) : null;
+}
+
+// A number of bytes for output, ie. 1.5 GB
+function formatSize(bytes) {
+    const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+    let value = bytes;
+    let unit = 0;
+    while (value >= 1024 && unit < units.length - 1) {
+        value /= 1024;
+        unit++;
+    }
+    return `${unit === 0 ? value : value.toFixed(1)} ${units[unit]}`;
+}
+
+// Bytes free for this user on the drive holding dir (the nearest existing parent when dir does not exist yet)
+function freeSpace(dir) {
+    let existing = path.resolve(dir);
+    while (!fs.existsSync(existing) && path.dirname(existing) !== existing) {
+        existing = path.dirname(existing);
+    }
+    const stats = fs.statfsSync(existing);
+    return stats.bavail * stats.bsize;
+}
+
+// Total size in bytes and number of files of everything below dir
+function directorySize(dir) {
+    const total = { bytes: 0, files: 0 };
+    if (!fs.existsSync(dir)) {
+        return total;
+    }
+    fs.readdirSync(dir, { withFileTypes: true }).forEach(entry => {
+        const entryPath = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+            const inner = directorySize(entryPath);
+            total.bytes += inner.bytes;
+            total.files += inner.files;
+        } else if (entry.isFile()) {
+            total.bytes += fs.statSync(entryPath).size;
+            total.files++;
+        }
+    });
+    return total;
+}
+
+// Move a file or folder, replacing nothing (the caller clears the target). A rename cannot cross drives
+// (EXDEV, ie. when the output folder is a mounted disk), so there the source is copied and then removed;
+// the copy goes to a temporary name first so an interrupted move never leaves a half-written target.
+function moveFile(source, target) {
+    try {
+        fs.renameSync(source, target);
+        return;
+    } catch (err) {
+        if (err.code !== 'EXDEV') {
+            throw err;
+        }
+    }
+    const temp = `${target}.moving`;
+    fs.rmSync(temp, { recursive: true, force: true });
+    try {
+        fs.cpSync(source, temp, { recursive: true, preserveTimestamps: true });
+        fs.renameSync(temp, target);
+    } catch (err) {
+        fs.rmSync(temp, { recursive: true, force: true });
+        throw err;
+    }
+    fs.rmSync(source, { recursive: true, force: true });
+}
+
+module.exports = {
+    parseSize,
+    formatSize,
+    freeSpace,
+    directorySize,
+    moveFile
+};
@@ -0,0 +1,218 @@
+const fs = require('fs');
+const path = require('path');
+const sharp = require('sharp');
+const { sidecarPath } = require('./image_metadata');
+
+// Two images whose width/height ratios differ by more than this are never near-identical
+const ASPECT_TOLERANCE = 0.02;
+
+// Helper function to tell stitched images from Deep Zoom (.dzi) and IIIF (info.json) outputs, which are not hashed
+function isStitchedImage(outputPath) {
+    return !/\.dzi$/i.test(outputPath) && path.basename(outputPath) !== 'info.json';
+}
+
+// Perceptual (difference) hash of an image: the image is shrunk to 9x8 grey levels and each bit records
+// whether a pixel is brighter than its right-hand neighbour. Rescans, recompressions and small colour
+// shifts of one scan give hashes only a few bits apart. Returns 16 hex digits.
+async function perceptualHash(filePath) {
+    const pixels = await sharp(filePath, { limitInputPixels: false })
+        .grayscale()
+        .resize(9, 8, { fit: 'fill' })
+        .raw()
+        .toBuffer();
+    let hash = 0n;
+    for (let y = 0; y < 8; y++) {
+        for (let x = 0; x < 8; x++) {
+            hash = (hash << 1n) | (pixels[y * 9 + x] > pixels[y * 9 + x + 1] ? 1n : 0n);
+        }
+    }
+    return hash.toString(16).padStart(16, '0');
+}
+
+// Number of bits in which two perceptual hashes differ
+function hammingDistance(a, b) {
+    let diff = BigInt(`0x${a}`) ^ BigInt(`0x${b}`);
+    let count = 0;
+    while (diff > 0n) {
+        count += Number(diff & 1n);
+        diff >>= 1n;
+    }
+    return count;
+}
+
+// Helper function to compare the shapes of two maps when both sizes are known
+function similarAspect(a, b) {
+    if (!a.width || !a.height || !b.width || !b.height) {
+        return true;
+    }
+    const ratio = b.width / b.height;
+    return Math.abs(a.width / a.height - ratio) / ratio <= ASPECT_TOLERANCE;
+}
+
+// The closest of the candidate maps within threshold bits of row's hash, as { original, distance }
+function findOriginal(row, candidates, threshold) {
+    let best = null;
+    candidates.forEach(candidate => {
+        if (candidate.id === row.id || !similarAspect(row, candidate)) {
+            return;
+        }
+        const distance = hammingDistance(row.phash, candidate.phash);
+        if (distance <= threshold && (!best || distance < best.distance)) {
+            best = { original: candidate, distance };
+        }
+    });
+    return best;
+}
+
+// Helper function to replace a file with a hard link to another one (a symbolic link where hard links
+// are not possible, ie. across drives); returns false if neither could be made
+function linkFile(target, linkPath) {
+    const temp = `${linkPath}.link`;
+    fs.rmSync(temp, { force: true });
+    try {
+        fs.linkSync(target, temp);
+    } catch (err) {
+        try {
+            fs.symlinkSync(path.resolve(target), temp);
+        } catch (symlinkErr) {
+            return false;
+        }
+    }
+    fs.renameSync(temp, linkPath);
+    return true;
+}
+
+// Record row as a duplicate of original and apply the policy (config duplicates): keep leaves both files,
+// link replaces row's file with a link to the original's (only when both have the same size, so each file
+// still matches its own ImageProperties.xml; the link target is recorded, and tag and verify leave the
+// link alone as they already handle the original) and skip deletes row's file. A close hash alone can match two
+// states of one plate, so skip also needs the same size and the original still on disk; otherwise row's
+// file is kept. Returns what was done.
+async function applyPolicy(store, row, original, policy) {
+    const sameSize = row.width === original.width && row.height === original.height;
+    if (policy === 'skip' && sameSize && fs.existsSync(original.output_path)) {
+        [row.output_path, sidecarPath(row.output_path)].forEach(file => fs.rmSync(file, { force: true }));
+        store.recordDuplicate(row.image_properties_url, original.id, { skipped: true });
+        return 'skipped';
+    }
+    if (policy === 'link' && sameSize && fs.existsSync(original.output_path) && linkFile(original.output_path, row.output_path)) {
+        store.recordDuplicate(row.image_properties_url, original.id, { linkedTo: original.output_path });
+        return 'linked';
+    }
+    store.recordDuplicate(row.image_properties_url, original.id);
+    return 'kept';
+}
+
+// Hash a freshly downloaded map and compare it with every other downloaded map, applying the duplicates
+// policy when one is near-identical. Returns { original, distance, action }, or null when it is unique.
+async function checkDuplicate(store, imagePropertiesUrl, { policy = 'keep', threshold = 4 } = {}) {
+    let row = store.getByImagePropertiesUrl(imagePropertiesUrl);
+    if (!row || !row.output_path || !isStitchedImage(row.output_path)) {
+        return null;
+    }
+    if (!row.phash) {
+        store.recordImageHash(imagePropertiesUrl, await perceptualHash(row.output_path));
+        row = store.getByImagePropertiesUrl(imagePropertiesUrl);
+    }
+    const match = findOriginal(row, store.hashedMaps(), threshold);
+    if (!match) {
+        return null;
+    }
+    return { ...match, action: await applyPolicy(store, row, match.original, policy) };
+}
+
+// Look for near-identical scans among every downloaded map, ie. ones downloaded before duplicate detection
+// existed. Maps are hashed where needed and compared in the order they were recorded, so the first of a
+// group is the original. Returns { hashed, found } with the counts of each.
+async function findDuplicates(store, { policy = 'keep', threshold = 4 } = {}) {
+    const summary = { hashed: 0, found: 0 };
+    const rows = store.downloadedMaps().filter(row => !row.duplicate_of && isStitchedImage(row.output_path));
+    for (const row of rows) {
+        if (!row.phash && fs.existsSync(row.output_path)) {
+            row.phash = await perceptualHash(row.output_path);
+            store.recordImageHash(row.image_properties_url, row.phash);
+            summary.hashed++;
+        }
+    }
+
+    const originals = [];
+    for (const row of rows.filter(entry => entry.phash)) {
+        const match = findOriginal(row, originals, threshold);
+        if (!match) {
+            originals.push(row);
+            continue;
+        }
+        const action = await applyPolicy(store, row, match.original, policy);
+        console.log(`[DUPLICATE] ${row.output_path} is near-identical to ${match.original.output_path} (${match.distance} bits apart, ${action})`);
+        summary.found++;
+    }
+    return summary;
+}
+
+// Group the duplicates in the job store under the map they duplicate: products that resolved to the same
+// ImageProperties URL as another product (sameImage) and downloads near-identical to another one (similar)
+function duplicatesReport(store) {
+    const report = { date: new Date().toISOString(), sameImage: [], similar: [] };
+    const groups = new Map();
+    store.duplicateMaps().forEach(row => {
+        const kind = row.image_properties_url ? 'similar' : 'sameImage';
+        const key = `${kind}:${row.duplicate_of}`;
+        if (!groups.has(key)) {
+            const original = store.getById(row.duplicate_of);
+            const group = {
+                original: {
+                    productUrl: original.product_url,
+                    imagePropertiesUrl: original.image_properties_url,
+                    outputPath: original.output_path
+                },
+                duplicates: []
+            };
+            groups.set(key, { original, group });
+            report[kind].push(group);
+        }
+        const { original, group } = groups.get(key);
+        if (kind === 'sameImage') {
+            group.duplicates.push({ productUrl: row.product_url, zoomlinkId: row.zoomlink_id });
+            return;
+        }
+        group.duplicates.push({
+            productUrl: row.product_url,
+            imagePropertiesUrl: row.image_properties_url,
+            outputPath: row.output_path,
+            distance: row.phash && original.phash ? hammingDistance(row.phash, original.phash) : null,
+            skipped: row.download_status === 'duplicate'
+        });
+    });
+    return report;
+}
+
+// Write the duplicates report as JSON and print it
+function writeDuplicatesReport(store, reportPath) {
+    const report = duplicatesReport(store);
+    fs.mkdirSync(path.dirname(reportPath), { recursive: true });
+    fs.writeFileSync(reportPath, JSON.stringify(report, null, 2), 'utf-8');
+
+    console.log(`\n[SAME IMAGE] ${report.sameImage.length} ImageProperties URLs are shared by more than one product`);
+    report.sameImage.forEach(group => {
+        console.log(`   ${group.original.productUrl}`);
+        group.duplicates.forEach(entry => console.log(`   = ${entry.productUrl}`));
+    });
+    console.log(`[SIMILAR] ${report.similar.length} downloads have near-identical copies`);
+    report.similar.forEach(group => {
+        console.log(`   ${group.original.outputPath}`);
+        group.duplicates.forEach(entry => {
+            console.log(`   ~ ${entry.skipped ? `${entry.imagePropertiesUrl} (not stored)` : entry.outputPath}, ${entry.distance} bits apart`);
+        });
+    });
+    console.log(`[INFO] Report written to ${reportPath}`);
+    return report;
+}
+
+module.exports = {
+    perceptualHash,
+    hammingDistance,
+    checkDuplicate,
+    findDuplicates,
+    duplicatesReport,
+    writeDuplicatesReport
+};
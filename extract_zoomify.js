@@ -1,89 +1,80 @@
-const { chromium } = require('playwright');
 const fs = require('fs');
 const path = require('path');
-const { parseString } = require('xml2js');
-const { workingDir } = require('./track_sitemap_changes');
-
-// Command line arguments for batch processing
-// Example; default values: node extract_zoomify.js 20 0 5
-const args = process.argv.slice(2);
-const batchSize = parseInt(args[0]) || 20;    // Number of URLs to process in this batch, default 20 (batchSize)
-const startIndex = parseInt(args[1]) || 0;     // Starting index in the sitemap, default 0 (startIndex)
-const maxConcurrent = parseInt(args[2]) || 5;  // Maximum number of concurrent browser pages, default 5 (maxConcurrent)
+const { loadSitemapUrls } = require('./track_sitemap_changes');
+const { loadConfigOrExit, resolveOptions } = require('./config');
+const { getJobStore } = require('./job_store');
+const { resumeIndex, createCheckpoint, watchInterrupts } = require('./checkpoint');
+const { findZoomlinkId, fetchProductPage, imagePropertiesUrlFor } = require('./zoomify_resolver');
+const { fetchBuffer, parseImageProperties, sanitizeFilename } = require('./zoomify_downloader');
+const { scrapeMapMetadata, writeCatalog } = require('./catalog');
+const { RETRY_POLICIES, classifyError, shouldRetry, retryDelay } = require('./failures');
+const { createActivity } = require('./activity');
+const { createWorkerPool, sleep } = require('./worker_pool');
+const { createRateLimiter } = require('./rate_limiter');
+const { startDashboard } = require('./dashboard');
+const { createBrowserSession, saveSnapshot } = require('./browser_session');
+const { readUrlListFile, selectProductUrls, describeSelection, printDryRun } = require('./selection');
+const { createRunNotifier } = require('./notify');
 
 // File paths for input/output and tracking
-const initialUrlsNoXmlFile = path.join(workingDir, 'logs', 'initial_urls_noxml.txt');
-const correctedUrlsFile = path.join(workingDir, 'logs', 'corrected_imageproperties_urls.txt');
-const successLogFile = path.join(workingDir, 'logs', 'success_log.txt');
-const failureLogFile = path.join(workingDir, 'logs', 'failure_log.txt');
-const progressPath = path.join(workingDir, 'logs', 'progress.json');
+function extractPaths(workingDir) {
+    return {
+        initialUrls: path.join(workingDir, 'logs', 'initial_urls_noxml.txt'),
+        progress: path.join(workingDir, 'logs', 'progress.json'),
+        catalogDir: path.join(workingDir, 'catalog'),
+        snapshotDir: path.join(workingDir, 'logs', 'snapshots')
+    };
+}
 
-// Stats tracking
-let firstSuccessTime = null;
-let processedCount = 0;
-let processingStartTime = Date.now();
+// Helper function to pass an event on to the caller's EventEmitter (options.events), if there is one,
+// and to the run's notifiers (notify.js)
+function emit(run, name, data = {}) {
+    if (run.events) {
+        run.events.emit(name, { stage: 'extract', ...data });
+    }
+    run.notifier.handle(name, data);
+}
 
 // Helper function to calculate and display processing statistics
-function displayProcessingStats() {
+function displayProcessingStats(run) {
     const currentTime = Date.now();
-    const elapsedMinutes = (currentTime - processingStartTime) / 60000; // Convert to minutes
-    const rate = processedCount / elapsedMinutes;
+    const elapsedMinutes = (currentTime - run.startedAt) / 60000; // Convert to minutes
+    const rate = run.processedCount / elapsedMinutes;
     
     console.log('\n[PROCESSING STATS]');
-    if (firstSuccessTime) {
-        const timeSinceFirstSuccess = (currentTime - firstSuccessTime) / 60000; // Convert to minutes
+    if (run.firstSuccessTime) {
+        const timeSinceFirstSuccess = (currentTime - run.firstSuccessTime) / 60000; // Convert to minutes
         console.log(`Time since first success: ${timeSinceFirstSuccess.toFixed(2)} minutes`);
     }
-    console.log(`Total processed: ${processedCount} URLs`);
+    console.log(`Total processed: ${run.processedCount} URLs`);
     console.log(`Current rate: ${rate.toFixed(2)} URLs/minute`);
     console.log(`Total elapsed time: ${elapsedMinutes.toFixed(2)} minutes\n`);
 }
 
-// Extract Map URLs from local_sitemap
-function extractAntiqueMapUrls() {
-    return new Promise((resolve, reject) => {
-        if (!fs.existsSync(localSitemapFile)) {
-            reject(new Error(`[ERROR] Local sitemap file not found at: ${localSitemapFile}`));
-            return;
-        }
-
-        const sitemapContent = fs.readFileSync(localSitemapFile, 'utf-8').trim();
-        if (!sitemapContent) {
-            reject(new Error(`[ERROR] Local sitemap file is empty.`));
-            return;
-        }
-
-        parseString(sitemapContent, (err, result) => {
-            if (err) {
-                reject(new Error(`[ERROR] Failed to parse sitemap XML: ${err.message}`));
-                return;
-            }
-
-            // Extract URLs containing '/P/AntiqueMap/'
-            const initialUrlsNoXml = result.urlset.url
-                .map(entry => entry.loc[0])
-                .filter(url => url.includes('/P/AntiqueMap/'));
-
-            if (initialUrlsNoXml.length === 0) {
-                reject(new Error(`[ERROR] No Valid URLs found in local sitemap file.`));
-                return;
-            }
+// Extract Map URLs from the last sitemap check (or the local_sitemap.xml of older versions)
+async function extractAntiqueMapUrls(workingDir) {
+    const initialUrlsNoXmlFile = extractPaths(workingDir).initialUrls;
+    const initialUrlsNoXml = await loadSitemapUrls(workingDir);
+    if (initialUrlsNoXml.length === 0) {
+        throw new Error(`[ERROR] No Valid URLs found in the local sitemap; run track_sitemap_changes.js first.`);
+    }
 
-            // Write to initial_urls_noxml.txt
-            fs.writeFileSync(initialUrlsNoXmlFile, initialUrlsNoXml.join('\n'), 'utf-8');
-            console.log(`[INFO] Extracted ${initialUrlsNoXml.length} AntiqueMap URLs to ${initialUrlsNoXmlFile}`);
+    // Write to initial_urls_noxml.txt
+    fs.mkdirSync(path.dirname(initialUrlsNoXmlFile), { recursive: true });
+    fs.writeFileSync(initialUrlsNoXmlFile, initialUrlsNoXml.join('\n'), 'utf-8');
+    console.log(`[INFO] Extracted ${initialUrlsNoXml.length} AntiqueMap URLs to ${initialUrlsNoXmlFile}`);
 
-            resolve(initialUrlsNoXml);
-        });
-    });
+    return initialUrlsNoXml;
 }
 
 // Validate required files and directories
-async function validateEnvironment() {
+async function validateEnvironment(workingDir) {
+    const initialUrlsNoXmlFile = extractPaths(workingDir).initialUrls;
+
     // Extract AntiqueMap URLs if needed
     if (!fs.existsSync(initialUrlsNoXmlFile)) {
         console.log('[INFO] Extracting AntiqueMap URLs from local sitemap...');
-        await extractAntiqueMapUrls();
+        await extractAntiqueMapUrls(workingDir);
     }
 
     // Check if initial urls file exists and has content
@@ -92,144 +83,201 @@ async function validateEnvironment() {
         throw new Error(`[ERROR] No URLs found in ${initialUrlsNoXmlFile}`);
     }
 
-    // Create corrected URLs file if it doesn't exist
-    if (!fs.existsSync(correctedUrlsFile)) {
-        fs.writeFileSync(correctedUrlsFile, '', 'utf-8');
-    }
-
     // Return the URLs to process
     return inputContent.split('\n').map(line => line.trim()).filter(Boolean);
 }
 
-// Helper function to generate a random timeout value (10-25 seconds)
-function getRandomTimeout() {
-    const seconds = Math.floor(Math.random() * (25 - 10 + 1)) + 10;
+// Helper function to generate a random timeout value (10-25 seconds by default)
+function getRandomTimeout(config) {
+    const { pageTimeoutMin: min, pageTimeoutMax: max } = config;
+    const seconds = Math.floor(Math.random() * (max - min + 1)) + min;
     return seconds * 1000; // Convert to milliseconds
 }
 
-// Helper function for shorter timeouts (3-10 seconds)
-function getShortTimeout() {
-    const seconds = Math.floor(Math.random() * (10 - 3 + 1)) + 3;
+// Helper function for shorter timeouts (3-10 seconds by default)
+function getShortTimeout(config) {
+    const { shortTimeoutMin: min, shortTimeoutMax: max } = config;
+    const seconds = Math.floor(Math.random() * (max - min + 1)) + min;
     return seconds * 1000; // Convert to milliseconds
 }
 
-// Helper function to format timestamps consistently
-function getTimestamp() {
-    return new Date().toISOString();
-}
-
-// Helper function to log with timestamp
-function logToFile(filePath, url) {
-    const timestamp = getTimestamp();
-    const logEntry = `${timestamp} | ${url}`;
-    fs.appendFileSync(filePath, logEntry + '\n', 'utf-8');
-}
+// Read the zoomlink ID by loading the product page in Playwright and walking the rendered DOM
+async function resolveZoomlinkIdWithBrowser(page, productUrl, timeout, { signal, limiter }) {
+    // Navigate to the product page with increased timeout
+    await limiter.acquire(productUrl, signal);
+    const response = await page.goto(productUrl, { 
+        waitUntil: 'networkidle',
+        timeout
+    });
+    limiter.report(productUrl, response.status(), response.headers());
 
-// Process a single URL to extract and validate the Zoomify XML URL
-async function processUrl(page, url, stats, retryCount = 0) {
-    const MAX_RETRIES = 3;
+    if (!response.ok()) {
+        const err = new Error(`Product page returned status ${response.status()}`);
+        err.statusCode = response.status();
+        throw err;
+    }
 
-    try {
-        // First visit the product page to extract the Zoomify ID
-        const productUrl = url; // This is already the product URL from AntiqueMap
-        console.log(`[INFO] Visiting product page: ${productUrl}`);
+    // Add a small delay to ensure page is fully loaded
+    await page.waitForTimeout(2000);
+
+    // Extract the data-zoomlink value from the specific script after the Zoomify modal comment
+    // Failures come back as the same messages zoomify_resolver.js uses, so they are classified alike
+    const result = await page.evaluate(() => {
+        // First find the Zoomify modal comment
+        const nodes = document.evaluate(
+            "//comment()[contains(., 'OUT ZOOMIFY MODAL')]",
+            document,
+            null,
+            XPathResult.FIRST_ORDERED_NODE_TYPE,
+            null
+        );
         
-        // Navigate to the product page with increased timeout
-        const response = await page.goto(productUrl, { 
-            waitUntil: 'networkidle0',
-            timeout: getRandomTimeout()
-        });
-
-        if (!response.ok()) {
-            throw new Error(`Product page returned status ${response.status()}`);
+        const modalComment = nodes.singleNodeValue;
+        if (!modalComment) {
+            return { error: 'Zoomify modal comment not found' };
         }
 
-        // Add a small delay to ensure page is fully loaded
-        await page.waitForTimeout(2000);
-
-        // Extract the data-zoomlink value from the specific script after the Zoomify modal comment
-        const zoomlinkId = await page.evaluate(() => {
-            // First find the Zoomify modal comment
-            const nodes = document.evaluate(
-                "//comment()[contains(., 'OUT ZOOMIFY MODAL')]",
-                document,
-                null,
-                XPathResult.FIRST_ORDERED_NODE_TYPE,
-                null
-            );
-            
-            const modalComment = nodes.singleNodeValue;
-            if (!modalComment) {
-                console.log('DEBUG: Zoomify modal comment not found');
-                return null;
-            }
-
-            // Get the next script element after the comment
-            let currentNode = modalComment.nextSibling;
-            let scriptContent = '';
-            while (currentNode) {
-                if (currentNode.nodeName === 'SCRIPT' && 
-                    currentNode.getAttribute('type') === 'text/javascript' && 
-                    currentNode.getAttribute('charset') === 'utf-8') {
-                    scriptContent = currentNode.textContent || '';
-                    break;
-                }
-                currentNode = currentNode.nextSibling;
+        // Get the next script element after the comment
+        let currentNode = modalComment.nextSibling;
+        let scriptContent = '';
+        while (currentNode) {
+            if (currentNode.nodeName === 'SCRIPT' && 
+                currentNode.getAttribute('type') === 'text/javascript' && 
+                currentNode.getAttribute('charset') === 'utf-8') {
+                scriptContent = currentNode.textContent || '';
+                break;
             }
+            currentNode = currentNode.nextSibling;
+        }
 
-            if (!scriptContent) {
-                console.log('DEBUG: No matching script element found after modal comment');
-                return null;
-            }
+        if (!scriptContent) {
+            return { error: 'No matching script element found after modal comment' };
+        }
 
-            // Look for the first data-zoomlink occurrence
-            const match = scriptContent.match(/data-zoomlink="([^-]+)-/);
-            if (!match) {
-                console.log('DEBUG: No data-zoomlink pattern found in script content');
-                console.log('Script content preview:', scriptContent.substring(0, 200) + '...');
-                return null;
-            }
+        // Look for the first data-zoomlink occurrence
+        const match = scriptContent.match(/data-zoomlink="([^-]+)-/);
+        if (!match) {
+            return { error: 'No data-zoomlink pattern found in script content', preview: scriptContent.substring(0, 200) };
+        }
 
-            return match[1];  // Return just the part before the dash
-        });
+        return { zoomlinkId: match[1] };  // Return just the part before the dash
+    });
 
-        if (!zoomlinkId) {
-            throw new Error('Failed to find data-zoomlink identifier in Zoomify modal script. Check debug output for details.');
+    if (!result.zoomlinkId) {
+        if (result.preview) {
+            console.log(`[DEBUG] Script content preview: ${result.preview}...`);
         }
+        throw new Error(result.error);
+    }
+    return result.zoomlinkId;
+}
 
-        // Extract the map ID from the product URL
-        const antiqueMapIndex = url.indexOf('/P/AntiqueMap/');
-        if (antiqueMapIndex === -1) {
-            throw new Error('Invalid URL format - missing /P/AntiqueMap/');
-        }
-        const mapId = url.substring(antiqueMapIndex + 13); // Skip '/P/AntiqueMap/'
-        const dashIndex = mapId.indexOf('-');
-        if (dashIndex === -1) {
-            throw new Error('Invalid URL format - missing dash (-) in map ID');
+// Run fn(page) with the worker's browser page, saving a snapshot of the page when it fails
+async function withPage(run, getPage, url, fn) {
+    const page = await getPage();
+    try {
+        return await fn(page);
+    } catch (err) {
+        if (run.config.failureSnapshots) {
+            await saveSnapshot(page, extractPaths(run.config.workingDir).snapshotDir, url);
         }
+        throw err;
+    }
+}
 
-        // Keep everything after the dash, replace only the part before it
-        const mapIdSuffix = mapId.substring(dashIndex);
+// Resolve the zoomlink ID, trying a plain HTTP fetch of the page first and Playwright only if that fails.
+// The page HTML is returned too so the map metadata can be scraped from it.
+async function resolveZoomlinkId(run, getPage, productUrl, signal) {
+    const { config } = run;
+    if (config.resolver !== 'browser') {
+        try {
+            const html = await fetchProductPage(productUrl, { signal, limiter: run.rateLimiter });
+            const zoomlinkId = findZoomlinkId(html);
+            console.log(`[INFO] Found zoomlink ${zoomlinkId} in page HTML`);
+            return { zoomlinkId, html };
+        } catch (err) {
+            if (config.resolver === 'fetch' || (signal && signal.aborted)) {
+                throw err;
+            }
+            console.log(`[INFO] Lightweight parse failed (${err.message}), falling back to browser`);
+        }
+    }
+    return withPage(run, getPage, productUrl, async (page) => {
+        const zoomlinkId = await resolveZoomlinkIdWithBrowser(page, productUrl, getRandomTimeout(config), { signal, limiter: run.rateLimiter });
+        return { zoomlinkId, html: await page.content() };
+    });
+}
 
-        // Construct the corrected ImageProperties.xml URL
-        const correctedUrl = `https://www.geographicus.com/mm5/graphics/00000001/zoomify/${zoomlinkId}${mapIdSuffix}/ImageProperties.xml`;
-        console.log(`[INFO] Checking Zoomify URL: ${correctedUrl}`);
+// Fetch the ImageProperties.xml content, through the browser only in browser resolver mode
+async function fetchImagePropertiesXml(run, getPage, correctedUrl, signal) {
+    if (run.config.resolver !== 'browser') {
+        return (await fetchBuffer(correctedUrl, { signal, limiter: run.rateLimiter })).toString('utf-8');
+    }
 
-        // Validate the ImageProperties.xml URL exists
+    return withPage(run, getPage, correctedUrl, async (page) => {
+        await run.rateLimiter.acquire(correctedUrl, signal);
         const xmlResponse = await page.goto(correctedUrl, {
-            waitUntil: 'networkidle0',
-            timeout: getShortTimeout()
+            waitUntil: 'networkidle',
+            timeout: getShortTimeout(run.config)
         });
+        run.rateLimiter.report(correctedUrl, xmlResponse.status(), xmlResponse.headers());
 
         if (!xmlResponse.ok()) {
-            throw new Error(`ImageProperties.xml returned status ${xmlResponse.status()}`);
+            const err = new Error(`ImageProperties.xml returned status ${xmlResponse.status()}`);
+            err.statusCode = xmlResponse.status();
+            throw err;
         }
 
         // Add a small delay to ensure XML is fully loaded
         await page.waitForTimeout(1000);
 
-        // Check if it's valid XML content
-        const content = await xmlResponse.text();
+        return xmlResponse.text();
+    });
+}
+
+// Process a single URL to extract and validate the Zoomify XML URL.
+// run holds the settings and state of the current extractZoomifyUrls call.
+// getPage resolves to this worker's Playwright page; the browser is only started when first needed.
+// signal is the worker pool's: once aborted (job timeout or cancellation) the URL is not retried.
+// Resolves with true or false once the URL succeeded or failed, or null when it was given up.
+async function processUrl(run, getPage, url, retryCount = 0, signal = null) {
+    const { config, store, stats, checkpoint, interrupts } = run;
+
+    // After Ctrl-C, URLs that have not started (or are waiting to retry) stay pending for --resume
+    if (interrupts.isStopping()) {
+        if (checkpoint) {
+            checkpoint.abandoned(url);
+        }
+        return null;
+    }
+    if (retryCount === 0) {
+        run.activity.workStarted('extract', url);
+        if (checkpoint) {
+            checkpoint.started(url);
+        }
+    }
+    let ok = null;
+
+    try {
+        if (signal && signal.aborted) {
+            throw signal.reason;
+        }
+
+        // First visit the product page to extract the Zoomify ID
+        const productUrl = url; // This is already the product URL from AntiqueMap
+        console.log(`[INFO] Visiting product page: ${productUrl}`);
+        const { zoomlinkId, html } = await resolveZoomlinkId(run, getPage, productUrl, signal);
+        if (signal && signal.aborted) {
+            throw signal.reason;
+        }
+        const metadata = scrapeMapMetadata(html);
+
+        // Construct the corrected ImageProperties.xml URL from the product URL's map ID
+        const correctedUrl = imagePropertiesUrlFor(url, zoomlinkId, config.zoomifyBaseUrl);
+        console.log(`[INFO] Checking Zoomify URL: ${correctedUrl}`);
+
+        // Validate the ImageProperties.xml URL exists and check if it's valid XML content
+        const content = await fetchImagePropertiesXml(run, getPage, correctedUrl, signal);
         console.log(`[DEBUG] Received content: ${content.substring(0, 200)}...`);
         
         if (!content.includes('IMAGE_PROPERTIES')) {
@@ -242,133 +290,320 @@ async function processUrl(page, url, stats, retryCount = 0) {
             throw new Error('Invalid XML content - missing required attributes');
         }
 
-        // Log success and append to corrected URLs file
-        logToFile(successLogFile, correctedUrl);
-        fs.appendFileSync(correctedUrlsFile, correctedUrl + '\n');
-            stats.successful++;
-        processedCount++;
-        if (!firstSuccessTime) {
-            firstSuccessTime = Date.now();
+        // Record the resolved ImageProperties URL, its dimensions and the map metadata in the job store
+        const imageProperties = await parseImageProperties(content);
+        const original = store.recordExtractSuccess(url, {
+            zoomlinkId,
+            imagePropertiesUrl: correctedUrl,
+            attempts: retryCount + 1,
+            metadata,
+            imageProperties
+        });
+        stats.successful++;
+        // A product showing the same image as another is not handed on for download a second time
+        if (original) {
+            console.log(`[DUPLICATE] ${url} shows the same image as ${original.product_url}`);
+        } else {
+            stats.correctedUrls.push(correctedUrl);
+        }
+        ok = true;
+        if (checkpoint) {
+            checkpoint.completed(url);
+        }
+        run.processedCount++;
+        if (!run.firstSuccessTime) {
+            run.firstSuccessTime = Date.now();
         }
         console.log(`[SUCCESS] Validated URL: ${correctedUrl}`);
         console.log(`Original: ${url}`);
         console.log(`Modified: ${correctedUrl}`);
-        displayProcessingStats();
-
-    } catch (err) {
-        console.log(`[ERROR] Processing ${url}: ${err.message}`);
-        
-        // Implement retry logic
-        if (retryCount < MAX_RETRIES) {
-            console.log(`[RETRY] Attempt ${retryCount + 1} of ${MAX_RETRIES} for ${url}`);
-            // Add a longer delay between retries
-            await new Promise(resolve => setTimeout(resolve, getRandomTimeout()));
-            return processUrl(page, url, stats, retryCount + 1);
+        displayProcessingStats(run);
+        emit(run, 'success', { url, imagePropertiesUrl: correctedUrl, zoomlinkId, attempts: retryCount + 1, duplicateOf: original ? original.product_url : null });
+
+    } catch (caught) {
+        // An aborted job fails with the pool's reason rather than whatever the closed page threw
+        const err = signal && signal.aborted ? signal.reason : caught;
+        if (err.name === 'AbortError') {
+            if (checkpoint) {
+                checkpoint.abandoned(url);
+            }
+            return null;
         }
-        
-        logToFile(failureLogFile, url);
+        const category = classifyError(err, 'extract');
+        console.log(`[ERROR] Processing ${url} (${category}): ${err.message}`);
+
+        // Retry as often and as slowly as the failure category allows
+        if (!(signal && signal.aborted) && shouldRetry(category, retryCount)) {
+            const delay = retryDelay(category, retryCount);
+            console.log(`[RETRY] Attempt ${retryCount + 1} of ${RETRY_POLICIES[category].retries} for ${url} in ${Math.round(delay / 1000)}s`);
+            emit(run, 'retry', { url, category, error: err.message, attempt: retryCount + 1, delay });
+            await sleep(delay, signal).catch(() => {});
+            ok = await processUrl(run, getPage, url, retryCount + 1, signal);
+            return ok;
+        }
+
+        store.recordExtractFailure(url, err.message, retryCount + 1, category);
         stats.failed++;
-        processedCount++;
-        displayProcessingStats();
+        ok = false;
+        if (checkpoint) {
+            checkpoint.completed(url);
+        }
+        run.processedCount++;
+        displayProcessingStats(run);
+        emit(run, 'failure', { url, category, error: err.message, attempts: retryCount + 1 });
+    } finally {
+        // The first attempt started the URL, so it ends it too, whatever way the URL (or its retries) ended
+        if (retryCount === 0) {
+            run.activity.workFinished('extract', url, ok);
+        }
     }
 
+    emit(run, 'progress', { done: stats.successful + stats.failed, total: run.total, successful: stats.successful, failed: stats.failed });
+
     // Add a short delay between requests
-    await new Promise(resolve => setTimeout(resolve, getShortTimeout()));
+    if (!interrupts.isStopping()) {
+        await sleep(getShortTimeout(config), signal).catch(() => {});
+    }
+    return ok;
 }
 
-// Main execution
-(async () => {
+// Rewrite the JSON Lines and CSV catalogs of a working directory from the job store
+function updateCatalog(options = {}) {
+    const config = resolveOptions('extract', options);
+    return writeCatalog(getJobStore(config.workingDir), {
+        catalogDir: extractPaths(config.workingDir).catalogDir,
+        keyFor: imagePropertiesUrl => sanitizeFilename(imagePropertiesUrl, config.zoomifyBaseUrl)
+    });
+}
+
+// Drop product URLs that already succeeded or failed in an earlier run (a dry run leaves new ones unrecorded)
+function filterUnprocessed(urls, options = {}) {
+    const config = resolveOptions('extract', options);
+    const store = getJobStore(config.workingDir);
+    if (!config.dryRun) {
+        store.addProductUrls(urls);
+    }
+    return urls.filter(url => {
+        const row = store.getByProductUrl(url);
+        return !row || (row.extract_status === 'pending' && !row.delisted_at);
+    });
+}
+
+// Resolve the ImageProperties.xml URLs for a list of product URLs and record them in the job store.
+// Only the URLs matching the selection settings (selection.js) are processed; with dryRun they are listed instead.
+// options are config.js settings (see resolveOptions) plus:
+//   events        an EventEmitter that gets 'start', 'success', 'retry', 'failure', 'progress' and 'end' events
+//   signal        an AbortSignal; once aborted no new URLs are started (like Ctrl-C)
+//   checkpoint    a checkpoint from checkpoint.js, saved after every URL
+//   handleSigint  true to stop on Ctrl-C (the CLI does this)
+//   activity      the run's live progress and pause switch (activity.js), ie. shared with a dashboard
+//   rateLimiter   the rate limiter (rate_limiter.js) of the run, ie. shared with the other stages
+// Without activity or rateLimiter the run gets a new one of its own.
+// Resolves with { successful, skipped, failed, interrupted, correctedUrls }, plus the selected URLs for a dry run.
+async function extractZoomifyUrls(urls, options = {}) {
+    const {
+        events = null, signal = null, checkpoint = null, handleSigint = false,
+        activity = createActivity(), rateLimiter = createRateLimiter(), ...settings
+    } = options;
+    const config = resolveOptions('extract', settings);
+    rateLimiter.configure(config);
+    urls = selectProductUrls(urls, config, getJobStore(config.workingDir));
+
+    const stats = {
+        successful: 0,
+        skipped: 0,
+        failed: 0,
+        interrupted: false,
+        correctedUrls: []
+    };
+
+    if (config.dryRun) {
+        printDryRun('extract', urls, getJobStore(config.workingDir));
+        return { ...stats, dryRun: true, selected: urls };
+    }
+    if (urls.length === 0) {
+        return stats;
+    }
+
+    const run = {
+        config,
+        store: getJobStore(config.workingDir),
+        stats,
+        checkpoint,
+        events,
+        activity,
+        rateLimiter,
+        notifier: createRunNotifier('extract', config),
+        total: urls.length,
+        startedAt: Date.now(),
+        firstSuccessTime: null,
+        processedCount: 0,
+        interrupts: watchInterrupts(() => {
+            if (checkpoint) {
+                checkpoint.save('interrupted');
+            }
+        }, { signal, sigint: handleSigint })
+    };
+    run.activity.beginStage('extract', urls.length);
+    emit(run, 'start', { total: urls.length });
+
+    // The browser is only started once a URL needs the Playwright fallback.
+    // Each worker of the pool has a page of its own, so no two URLs ever navigate the same page.
+    const browser = createBrowserSession({
+        userAgent: config.userAgent,
+        blockResources: config.blockResources,
+        recycleAfter: config.browserRecycle
+    });
+
+    // The first URL runs on its own; the pool then grows to full concurrency
+    const pool = createWorkerPool({
+        concurrency: 1,
+        jobTimeout: config.jobTimeout,
+        beforeJob: async () => {
+            // While paused from the dashboard nothing new starts
+            await run.activity.waitWhilePaused(() => run.interrupts.isStopping());
+            return !run.interrupts.isStopping();
+        }
+    });
+    // Aborting the caller's signal or a second Ctrl-C also aborts the extractions in flight
+    run.interrupts.cancelSignal.addEventListener('abort', () => pool.cancel(), { once: true });
+    run.activity.setPool('extract', pool);
+
     try {
-        // Load previously processed URLs from logs
-        const readLog = (filePath) => {
-            if (!fs.existsSync(filePath)) {
-                return new Set();
+        console.log('[INFO] Processing first URL with single concurrency...');
+        let first = true;
+        await pool.run(urls, async (url, { slot, signal: jobSignal }) => {
+            let usedPage = false;
+            const getPage = () => {
+                usedPage = true;
+                return browser.page(slot);
+            };
+            // Closing a timed out job's context makes whatever it is waiting on fail; the slot gets a new one.
+            // A job that never opened the page (ie. plain HTTP resolving) leaves the slot's context alone.
+            jobSignal.addEventListener('abort', () => {
+                if (usedPage) {
+                    browser.discard(slot);
+                }
+            }, { once: true });
+            await processUrl(run, getPage, url, 0, jobSignal);
+            if (usedPage) {
+                await browser.pageDone(slot);
+            }
+            if (first) {
+                first = false;
+                console.log('[INFO] First URL processed, continuing with full concurrency...');
+                pool.setConcurrency(config.concurrency);
             }
-            const content = fs.readFileSync(filePath, 'utf-8');
-            return new Set(
-                content.split('\n')
-                    .filter(line => line && typeof line === 'string')
-                    .map(line => line.trim())
-                    .filter(Boolean)
-                    .map(line => {
-                        const parts = line.split('|');
-                        return parts.length > 1 ? parts[1].trim() : line.trim();
-                    })
-                    .filter(Boolean)
-            );
-        };
-
-        const successSet = readLog(successLogFile);
-        const failureSet = readLog(failureLogFile);
-
-        // Read and filter input URLs
-        const allUrls = await validateEnvironment();
+        });
+    } finally {
+        await browser.close();
+        stats.interrupted = run.interrupts.isStopping();
+        run.interrupts.dispose();
+        run.activity.endStage('extract');
+        if (stats.successful > 0) {
+            const catalog = updateCatalog(config);
+            console.log(`[INFO] Catalog updated with ${catalog.count} maps: ${catalog.jsonlPath}`);
+        }
+    }
+
+    emit(run, 'end', { ...stats });
+    await run.notifier.flush();
+    return stats;
+}
+
+// Command line: extract the next batch of URLs from the last sitemap check
+async function main() {
+    // Settings come from config.js (config file, environment, then named flags)
+    // Example; default values: node extract_zoomify.js --batch-size 20 --start-index 0 --concurrency 5
+    const config = loadConfigOrExit('extract');
+    const { workingDir, batchSize, startIndex, concurrency } = config;
+    const progressPath = extractPaths(workingDir).progress;
+
+    let dashboard = null;
+    try {
+        // Read and filter input URLs; a URL list file takes the place of the last sitemap check
+        const allUrls = config.urlList
+            ? readUrlListFile(config.urlList).filter(url => !/ImageProperties\.xml$/i.test(url))
+            : await validateEnvironment(workingDir);
+        const selected = describeSelection(config);
+        if (selected) {
+            console.log(`[INFO] Selection: ${selected}`);
+        }
+
+        // The start index always counts lines of the full URL list, so it points at the same URL between runs
+        let from = startIndex;
+        if (config.resume) {
+            const saved = resumeIndex(progressPath, allUrls);
+            if (saved === null) {
+                console.log(`[INFO] No checkpoint found in ${progressPath}, starting at index ${startIndex}`);
+            } else {
+                from = saved;
+                console.log(`[INFO] Resuming from index ${from}`);
+            }
+        }
 
         // Get the batch of URLs to process
+        const pending = new Set(selectProductUrls(filterUnprocessed(allUrls, config), config, getJobStore(workingDir)));
         const urls = allUrls
-            .filter(url => !successSet.has(url) && !failureSet.has(url))
-            .slice(startIndex, startIndex + batchSize);
+            .slice(from)
+            .filter(url => pending.has(url))
+            .slice(0, batchSize);
 
         if (urls.length === 0) {
             console.log('[INFO] No new URLs to process');
             return;
         }
+        if (config.dryRun) {
+            await extractZoomifyUrls(urls, config);
+            return;
+        }
 
-        // Initialize browser
-        const browser = await chromium.launch({ 
-            headless: true,
+        const batchCheckpoint = createCheckpoint({
+            filePath: progressPath,
+            urls: allUrls,
+            queue: urls,
+            startIndex: from,
+            extra: () => ({ counts: getJobStore(workingDir).counts() })
         });
+        batchCheckpoint.save();
 
-        const stats = {
-            successful: 0,
-            skipped: 0,
-            failed: 0
-        };
-
-        // Process first URL with single concurrency
-        console.log('[INFO] Processing first URL with single concurrency...');
-        const firstPage = await browser.newPage();
-        await processUrl(firstPage, urls[0], stats);
-        await firstPage.close();
-        console.log('[INFO] First URL processed, continuing with full concurrency...');
-
-        // Create pool of browser pages for concurrent processing of remaining URLs
-        const remainingUrls = urls.slice(1);
-        if (remainingUrls.length > 0) {
-        const pages = await Promise.all(
-            Array(maxConcurrent).fill(0).map(() => browser.newPage())
-        );
-
-            // Process remaining URLs in chunks
-            const chunkSize = Math.min(maxConcurrent * 2, remainingUrls.length);
-            for (let i = 0; i < remainingUrls.length; i += chunkSize) {
-                const chunk = remainingUrls.slice(i, i + chunkSize);
-            const tasks = chunk.map((url, index) => 
-                processUrl(pages[index % pages.length], url, stats)
-            );
-
-            await Promise.all(tasks);
+        // The dashboard shows the live progress of this run and the rate limiter's hosts
+        const activity = createActivity();
+        const rateLimiter = createRateLimiter();
+        if (config.dashboardPort) {
+            dashboard = await startDashboard({ store: getJobStore(workingDir), workingDir, port: config.dashboardPort, host: config.dashboardHost, activity, rateLimiter });
         }
+        const stats = await extractZoomifyUrls(urls, { ...config, checkpoint: batchCheckpoint, handleSigint: true, activity, rateLimiter });
+        batchCheckpoint.save(stats.interrupted ? 'interrupted' : 'complete');
 
-        await Promise.all(pages.map(page => page.close()));
-        }
-
-        await browser.close();
-
-        console.log(`\n[BATCH COMPLETE] Progress saved to ${progressPath}`);
+        console.log(`\n[BATCH ${stats.interrupted ? 'INTERRUPTED' : 'COMPLETE'}] Progress saved to ${progressPath}`);
         console.log(`[SUCCESSFUL] ${stats.successful}`);
         console.log(`[SKIPPED] ${stats.skipped}`);
         console.log(`[FAILED] ${stats.failed}`);
         
         // Show command for next batch if there are more URLs
-        if (startIndex + batchSize < allUrls.length) {
+        if (batchCheckpoint.cursor < allUrls.length) {
             console.log('\n[NEXT BATCH] Run the following command:');
-            console.log(`node extract_zoomify.js ${batchSize} ${startIndex + batchSize} ${maxConcurrent}`);
+            console.log(`node extract_zoomify.js --resume --batch-size ${batchSize} --concurrency ${concurrency}`);
         }
 
     } catch (error) {
         console.error('[ERROR]:', error.message);
-        process.exit(1);
+        // Not process.exit, so the finally below still closes the dashboard
+        process.exitCode = 1;
+    } finally {
+        if (dashboard) {
+            await dashboard.close();
+        }
     }
-})();
+}
+
+if (require.main === module) {
+    main();
+}
 
+module.exports = {
+    extractZoomifyUrls,
+    updateCatalog,
+    filterUnprocessed
+};
@@ -0,0 +1,91 @@
+// Failure categories and how each one is retried within a run.
+// retries: extra attempts after the first; delay: wait before the first retry (ms), multiplied by factor after each one
+const RETRY_POLICIES = {
+    http_404:              { retries: 0, delay: 0,     factor: 1, description: 'page or file not found (HTTP 404)' },
+    http_403:              { retries: 1, delay: 60000, factor: 1, description: 'access refused (HTTP 403), possibly rate limited' },
+    http_error:            { retries: 3, delay: 15000, factor: 2, description: 'other HTTP error status, ie. 500 or 503' },
+    timeout:               { retries: 3, delay: 15000, factor: 2, description: 'request or page load timed out' },
+    missing_modal_comment: { retries: 1, delay: 5000,  factor: 1, description: 'product page has no Zoomify modal comment' },
+    missing_zoomlink:      { retries: 1, delay: 5000,  factor: 1, description: 'no data-zoomlink found after the modal comment' },
+    invalid_xml:           { retries: 2, delay: 10000, factor: 2, description: 'ImageProperties.xml missing or unreadable' },
+    dezoomify_error:       { retries: 2, delay: 30000, factor: 2, description: 'tile download or stitching failed' },
+    corrupt_image:         { retries: 1, delay: 5000,  factor: 1, description: 'stitched image failed verification' },
+    disk_error:            { retries: 0, delay: 0,     factor: 1, description: 'file could not be written or moved' },
+    unsupported_format:    { retries: 0, delay: 0,     factor: 1, description: 'image too large for the output format' },
+    browser_crash:         { retries: 2, delay: 5000,  factor: 1, description: 'browser or page crashed or was closed' },
+    unknown:               { retries: 2, delay: 10000, factor: 2, description: 'anything not matched above' }
+};
+
+const FAILURE_CATEGORIES = Object.keys(RETRY_POLICIES);
+
+// System error codes that mean the local disk, not the network, is at fault
+const DISK_ERROR_CODES = ['ENOSPC', 'EDQUOT', 'EACCES', 'EPERM', 'EROFS', 'EXDEV', 'EMFILE', 'ENFILE', 'EBUSY', 'EIO', 'ENOENT'];
+const TIMEOUT_ERROR_CODES = ['ETIMEDOUT', 'ESOCKETTIMEDOUT', 'ECONNRESET'];
+
+// Work out the category of an error thrown while extracting or downloading.
+// stage is 'extract' or 'download'; unmatched download errors count as dezoomify errors.
+function classifyError(err, stage) {
+    // Wrapped errors (ie. a tile failing after its own retries) are classified by their cause
+    let error = err;
+    while (error && error.cause && !error.statusCode && !error.code) {
+        error = error.cause;
+    }
+    error = error || {};
+    const message = String(error.message || error);
+
+    if (error.code && DISK_ERROR_CODES.includes(error.code)) {
+        return 'disk_error';
+    }
+    if (error.statusCode === 404) {
+        return 'http_404';
+    }
+    if (error.statusCode === 403) {
+        return 'http_403';
+    }
+    if (error.statusCode) {
+        return 'http_error';
+    }
+    if (error.name === 'TimeoutError' || TIMEOUT_ERROR_CODES.includes(error.code) || /timed? ?out/i.test(message)) {
+        return 'timeout';
+    }
+    if (/Target (page, context or browser )?(has been )?closed|Browser has been closed|Page crashed|browser has disconnected/i.test(message)) {
+        return 'browser_crash';
+    }
+    if (/too large for \w+ \(at most/.test(message)) {
+        return 'unsupported_format';
+    }
+    if (/^Verification failed/.test(message)) {
+        return 'corrupt_image';
+    }
+    if (/modal comment not found/i.test(message)) {
+        return 'missing_modal_comment';
+    }
+    if (/data-zoomlink|script element found after modal/i.test(message)) {
+        return 'missing_zoomlink';
+    }
+    if (/Invalid XML content|ImageProperties\.xml/i.test(message)) {
+        return 'invalid_xml';
+    }
+    return stage === 'download' ? 'dezoomify_error' : 'unknown';
+}
+
+// Whether a failure in this category gets another attempt; attempt counts from 0 for the first try
+function shouldRetry(category, attempt) {
+    const policy = RETRY_POLICIES[category] || RETRY_POLICIES.unknown;
+    return attempt < policy.retries;
+}
+
+// Milliseconds to wait before the next attempt, with up to 25% jitter so workers do not retry in step
+function retryDelay(category, attempt) {
+    const policy = RETRY_POLICIES[category] || RETRY_POLICIES.unknown;
+    const delay = policy.delay * Math.pow(policy.factor, attempt);
+    return Math.round(delay * (1 + Math.random() * 0.25));
+}
+
+module.exports = {
+    RETRY_POLICIES,
+    FAILURE_CATEGORIES,
+    classifyError,
+    shouldRetry,
+    retryDelay
+};
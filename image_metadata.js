@@ -0,0 +1,329 @@
+const fs = require('fs');
+const path = require('path');
+const { pipeline } = require('stream/promises');
+
+// JPEG markers and segment signatures
+const SOI = 0xffd8;
+const APP1 = 0xffe1;
+const APP13 = 0xffed;
+const SOS = 0xffda;
+const XMP_SIGNATURE = Buffer.from('http://ns.adobe.com/xap/1.0/\0', 'latin1');
+const EXIF_SIGNATURE = Buffer.from('Exif\0\0', 'latin1');
+const PHOTOSHOP_SIGNATURE = Buffer.from('Photoshop 3.0\0', 'latin1');
+
+// Namespace for the fields that have no standard XMP home
+const PROVENANCE_NS = 'https://github.com/annie-things/geographicus-zoomify-ripper/ns/1.0/';
+
+// Helper function to escape text for XML
+function escapeXml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+// Helper function to pull a four digit year out of a free-text map date, ie. '1750 (dated)'
+function yearOf(date) {
+    const match = String(date || '').match(/\b(1[0-9]{3}|20[0-9]{2})\b/);
+    return match ? match[1] : null;
+}
+
+// Gather the values written to every metadata format from a job store row
+function metadataFields(row, downloadedAt = new Date().toISOString()) {
+    const metadata = row.metadata ? JSON.parse(row.metadata) : {};
+    return {
+        title: metadata.title || null,
+        cartographer: metadata.cartographer || null,
+        date: metadata.date || null,
+        year: yearOf(metadata.date),
+        region: metadata.region || null,
+        sku: metadata.sku || null,
+        productUrl: row.product_url || null,
+        imagePropertiesUrl: row.image_properties_url || null,
+        downloadedAt
+    };
+}
+
+// Build an XMP packet using Dublin Core and IPTC Core (photoshop:) properties
+function buildXmpPacket(fields) {
+    const properties = [];
+    const langAlt = (name, value) => properties.push(
+        `   <${name}><rdf:Alt><rdf:li xml:lang="x-default">${escapeXml(value)}</rdf:li></rdf:Alt></${name}>`);
+    const simple = (name, value) => properties.push(`   <${name}>${escapeXml(value)}</${name}>`);
+
+    if (fields.title) {
+        langAlt('dc:title', fields.title);
+    }
+    if (fields.cartographer) {
+        properties.push(`   <dc:creator><rdf:Seq><rdf:li>${escapeXml(fields.cartographer)}</rdf:li></rdf:Seq></dc:creator>`);
+    }
+    if (fields.date) {
+        langAlt('dc:description', `Map date: ${fields.date}`);
+    }
+    if (fields.year) {
+        simple('photoshop:DateCreated', fields.year);
+    }
+    if (fields.region) {
+        properties.push(`   <dc:coverage>${escapeXml(fields.region)}</dc:coverage>`);
+    }
+    if (fields.sku) {
+        simple('dc:identifier', fields.sku);
+    }
+    if (fields.productUrl) {
+        simple('dc:source', fields.productUrl);
+        simple('photoshop:Source', fields.productUrl);
+    }
+    if (fields.imagePropertiesUrl) {
+        simple('zr:ImagePropertiesUrl', fields.imagePropertiesUrl);
+    }
+    simple('zr:DownloadedAt', fields.downloadedAt);
+    simple('xmp:MetadataDate', fields.downloadedAt);
+
+    return [
+        '<?xpacket begin="﻿" id="W5M0MpCehiHzreSzNTczkc9d"?>',
+        '<x:xmpmeta xmlns:x="adobe:ns:meta/">',
+        ' <rdf:RDF xmlns:rdf="http://www.w3.org/1999/02/22-rdf-syntax-ns#">',
+        '  <rdf:Description rdf:about=""',
+        '    xmlns:dc="http://purl.org/dc/elements/1.1/"',
+        '    xmlns:xmp="http://ns.adobe.com/xap/1.0/"',
+        '    xmlns:photoshop="http://ns.adobe.com/photoshop/1.0/"',
+        `    xmlns:zr="${PROVENANCE_NS}">`,
+        ...properties,
+        '  </rdf:Description>',
+        ' </rdf:RDF>',
+        '</x:xmpmeta>',
+        '<?xpacket end="w"?>'
+    ].join('\n');
+}
+
+// Build a legacy IPTC-IIM block (Photoshop image resource 0x0404)
+function buildIptcBlock(fields) {
+    const datasets = [];
+    const add = (number, value) => {
+        const data = Buffer.from(String(value), 'utf-8').subarray(0, 2000);
+        const header = Buffer.alloc(5);
+        header.writeUInt8(0x1c, 0);
+        header.writeUInt8(2, 1);
+        header.writeUInt8(number, 2);
+        header.writeUInt16BE(data.length, 3);
+        datasets.push(header, data);
+    };
+
+    add(0, '\u0000\u0004');  // Record version 4
+    add(90, '\u001b%G');     // Coded character set: UTF-8
+    if (fields.title) {
+        add(5, fields.title.substring(0, 64));  // Object name
+    }
+    if (fields.cartographer) {
+        add(80, fields.cartographer.substring(0, 32));  // By-line
+    }
+    if (fields.year) {
+        add(55, `${fields.year}0101`);  // Date created (IIM needs CCYYMMDD)
+    }
+    if (fields.region) {
+        add(101, fields.region.substring(0, 64));  // Country/primary location name
+    }
+    if (fields.productUrl) {
+        add(115, new URL(fields.productUrl).hostname.substring(0, 32));  // Source
+        add(120, `Source: ${fields.productUrl}\nImageProperties: ${fields.imagePropertiesUrl}\nDownloaded: ${fields.downloadedAt}`);  // Caption
+    }
+
+    const iptc = Buffer.concat(datasets);
+    const resourceHeader = Buffer.alloc(12);
+    resourceHeader.write('8BIM', 0, 'latin1');
+    resourceHeader.writeUInt16BE(0x0404, 4);
+    resourceHeader.writeUInt16BE(0, 6);   // Empty, padded resource name
+    resourceHeader.writeUInt32BE(iptc.length, 8);
+    const padding = Buffer.alloc(iptc.length % 2);
+
+    return Buffer.concat([PHOTOSHOP_SIGNATURE, resourceHeader, iptc, padding]);
+}
+
+// Build an EXIF block with ImageDescription, Artist and DateTime in IFD0
+function buildExifBlock(fields) {
+    const pad = n => String(n).padStart(2, '0');
+    const downloaded = new Date(fields.downloadedAt);
+    const dateTime = `${downloaded.getUTCFullYear()}:${pad(downloaded.getUTCMonth() + 1)}:${pad(downloaded.getUTCDate())} `
+        + `${pad(downloaded.getUTCHours())}:${pad(downloaded.getUTCMinutes())}:${pad(downloaded.getUTCSeconds())}`;
+
+    const entries = [
+        [0x010e, [fields.title, fields.productUrl].filter(Boolean).join(' - ')],  // ImageDescription
+        [0x0132, dateTime],                                                       // DateTime
+        [0x013b, fields.cartographer]                                             // Artist
+    ].filter(([, value]) => value);
+
+    // TIFF header, then IFD0 (count, 12 byte entries, next IFD offset), then the string values
+    const ifdSize = 2 + entries.length * 12 + 4;
+    const values = entries.map(([, value]) => Buffer.from(`${value.replace(/[^\x20-\x7e]/g, '?')}\0`, 'latin1'));
+    const tiff = Buffer.alloc(8 + ifdSize + values.reduce((sum, value) => sum + value.length, 0));
+
+    tiff.write('II', 0, 'latin1');
+    tiff.writeUInt16LE(42, 2);
+    tiff.writeUInt32LE(8, 4);
+    tiff.writeUInt16LE(entries.length, 8);
+
+    let valueOffset = 8 + ifdSize;
+    entries.forEach(([tag], i) => {
+        const entryOffset = 10 + i * 12;
+        tiff.writeUInt16LE(tag, entryOffset);
+        tiff.writeUInt16LE(2, entryOffset + 2);   // ASCII
+        tiff.writeUInt32LE(values[i].length, entryOffset + 4);
+        if (values[i].length <= 4) {
+            values[i].copy(tiff, entryOffset + 8);
+        } else {
+            tiff.writeUInt32LE(valueOffset, entryOffset + 8);
+            values[i].copy(tiff, valueOffset);
+            valueOffset += values[i].length;
+        }
+    });
+    tiff.writeUInt32LE(0, 10 + entries.length * 12);
+
+    return Buffer.concat([EXIF_SIGNATURE, tiff.subarray(0, valueOffset)]);
+}
+
+// Helper function to build a JPEG marker segment
+function segment(marker, payload) {
+    if (payload.length + 2 > 0xffff) {
+        throw new Error(`Metadata segment is too large for a JPEG (${payload.length} bytes)`);
+    }
+    const header = Buffer.alloc(4);
+    header.writeUInt16BE(marker, 0);
+    header.writeUInt16BE(payload.length + 2, 2);
+    return Buffer.concat([header, payload]);
+}
+
+// Helper function to tell the metadata segments this tool rewrites from the ones it keeps
+function isReplacedSegment(marker, payload) {
+    return (marker === APP1 && (payload.subarray(0, XMP_SIGNATURE.length).equals(XMP_SIGNATURE)
+            || payload.subarray(0, EXIF_SIGNATURE.length).equals(EXIF_SIGNATURE)))
+        || (marker === APP13 && payload.subarray(0, PHOTOSHOP_SIGNATURE.length).equals(PHOTOSHOP_SIGNATURE));
+}
+
+// Helper function to build the header of a tagged JPEG from the segments kept from the original
+function metadataHeader(kept, fields) {
+    // EXIF must come first after SOI (a JFIF APP0 may precede it); XMP and IPTC follow
+    const app0 = kept.length > 0 && kept[0].readUInt16BE(0) === 0xffe0 ? [kept.shift()] : [];
+    const soi = Buffer.alloc(2);
+    soi.writeUInt16BE(SOI, 0);
+    return Buffer.concat([
+        soi,
+        ...app0,
+        segment(APP1, buildExifBlock(fields)),
+        segment(APP1, Buffer.concat([XMP_SIGNATURE, Buffer.from(buildXmpPacket(fields), 'utf-8')])),
+        segment(APP13, buildIptcBlock(fields)),
+        ...kept
+    ]);
+}
+
+// Replace the XMP, EXIF and IPTC segments of a JPEG, keeping the image data untouched
+function embedJpegMetadata(jpeg, fields) {
+    if (jpeg.readUInt16BE(0) !== SOI) {
+        throw new Error('Not a JPEG file');
+    }
+
+    // Walk the header segments, dropping metadata segments this tool rewrites
+    const kept = [];
+    let offset = 2;
+    while (offset < jpeg.length) {
+        const marker = jpeg.readUInt16BE(offset);
+        if (marker === SOS || (marker & 0xff00) !== 0xff00) {
+            break;
+        }
+        const length = jpeg.readUInt16BE(offset + 2);
+        if (!isReplacedSegment(marker, jpeg.subarray(offset + 4, offset + 2 + length))) {
+            kept.push(jpeg.subarray(offset, offset + 2 + length));
+        }
+        offset += 2 + length;
+    }
+
+    return Buffer.concat([metadataHeader(kept, fields), jpeg.subarray(offset)]);
+}
+
+// Helper function to read part of an open file
+async function readAt(handle, position, length) {
+    const buffer = Buffer.alloc(length);
+    const { bytesRead } = await handle.read(buffer, 0, length, position);
+    return buffer.subarray(0, bytesRead);
+}
+
+// Helper function to do what embedJpegMetadata does to a JPEG file without reading it into memory:
+// only the header segments are read, the image data is streamed into a temporary file that then
+// replaces the original
+async function embedJpegFile(imagePath, fields) {
+    const kept = [];
+    let offset = 2;
+    const handle = await fs.promises.open(imagePath, 'r');
+    try {
+        const soi = await readAt(handle, 0, 2);
+        if (soi.length < 2 || soi.readUInt16BE(0) !== SOI) {
+            throw new Error('Not a JPEG file');
+        }
+        for (;;) {
+            const head = await readAt(handle, offset, 4);
+            if (head.length < 4) {
+                break;
+            }
+            const marker = head.readUInt16BE(0);
+            if (marker === SOS || (marker & 0xff00) !== 0xff00) {
+                break;
+            }
+            const length = head.readUInt16BE(2);
+            const bytes = await readAt(handle, offset, 2 + length);
+            if (!isReplacedSegment(marker, bytes.subarray(4))) {
+                kept.push(bytes);
+            }
+            offset += 2 + length;
+        }
+    } finally {
+        await handle.close();
+    }
+
+    const tempPath = `${imagePath}.tmp`;
+    try {
+        await fs.promises.writeFile(tempPath, metadataHeader(kept, fields));
+        await pipeline(
+            fs.createReadStream(imagePath, { start: offset }),
+            fs.createWriteStream(tempPath, { flags: 'a' })
+        );
+        await fs.promises.rename(tempPath, imagePath);
+    } catch (error) {
+        await fs.promises.rm(tempPath, { force: true });
+        throw error;
+    }
+}
+
+// Path of the sidecar written next to an image, ie. map.tif -> map.xmp
+function sidecarPath(imagePath) {
+    return path.join(path.dirname(imagePath), `${path.parse(imagePath).name}.xmp`);
+}
+
+// Write provenance metadata for a downloaded image.
+// mode: 'embed' (sidecar only when the format cannot be embedded), 'sidecar', 'both' or 'off'.
+// Resolves to the files written.
+async function writeImageMetadata(imagePath, fields, mode = 'embed') {
+    const written = [];
+    if (mode === 'off') {
+        return written;
+    }
+
+    const isJpeg = /\.jpe?g$/i.test(imagePath);
+    if ((mode === 'embed' || mode === 'both') && isJpeg) {
+        await embedJpegFile(imagePath, fields);
+        written.push(imagePath);
+    }
+    if (mode === 'sidecar' || mode === 'both' || !isJpeg) {
+        fs.writeFileSync(sidecarPath(imagePath), buildXmpPacket(fields), 'utf-8');
+        written.push(sidecarPath(imagePath));
+    }
+
+    return written;
+}
+
+module.exports = {
+    metadataFields,
+    buildXmpPacket,
+    embedJpegMetadata,
+    sidecarPath,
+    writeImageMetadata
+};
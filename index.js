@@ -0,0 +1,26 @@
+// Library entry point: each stage of the scraper as a function taking config.js settings as options.
+// See "Library use" in readme.md.
+const { checkSitemapChanges, loadSitemapUrls } = require('./track_sitemap_changes');
+const { extractZoomifyUrls, filterUnprocessed, updateCatalog } = require('./extract_zoomify');
+const { downloadImages, filterPending } = require('./run_dezoomify');
+const { sync, STAGES } = require('./pipeline');
+const { resolveOptions } = require('./config');
+const { getJobStore } = require('./job_store');
+const { createActivity } = require('./activity');
+const { createRateLimiter } = require('./rate_limiter');
+
+module.exports = {
+    STAGES,
+    checkSitemapChanges,
+    loadSitemapUrls,
+    extractZoomifyUrls,
+    filterUnprocessed,
+    updateCatalog,
+    downloadImages,
+    filterPending,
+    sync,
+    resolveOptions,
+    getJobStore,
+    createActivity,
+    createRateLimiter
+};
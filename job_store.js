@@ -0,0 +1,621 @@
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+
+// Schema changes, applied in order; PRAGMA user_version records how many have run
+const MIGRATIONS = [
+    `CREATE TABLE maps (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        product_url TEXT UNIQUE,
+        zoomlink_id TEXT,
+        image_properties_url TEXT UNIQUE,
+        extract_status TEXT NOT NULL DEFAULT 'pending',
+        extract_attempts INTEGER NOT NULL DEFAULT 0,
+        extract_error TEXT,
+        download_status TEXT NOT NULL DEFAULT 'pending',
+        download_attempts INTEGER NOT NULL DEFAULT 0,
+        download_error TEXT,
+        download_error_type TEXT,
+        output_path TEXT,
+        created_at TEXT NOT NULL,
+        updated_at TEXT NOT NULL
+    );
+    CREATE INDEX maps_extract_status ON maps (extract_status);
+    CREATE INDEX maps_download_status ON maps (download_status);`,
+    `ALTER TABLE maps ADD COLUMN metadata TEXT;
+    ALTER TABLE maps ADD COLUMN width INTEGER;
+    ALTER TABLE maps ADD COLUMN height INTEGER;
+    ALTER TABLE maps ADD COLUMN num_tiles INTEGER;`,
+    `ALTER TABLE maps ADD COLUMN downloaded_at TEXT;`,
+    // Failure categories (failures.js); earlier failures are classified from their error text
+    `ALTER TABLE maps ADD COLUMN extract_error_type TEXT;
+    UPDATE maps SET extract_error_type = CASE
+            WHEN extract_error LIKE '%status 404%' THEN 'http_404'
+            WHEN extract_error LIKE '%status 403%' THEN 'http_403'
+            WHEN extract_error LIKE '%status %' THEN 'http_error'
+            WHEN extract_error LIKE '%timeout%' OR extract_error LIKE '%timed out%' THEN 'timeout'
+            WHEN extract_error LIKE '%modal comment not found%' THEN 'missing_modal_comment'
+            WHEN extract_error LIKE '%data-zoomlink%' OR extract_error LIKE '%script element%' THEN 'missing_zoomlink'
+            WHEN extract_error LIKE '%Invalid XML content%' THEN 'invalid_xml'
+            ELSE 'unknown'
+        END
+        WHERE extract_status = 'failed';
+    UPDATE maps SET download_error_type = CASE download_error_type
+            WHEN 'move_failure' THEN 'disk_error'
+            ELSE 'dezoomify_error'
+        END
+        WHERE download_status = 'failed';`,
+    `ALTER TABLE maps ADD COLUMN sha256 TEXT;
+    ALTER TABLE maps ADD COLUMN verified_at TEXT;`,
+    // Re-scan detection (rescan.js): when ImageProperties were last compared, what changed, and the archived versions
+    `ALTER TABLE maps ADD COLUMN rescanned_at TEXT;
+    ALTER TABLE maps ADD COLUMN rescan_changes TEXT;
+    CREATE TABLE map_versions (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        map_id INTEGER NOT NULL REFERENCES maps (id),
+        zoomlink_id TEXT,
+        image_properties_url TEXT,
+        width INTEGER,
+        height INTEGER,
+        num_tiles INTEGER,
+        sha256 TEXT,
+        downloaded_at TEXT,
+        archived_path TEXT,
+        changes TEXT,
+        archived_at TEXT NOT NULL
+    );
+    CREATE INDEX map_versions_map_id ON map_versions (map_id);`,
+    // Products no longer in the sitemap (delisted.js)
+    `ALTER TABLE maps ADD COLUMN delisted_at TEXT;`,
+    // Duplicate detection (duplicates.js): the map a product or download duplicates, and the perceptual hash of the download
+    `ALTER TABLE maps ADD COLUMN duplicate_of INTEGER REFERENCES maps (id);
+    ALTER TABLE maps ADD COLUMN phash TEXT;`,
+    // TILESIZE of ImageProperties.xml, so verification looks at the same tile regions the download had
+    `ALTER TABLE maps ADD COLUMN tile_size INTEGER;`,
+    // The file a duplicate's output was replaced with a link to (duplicates policy link)
+    `ALTER TABLE maps ADD COLUMN linked_to TEXT;`
+];
+
+// One open store per database file, shared by every script in the process
+const openStores = new Map();
+
+// Helper function to format timestamps consistently
+function getTimestamp() {
+    return new Date().toISOString();
+}
+
+// Helper function to pull the zoomlink ID out of an ImageProperties URL
+function zoomlinkIdFromUrl(imagePropertiesUrl, zoomifyBaseUrl) {
+    const rest = imagePropertiesUrl.startsWith(zoomifyBaseUrl)
+        ? imagePropertiesUrl.slice(zoomifyBaseUrl.length)
+        : imagePropertiesUrl.split('/').slice(-2)[0];
+    const dashIndex = rest.indexOf('-');
+    return dashIndex === -1 ? null : rest.substring(0, dashIndex);
+}
+
+// Bring the database schema up to date
+function migrate(db) {
+    const version = db.pragma('user_version', { simple: true });
+    for (let i = version; i < MIGRATIONS.length; i++) {
+        db.transaction(() => {
+            db.exec(MIGRATIONS[i]);
+            db.pragma(`user_version = ${i + 1}`);
+        })();
+    }
+}
+
+// Open (or create) the job state database at dbPath
+function createJobStore(dbPath) {
+    fs.mkdirSync(path.dirname(dbPath), { recursive: true });
+    const db = new Database(dbPath);
+    db.pragma('journal_mode = WAL');
+    migrate(db);
+
+    const statements = {
+        byProductUrl: db.prepare('SELECT * FROM maps WHERE product_url = ?'),
+        byImagePropertiesUrl: db.prepare('SELECT * FROM maps WHERE image_properties_url = ?'),
+        insertProduct: db.prepare(`INSERT OR IGNORE INTO maps (product_url, created_at, updated_at)
+            VALUES (?, ?, ?)`),
+        insertImageProperties: db.prepare(`INSERT OR IGNORE INTO maps (image_properties_url, zoomlink_id, extract_status, created_at, updated_at)
+            VALUES (?, ?, 'success', ?, ?)`),
+        pendingExtraction: db.prepare(`SELECT product_url FROM maps
+            WHERE product_url IS NOT NULL AND extract_status = 'pending' AND delisted_at IS NULL ORDER BY id`),
+        pendingDownloads: db.prepare(`SELECT image_properties_url FROM maps
+            WHERE extract_status = 'success' AND download_status = 'pending' AND image_properties_url IS NOT NULL ORDER BY id`),
+        extracted: db.prepare(`SELECT image_properties_url FROM maps
+            WHERE extract_status = 'success' AND image_properties_url IS NOT NULL ORDER BY id`),
+        counts: db.prepare(`SELECT
+                COUNT(*) AS total,
+                SUM(extract_status = 'success') AS extracted,
+                SUM(extract_status = 'failed') AS extractFailed,
+                SUM(download_status = 'success') AS downloaded,
+                SUM(download_status = 'failed') AS downloadFailed,
+                SUM(download_attempts > 1) AS multipleDownloadAttempts,
+                SUM(duplicate_of IS NOT NULL) AS duplicates
+            FROM maps`),
+        failuresByType: db.prepare(`SELECT download_error_type AS type, COUNT(*) AS count FROM maps
+            WHERE download_status = 'failed' GROUP BY download_error_type`),
+        extractFailuresByType: db.prepare(`SELECT extract_error_type AS type, COUNT(*) AS count FROM maps
+            WHERE extract_status = 'failed' GROUP BY extract_error_type`)
+    };
+
+    // Helper function to turn grouped failure counts into { type: count }
+    function countByType(rows) {
+        return rows.reduce((acc, row) => {
+            acc[row.type || 'unknown'] = row.count;
+            return acc;
+        }, {});
+    }
+
+    // Helper function to update named columns of one row
+    function updateRow(id, fields) {
+        const columns = Object.keys(fields);
+        const assignments = columns.map(column => `${column} = @${column}`).join(', ');
+        db.prepare(`UPDATE maps SET ${assignments}, updated_at = @updated_at WHERE id = @id`)
+            .run({ ...fields, updated_at: getTimestamp(), id });
+    }
+
+    // Helper function to find or create the row for an ImageProperties URL
+    function imagePropertiesRow(imagePropertiesUrl, zoomlinkId = null) {
+        let row = statements.byImagePropertiesUrl.get(imagePropertiesUrl);
+        if (!row) {
+            const now = getTimestamp();
+            statements.insertImageProperties.run(imagePropertiesUrl, zoomlinkId, now, now);
+            row = statements.byImagePropertiesUrl.get(imagePropertiesUrl);
+        }
+        return row;
+    }
+
+    const store = {
+        db,
+
+        // Register product URLs so they are queued for extraction
+        addProductUrls(urls) {
+            const now = getTimestamp();
+            db.transaction(() => {
+                urls.forEach(url => statements.insertProduct.run(url, now, now));
+            })();
+        },
+
+        // Register ImageProperties URLs that were resolved outside the store
+        addImagePropertiesUrls(urls) {
+            db.transaction(() => {
+                urls.forEach(url => imagePropertiesRow(url));
+            })();
+        },
+
+        getByProductUrl(url) {
+            return statements.byProductUrl.get(url);
+        },
+
+        getByImagePropertiesUrl(url) {
+            return statements.byImagePropertiesUrl.get(url);
+        },
+
+        getById(id) {
+            return db.prepare('SELECT * FROM maps WHERE id = ?').get(id);
+        },
+
+        pendingExtraction() {
+            return statements.pendingExtraction.all().map(row => row.product_url);
+        },
+
+        pendingDownloads() {
+            return statements.pendingDownloads.all().map(row => row.image_properties_url);
+        },
+
+        // Every resolved ImageProperties URL, in the order the maps were first recorded
+        extractedImagePropertiesUrls() {
+            return statements.extracted.all().map(row => row.image_properties_url);
+        },
+
+        // The rows of those maps, in the same order
+        extractedMaps() {
+            return db.prepare(`SELECT * FROM maps
+                WHERE extract_status = 'success' AND image_properties_url IS NOT NULL ORDER BY id`).all();
+        },
+
+        // metadata (scraped product details) and the ImageProperties values are optional.
+        // Returns the row of another product that already resolved to the same ImageProperties URL, if any:
+        // this product is then recorded as its duplicate, without an ImageProperties URL of its own.
+        recordExtractSuccess(productUrl, { zoomlinkId, imagePropertiesUrl, attempts = 1, metadata, imageProperties }) {
+            return db.transaction(() => {
+                store.addProductUrls([productUrl]);
+                const row = statements.byProductUrl.get(productUrl);
+
+                const existing = statements.byImagePropertiesUrl.get(imagePropertiesUrl);
+                if (existing && existing.id !== row.id && existing.product_url) {
+                    updateRow(row.id, {
+                        metadata: metadata ? JSON.stringify(metadata) : row.metadata,
+                        zoomlink_id: zoomlinkId,
+                        duplicate_of: existing.id,
+                        extract_status: 'success',
+                        extract_attempts: row.extract_attempts + attempts,
+                        extract_error: null,
+                        extract_error_type: null
+                    });
+                    return existing;
+                }
+
+                // A row imported with only its ImageProperties URL is merged into the product row
+                const orphan = existing;
+                const merged = {};
+                if (orphan && orphan.id !== row.id) {
+                    ['download_status', 'download_attempts', 'download_error', 'download_error_type', 'output_path']
+                        .forEach(column => { merged[column] = orphan[column]; });
+                    db.prepare('DELETE FROM maps WHERE id = ?').run(orphan.id);
+                }
+
+                if (metadata) {
+                    merged.metadata = JSON.stringify(metadata);
+                }
+                if (imageProperties) {
+                    merged.width = imageProperties.width;
+                    merged.height = imageProperties.height;
+                    merged.num_tiles = imageProperties.numTiles;
+                    merged.tile_size = imageProperties.tileSize;
+                }
+
+                updateRow(row.id, {
+                    ...merged,
+                    zoomlink_id: zoomlinkId,
+                    image_properties_url: imagePropertiesUrl,
+                    extract_status: 'success',
+                    extract_attempts: row.extract_attempts + attempts,
+                    extract_error: null,
+                    extract_error_type: null,
+                    duplicate_of: null
+                });
+                return null;
+            })();
+        },
+
+        recordExtractFailure(productUrl, error, attempts = 1, type = 'unknown') {
+            store.addProductUrls([productUrl]);
+            const row = statements.byProductUrl.get(productUrl);
+            updateRow(row.id, {
+                extract_status: 'failed',
+                extract_attempts: row.extract_attempts + attempts,
+                extract_error: error,
+                extract_error_type: type
+            });
+        },
+
+        recordDownloadSuccess(imagePropertiesUrl, outputPath, attempts = 1) {
+            const row = imagePropertiesRow(imagePropertiesUrl);
+            updateRow(row.id, {
+                download_status: 'success',
+                download_attempts: row.download_attempts + attempts,
+                download_error: null,
+                download_error_type: null,
+                output_path: outputPath,
+                downloaded_at: getTimestamp(),
+                sha256: null,
+                verified_at: null,
+                rescan_changes: null,
+                duplicate_of: null,
+                phash: null,
+                linked_to: null
+            });
+        },
+
+        // Record the perceptual hash of a downloaded image (see duplicates.js)
+        recordImageHash(imagePropertiesUrl, phash) {
+            const row = imagePropertiesRow(imagePropertiesUrl);
+            updateRow(row.id, { phash });
+        },
+
+        // Mark a downloaded map as a near-identical copy of another one. With skipped its file is gone and
+        // it leaves the downloads (download_status 'duplicate'), so it is neither verified nor downloaded again.
+        // With skipped the file was deleted; with linkedTo it was replaced by a link to that file, which
+        // from then on is checked and tagged as the original's, so the duplicate keeps no checksum of its own.
+        recordDuplicate(imagePropertiesUrl, originalId, { skipped = false, linkedTo = null } = {}) {
+            const row = imagePropertiesRow(imagePropertiesUrl);
+            const fields = { duplicate_of: originalId };
+            if (skipped) {
+                Object.assign(fields, { download_status: 'duplicate', output_path: null, sha256: null, verified_at: null });
+            }
+            if (linkedTo) {
+                Object.assign(fields, { linked_to: linkedTo, sha256: null, verified_at: null });
+            }
+            updateRow(row.id, fields);
+        },
+
+        // Downloaded maps with a perceptual hash that are not duplicates themselves
+        hashedMaps() {
+            return db.prepare(`SELECT * FROM maps WHERE phash IS NOT NULL AND download_status = 'success'
+                AND duplicate_of IS NULL ORDER BY id`).all();
+        },
+
+        // Every map recorded as a duplicate of another, with the one it duplicates
+        duplicateMaps() {
+            return db.prepare('SELECT * FROM maps WHERE duplicate_of IS NOT NULL ORDER BY duplicate_of, id').all();
+        },
+
+        // Record the hash of a downloaded file that passed verification
+        recordVerification(imagePropertiesUrl, sha256) {
+            const row = imagePropertiesRow(imagePropertiesUrl);
+            updateRow(row.id, { sha256, verified_at: getTimestamp() });
+        },
+
+        // Put a downloaded map whose file failed verification back in the download queue
+        requeueDownload(imagePropertiesUrl, error) {
+            const row = imagePropertiesRow(imagePropertiesUrl);
+            updateRow(row.id, {
+                download_status: 'pending',
+                download_error: error,
+                download_error_type: 'corrupt_image',
+                output_path: null,
+                sha256: null,
+                verified_at: null,
+                linked_to: null
+            });
+        },
+
+        // Record a re-scan that found nothing changed; values not stored yet are filled in as the baseline
+        recordRescan(imagePropertiesUrl, imageProperties) {
+            const row = imagePropertiesRow(imagePropertiesUrl);
+            updateRow(row.id, {
+                width: row.width || imageProperties.width,
+                height: row.height || imageProperties.height,
+                num_tiles: row.num_tiles || imageProperties.numTiles,
+                tile_size: row.tile_size || imageProperties.tileSize,
+                rescanned_at: getTimestamp()
+            });
+        },
+
+        // Keep the downloaded version of a re-scanned map in map_versions, store the new ImageProperties
+        // values (and URL, if the zoomlink ID changed) and put the map back in the download queue
+        recordRescanChange(imagePropertiesUrl, { zoomlinkId, newImagePropertiesUrl, imageProperties, changes, archivedPath }) {
+            const row = imagePropertiesRow(imagePropertiesUrl);
+            const now = getTimestamp();
+            db.transaction(() => {
+                db.prepare(`INSERT INTO map_versions (map_id, zoomlink_id, image_properties_url, width, height, num_tiles,
+                        sha256, downloaded_at, archived_path, changes, archived_at)
+                    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`)
+                    .run(row.id, row.zoomlink_id, row.image_properties_url, row.width, row.height, row.num_tiles,
+                        row.sha256, row.downloaded_at, archivedPath, changes.join('; '), now);
+                updateRow(row.id, {
+                    zoomlink_id: zoomlinkId,
+                    image_properties_url: newImagePropertiesUrl,
+                    width: imageProperties.width,
+                    height: imageProperties.height,
+                    num_tiles: imageProperties.numTiles,
+                    tile_size: imageProperties.tileSize,
+                    download_status: 'pending',
+                    download_error: null,
+                    download_error_type: null,
+                    output_path: null,
+                    sha256: null,
+                    verified_at: null,
+                    rescanned_at: now,
+                    rescan_changes: changes.join('; ')
+                });
+            })();
+        },
+
+        // Earlier downloaded versions of a map, oldest first
+        mapVersions(mapId) {
+            return db.prepare('SELECT * FROM map_versions WHERE map_id = ? ORDER BY id').all(mapId);
+        },
+
+        recordDownloadFailure(imagePropertiesUrl, error, type = 'dezoomify_error', attempts = 1) {
+            const row = imagePropertiesRow(imagePropertiesUrl);
+            updateRow(row.id, {
+                download_status: 'failed',
+                download_attempts: row.download_attempts + attempts,
+                download_error: error,
+                download_error_type: type
+            });
+        },
+
+        // Put failed maps of one stage ('extract' or 'download') back in the queue; with a category only
+        // failures of that type. The last error is kept for reference until the next attempt overwrites it.
+        requeueFailures(stage, category = null) {
+            const status = `${stage}_status`;
+            const type = `${stage}_error_type`;
+            const result = db.prepare(`UPDATE maps SET ${status} = 'pending', updated_at = ?
+                WHERE ${status} = 'failed' AND (? IS NULL OR ${type} = ?)`)
+                .run(getTimestamp(), category, category);
+            return result.changes;
+        },
+
+        // Point a map at the new location of its downloaded file
+        recordOutputPath(imagePropertiesUrl, outputPath) {
+            const row = imagePropertiesRow(imagePropertiesUrl);
+            updateRow(row.id, { output_path: outputPath });
+        },
+
+        // Mark products that dropped out of the sitemap; ones never seen before are added so they can be
+        // reported as never captured. Returns how many were newly delisted.
+        markDelisted(productUrls) {
+            const now = getTimestamp();
+            const mark = db.prepare('UPDATE maps SET delisted_at = ?, updated_at = ? WHERE product_url = ? AND delisted_at IS NULL');
+            let count = 0;
+            db.transaction(() => {
+                store.addProductUrls(productUrls);
+                productUrls.forEach(url => { count += mark.run(now, now, url).changes; });
+            })();
+            return count;
+        },
+
+        // Clear the delisted mark of products that are back in the sitemap, returning their rows as they were
+        markListed(productUrls) {
+            const relisted = productUrls
+                .map(url => statements.byProductUrl.get(url))
+                .filter(row => row && row.delisted_at);
+            relisted.forEach(row => updateRow(row.id, { delisted_at: null }));
+            return relisted;
+        },
+
+        delistedMaps() {
+            return db.prepare('SELECT * FROM maps WHERE delisted_at IS NOT NULL ORDER BY delisted_at, id').all();
+        },
+
+        // The most recently failed maps of either stage, newest first
+        recentFailures(limit = 50) {
+            return db.prepare(`SELECT * FROM maps WHERE extract_status = 'failed' OR download_status = 'failed'
+                ORDER BY updated_at DESC LIMIT ?`).all(limit).map(row => {
+                const stage = row.download_status === 'failed' ? 'download' : 'extract';
+                return {
+                    stage,
+                    url: stage === 'download' ? row.image_properties_url : row.product_url,
+                    category: row[`${stage}_error_type`],
+                    error: row[`${stage}_error`],
+                    attempts: row[`${stage}_attempts`],
+                    updatedAt: row.updated_at
+                };
+            });
+        },
+
+        // Every map with a downloaded file recorded
+        downloadedMaps() {
+            return db.prepare(`SELECT * FROM maps
+                WHERE download_status = 'success' AND output_path IS NOT NULL ORDER BY id`).all();
+        },
+
+        // Totals used for progress output
+        counts() {
+            const counts = statements.counts.get();
+            Object.keys(counts).forEach(key => { counts[key] = counts[key] || 0; });
+            counts.downloadFailuresByType = countByType(statements.failuresByType.all());
+            counts.extractFailuresByType = countByType(statements.extractFailuresByType.all());
+            return counts;
+        },
+
+        close() {
+            openStores.delete(dbPath);
+            db.close();
+        }
+    };
+
+    return store;
+}
+
+// Location of the job database inside a working directory
+function jobStorePath(workingDir) {
+    return path.join(workingDir, 'logs', 'pipeline_state.db');
+}
+
+// Get the shared store for a working directory, opening it on first use
+function getJobStore(workingDir) {
+    const dbPath = jobStorePath(workingDir);
+    if (!openStores.has(dbPath)) {
+        openStores.set(dbPath, createJobStore(dbPath));
+    }
+    return openStores.get(dbPath);
+}
+
+// Helper function to read a log file, dropping the timestamp from 'timestamp | value' lines
+function readLogLines(filePath) {
+    if (!fs.existsSync(filePath)) {
+        return [];
+    }
+    return fs.readFileSync(filePath, 'utf-8')
+        .split('\n')
+        .map(line => {
+            const parts = line.split('|');
+            return parts.length > 1 ? parts[1].trim() : line.trim();
+        })
+        .filter(Boolean);
+}
+
+// Import the text-file logs written by earlier versions of the scripts.
+// Entries already recorded in the store are skipped, so running it twice is harmless.
+function importLegacyLogs(store, { workingDir, zoomifyBaseUrl, outputPathFor }) {
+    const logsDir = path.join(workingDir, 'logs');
+    const logPath = name => path.join(logsDir, name);
+    const imported = { productUrls: 0, extracted: 0, extractFailed: 0, downloaded: 0, downloadFailed: 0 };
+
+    let detailedFailures = {};
+    if (fs.existsSync(logPath('dezoomify_failure_details.json'))) {
+        try {
+            detailedFailures = JSON.parse(fs.readFileSync(logPath('dezoomify_failure_details.json'), 'utf-8'));
+        } catch (e) {
+            console.warn('[WARN] Could not parse dezoomify_failure_details.json, importing failures without details');
+        }
+    }
+
+    const productUrls = readLogLines(logPath('initial_urls_noxml.txt'));
+
+    // Product URLs keyed by everything after the first dash of the map ID, used to link ImageProperties URLs back
+    const productsBySuffix = new Map();
+    productUrls.forEach(url => {
+        const mapId = url.substring(url.indexOf('/P/AntiqueMap/') + 14);
+        const suffix = mapId.substring(mapId.indexOf('-'));
+        productsBySuffix.set(suffix, productsBySuffix.has(suffix) ? null : url);
+    });
+
+    const productUrlFor = (imagePropertiesUrl) => {
+        const zoomifyPath = imagePropertiesUrl.replace(zoomifyBaseUrl, '').replace('/ImageProperties.xml', '');
+        const dashIndex = zoomifyPath.indexOf('-');
+        return dashIndex === -1 ? null : productsBySuffix.get(zoomifyPath.substring(dashIndex)) || null;
+    };
+
+    store.db.transaction(() => {
+        store.addProductUrls(productUrls);
+        imported.productUrls = productUrls.length;
+
+        const extractedUrls = new Set([
+            ...readLogLines(logPath('success_log.txt')),
+            ...readLogLines(logPath('corrected_imageproperties_urls.txt'))
+        ]);
+        extractedUrls.forEach(imagePropertiesUrl => {
+            if (store.getByImagePropertiesUrl(imagePropertiesUrl)) {
+                return;
+            }
+            const zoomlinkId = zoomlinkIdFromUrl(imagePropertiesUrl, zoomifyBaseUrl);
+            const productUrl = productUrlFor(imagePropertiesUrl);
+            if (productUrl) {
+                store.recordExtractSuccess(productUrl, { zoomlinkId, imagePropertiesUrl });
+            } else {
+                store.addImagePropertiesUrls([imagePropertiesUrl]);
+            }
+            imported.extracted++;
+        });
+
+        readLogLines(logPath('failure_log.txt')).forEach(productUrl => {
+            store.addProductUrls([productUrl]);
+            if (store.getByProductUrl(productUrl).extract_status === 'pending') {
+                store.recordExtractFailure(productUrl, 'Imported from failure_log.txt');
+                imported.extractFailed++;
+            }
+        });
+
+        new Set(readLogLines(logPath('dezoomify_success.txt'))).forEach(imagePropertiesUrl => {
+            const row = store.getByImagePropertiesUrl(imagePropertiesUrl);
+            if (row && row.download_status === 'success') {
+                return;
+            }
+            const outputPath = outputPathFor(imagePropertiesUrl);
+            store.recordDownloadSuccess(imagePropertiesUrl, fs.existsSync(outputPath) ? outputPath : null);
+            imported.downloaded++;
+        });
+
+        new Set(readLogLines(logPath('dezoomify_failure.txt'))).forEach(imagePropertiesUrl => {
+            const existing = store.getByImagePropertiesUrl(imagePropertiesUrl);
+            if (existing && existing.download_status !== 'pending') {
+                return;
+            }
+            const details = detailedFailures[imagePropertiesUrl] || {};
+            const type = details.type === 'move_failure' ? 'disk_error' : 'dezoomify_error';
+            store.recordDownloadFailure(imagePropertiesUrl, details.error || 'Imported from dezoomify_failure.txt', type);
+            const row = store.getByImagePropertiesUrl(imagePropertiesUrl);
+            if (details.attempts > row.download_attempts) {
+                store.db.prepare('UPDATE maps SET download_attempts = ? WHERE id = ?').run(details.attempts, row.id);
+            }
+            imported.downloadFailed++;
+        });
+    })();
+
+    return imported;
+}
+
+module.exports = {
+    createJobStore,
+    getJobStore,
+    jobStorePath,
+    importLegacyLogs,
+    readLogLines,
+    zoomlinkIdFromUrl
+};
@@ -0,0 +1,240 @@
+const fs = require('fs');
+const path = require('path');
+const { urlSlug, mapYear } = require('./selection');
+const { moveFile } = require('./disk');
+const { sidecarPath } = require('./image_metadata');
+
+// Placeholders an output template (config outputTemplate) can use besides {ext}
+const TEMPLATE_FIELDS = ['key', 'zoomlink', 'slug', 'title', 'cartographer', 'region', 'date', 'year', 'sku'];
+
+// The flat name downloads always had: the Zoomify folder name
+const DEFAULT_TEMPLATE = '{key}.{ext}';
+
+// Stands in for a placeholder whose value is not known, ie. {region} of a map without one
+const MISSING_VALUE = 'unknown';
+
+// Longest folder or file name a template produces (before the extension)
+const MAX_SEGMENT_LENGTH = 100;
+
+// Names Windows will not open as files, with or without an extension
+const RESERVED_NAMES = /^(con|prn|aux|nul|com[1-9]|lpt[1-9])$/i;
+
+// Folder the rename command moves files through, inside the output folder
+const STAGING_DIR = '.renaming';
+
+// Check an output template, returning what is wrong with it or null
+function templateError(template) {
+    if (!template.endsWith('.{ext}')) {
+        return 'must end with .{ext}';
+    }
+    const unknown = [...template.matchAll(/\{([^}]*)\}/g)]
+        .map(match => match[1])
+        .filter(field => field !== 'ext' && !TEMPLATE_FIELDS.includes(field));
+    if (unknown.length > 0) {
+        return `has unknown placeholders ${unknown.map(field => `{${field}}`).join(', ')} (known: ${TEMPLATE_FIELDS.map(field => `{${field}}`).join(', ')}, {ext})`;
+    }
+    if (template.slice(0, -'.{ext}'.length).includes('{ext}')) {
+        return 'may only use {ext} at the end';
+    }
+    if (/^[\\/]|^[a-z]:/i.test(template) || template.split(/[\\/]/).some(part => part === '..')) {
+        return 'must stay inside the output folder';
+    }
+    return null;
+}
+
+// Helper function to make one folder or file name safe on Windows, macOS and Linux: characters Windows
+// rejects become _, trailing dots and spaces are dropped, reserved names get a leading _ and long names
+// are cut short
+function safeSegment(text) {
+    let segment = text.normalize('NFC')
+        .replace(/[<>:"/\\|?*\x00-\x1f]/g, '_')
+        .replace(/\s+/g, ' ')
+        .trim()
+        .slice(0, MAX_SEGMENT_LENGTH)
+        .replace(/[. ]+$/, '');
+    if (RESERVED_NAMES.test(segment.split('.')[0])) {
+        segment = `_${segment}`;
+    }
+    return segment || MISSING_VALUE;
+}
+
+// The value of every placeholder for a job store row; key is the map's Zoomify folder name
+function templateValues(row, key) {
+    const metadata = row.metadata ? JSON.parse(row.metadata) : {};
+    return {
+        key,
+        zoomlink: row.zoomlink_id,
+        slug: row.product_url ? urlSlug(row.product_url) : null,
+        title: metadata.title,
+        cartographer: metadata.cartographer,
+        region: metadata.region,
+        date: metadata.date,
+        year: mapYear(metadata.date),
+        sku: metadata.sku
+    };
+}
+
+// Fill in a template for a map, returning its path relative to the output folder without the extension,
+// ie. 'Europe/1570-orbis-1570'. Values never add folders of their own: a / in a title becomes a -.
+function renderName(template, row, key) {
+    const values = templateValues(row, key);
+    return template.slice(0, -'.{ext}'.length)
+        .replace(/\{(\w+)\}/g, (match, field) => {
+            const value = values[field];
+            return value === null || value === undefined || value === '' ? MISSING_VALUE : String(value).replace(/[\\/]/g, '-');
+        })
+        .split(/[\\/]/)
+        .filter(part => part !== '' && part !== '.')
+        .map(safeSegment)
+        .join('/');
+}
+
+// Name every extracted map with a template. Names are compared without case (Windows and macOS folders
+// ignore it); when two maps get the same name, the one extracted first keeps it and the others get their
+// key appended (and a number after that while the name is still taken), so a map's name never depends on
+// the order maps are downloaded in.
+// keyFor turns an ImageProperties URL into the map's Zoomify folder name.
+function createNamer(store, template, keyFor) {
+    let names = null;
+
+    function plan() {
+        names = new Map();
+        const taken = new Set();
+        store.extractedMaps().forEach(row => {
+            const key = keyFor(row.image_properties_url);
+            let name = renderName(template, row, key);
+            if (taken.has(name.toLowerCase())) {
+                const parts = name.split('/');
+                const base = `${parts.pop()}-${key}`;
+                for (let n = 1; taken.has(name.toLowerCase()); n++) {
+                    name = [...parts, safeSegment(n === 1 ? base : `${base}-${n}`)].join('/');
+                }
+            }
+            taken.add(name.toLowerCase());
+            names.set(row.image_properties_url, name);
+        });
+    }
+
+    return {
+        // Output name of a map (relative path without extension, / separated)
+        nameFor(imagePropertiesUrl) {
+            if (!names) {
+                plan();
+            }
+            const key = keyFor(imagePropertiesUrl);
+            return names.get(imagePropertiesUrl) || renderName(template, { image_properties_url: imagePropertiesUrl }, key);
+        }
+    };
+}
+
+// Helper function to list the parts of a recorded output under a new name: a .dzi has a _files folder
+// next to it, a IIIF pyramid is a folder holding info.json (with its .xmp sidecar inside), anything else is
+// a single file with its .xmp sidecar next to it. Returns the new recorded path and [from, to] pairs.
+function renamedParts(outputPath, dir, name) {
+    const base = path.join(dir, ...name.split('/'));
+    if (path.basename(outputPath) === 'info.json') {
+        return { recorded: path.join(base, 'info.json'), moves: [[path.dirname(outputPath), base]] };
+    }
+    const recorded = `${base}${path.extname(outputPath)}`;
+    const moves = [[outputPath, recorded], [sidecarPath(outputPath), sidecarPath(recorded)]];
+    if (/\.dzi$/i.test(outputPath)) {
+        moves.push([outputPath.replace(/\.dzi$/i, '_files'), `${base}_files`]);
+    }
+    return { recorded, moves };
+}
+
+// Helper function to remove the folders a move left empty, up to (not including) root
+function removeEmptyFolders(dir, root) {
+    while (dir.startsWith(root + path.sep) && fs.existsSync(dir) && fs.readdirSync(dir).length === 0) {
+        fs.rmdirSync(dir);
+        dir = path.dirname(dir);
+    }
+}
+
+// Move every download in outputDir to the name the template gives it now and record the new paths in the
+// job store. Files are moved out of the way first (into .renaming/) so maps can swap names. Maps whose file
+// is missing or outside outputDir (ie. delisted or archived) are left alone, as are maps whose new name is
+// taken by a file the job store does not know. With dryRun nothing is moved.
+// Returns { renamed: [{ from, to }], unchanged, skipped: [{ outputPath, reason }] }.
+function renameDownloads(store, { outputDir, namer, dryRun = false }) {
+    const root = path.resolve(outputDir);
+    const summary = { renamed: [], unchanged: 0, skipped: [] };
+    const rows = store.downloadedMaps();
+    const tracked = new Set(rows.map(row => path.resolve(row.output_path)));
+
+    const plans = [];
+    rows.forEach(row => {
+        const outputPath = path.resolve(row.output_path);
+        if (!outputPath.startsWith(root + path.sep)) {
+            return;
+        }
+        if (!fs.existsSync(outputPath)) {
+            summary.skipped.push({ outputPath, reason: 'file is missing' });
+            return;
+        }
+        const target = renamedParts(outputPath, root, namer.nameFor(row.image_properties_url));
+        if (target.recorded === outputPath) {
+            summary.unchanged++;
+            return;
+        }
+        // A name differing only in case is the same file on Windows and macOS
+        const sameFile = target.recorded.toLowerCase() === outputPath.toLowerCase();
+        if (fs.existsSync(target.recorded) && !tracked.has(target.recorded) && !sameFile) {
+            summary.skipped.push({ outputPath, reason: `${target.recorded} exists and is not a tracked download` });
+            return;
+        }
+        plans.push({ row, from: outputPath, ...target });
+    });
+
+    if (dryRun) {
+        summary.renamed = plans.map(plan => ({ from: plan.from, to: plan.recorded }));
+        return summary;
+    }
+
+    // First every part goes into the staging folder, then to its new name
+    const staging = path.join(root, STAGING_DIR);
+    plans.forEach((plan, i) => {
+        plan.moves = plan.moves.filter(([from]) => fs.existsSync(from)).map(([from, to], part) => {
+            const staged = path.join(staging, `${i}-${part}`);
+            fs.mkdirSync(staging, { recursive: true });
+            moveFile(from, staged);
+            return [from, staged, to];
+        });
+    });
+    const movedTo = new Map();
+    plans.forEach(plan => {
+        plan.moves.forEach(([from, staged, to]) => {
+            fs.mkdirSync(path.dirname(to), { recursive: true });
+            moveFile(staged, to);
+            movedTo.set(from, to);
+            removeEmptyFolders(path.dirname(from), root);
+        });
+        store.recordOutputPath(plan.row.image_properties_url, plan.recorded);
+        summary.renamed.push({ from: plan.from, to: plan.recorded });
+    });
+    fs.rmSync(staging, { recursive: true, force: true });
+
+    // Symbolic links made for duplicates (duplicates.js) point at absolute paths that may have moved
+    store.downloadedMaps().forEach(row => {
+        const stats = fs.lstatSync(row.output_path, { throwIfNoEntry: false });
+        if (!stats || !stats.isSymbolicLink()) {
+            return;
+        }
+        const target = movedTo.get(path.resolve(fs.readlinkSync(row.output_path)));
+        if (target) {
+            fs.rmSync(row.output_path);
+            fs.symlinkSync(target, row.output_path);
+        }
+    });
+    return summary;
+}
+
+module.exports = {
+    TEMPLATE_FIELDS,
+    DEFAULT_TEMPLATE,
+    templateError,
+    safeSegment,
+    renderName,
+    createNamer,
+    renameDownloads
+};
@@ -0,0 +1,437 @@
+const fs = require('fs');
+const path = require('path');
+const { checkSitemapChanges, sitemapPaths } = require('./track_sitemap_changes');
+const { extractZoomifyUrls, filterUnprocessed, updateCatalog } = require('./extract_zoomify');
+const { downloadImages, tagDownloads } = require('./run_dezoomify');
+const { sanitizeFilename } = require('./zoomify_downloader');
+const { loadConfigOrExit, resolveOptions } = require('./config');
+const { getJobStore, importLegacyLogs } = require('./job_store');
+const { RETRY_POLICIES, FAILURE_CATEGORIES } = require('./failures');
+const { verifyDownloads, writeManifest } = require('./verify');
+const { rescanDownloads } = require('./rescan');
+const { writeDelistedReport } = require('./delisted');
+const { findDuplicates, writeDuplicatesReport } = require('./duplicates');
+const { readUrlListFile } = require('./selection');
+const { cacheStats, pruneCache, removeCompletedCaches } = require('./tile_cache');
+const { formatSize, freeSpace } = require('./disk');
+const { createNamer, renameDownloads } = require('./naming');
+const { startDashboard } = require('./dashboard');
+const { createRateLimiter } = require('./rate_limiter');
+const { createActivity } = require('./activity');
+
+// Stages in the order they run
+const STAGES = ['sitemap', 'extract', 'download'];
+
+// Port of `pipeline.js dashboard` when dashboardPort is not set
+const DEFAULT_DASHBOARD_PORT = 8090;
+
+// Example: node pipeline.js sync --from extract
+const USAGE = [
+    'Usage:',
+    '  node pipeline.js sync [--only <stage>] [--from <stage>]  (stages: ' + STAGES.join(', ') + ')',
+    '  node pipeline.js migrate    import the old text-file logs into the job store',
+    '  node pipeline.js catalog    rewrite catalog/catalog.jsonl and catalog/catalog.csv from the job store',
+    '  node pipeline.js tag        write provenance metadata into every downloaded image (see --image-metadata)',
+    '  node pipeline.js verify [--full]  check every downloaded image, re-queue bad ones and write SHA256SUMS',
+    '  node pipeline.js rescan [--no-zoomlink]  re-fetch ImageProperties.xml of every downloaded map and re-queue replaced scans',
+    '  node pipeline.js dashboard  serve the dashboard for the job store without running anything (Ctrl-C to stop)',
+    '  node pipeline.js delisted   list the maps no longer in the sitemap, held locally or never captured',
+    '  node pipeline.js duplicates compare every downloaded image and list products sharing a scan and near-identical downloads',
+    '  node pipeline.js rename [--dry-run]  move every download to the name outputTemplate gives it now',
+    '  node pipeline.js cache stats  show the size of the tile cache and the free disk space',
+    '  node pipeline.js cache prune [--all]  remove the tile caches of verified maps and evict down to cacheMaxSize (--all: empty it)',
+    '  node pipeline.js retry-failures [--category <category>] [--stage extract|download]',
+    '                              list failures by category, or re-queue the failed maps of one category'
+].join('\n');
+
+// Helper function to read the value following a named flag
+function getFlag(args, name) {
+    const index = args.indexOf(name);
+    if (index === -1) {
+        return null;
+    }
+    const value = args[index + 1];
+    if (!STAGES.includes(value)) {
+        throw new Error(`${name} expects one of: ${STAGES.join(', ')}`);
+    }
+    return value;
+}
+
+// Work out which stages to run from --only/--from
+function selectStages(args) {
+    const only = getFlag(args, '--only');
+    const from = getFlag(args, '--from');
+
+    if (only && from) {
+        throw new Error('--only and --from cannot be combined');
+    }
+    if (only) {
+        return [only];
+    }
+    return from ? STAGES.slice(STAGES.indexOf(from)) : STAGES;
+}
+
+// Helper function to read a list of URLs, one per line
+function readUrlList(filePath) {
+    if (!fs.existsSync(filePath)) {
+        return [];
+    }
+    return fs.readFileSync(filePath, 'utf-8')
+        .split('\n')
+        .map(line => line.trim())
+        .filter(Boolean);
+}
+
+// Compare downloaded maps with their current ImageProperties.xml, archiving and re-queueing replaced scans.
+// productUrls limits the check to those maps; the requests wait for limiter, a rate limiter.
+async function rescan(config, limiter, productUrls = null, checkZoomlink = true) {
+    const keyFor = url => sanitizeFilename(url, config.zoomifyBaseUrl);
+    const store = getJobStore(config.workingDir);
+    const outputDir = path.join(config.workingDir, 'finished_zoomify_downloads');
+    const summary = await rescanDownloads(store, {
+        zoomifyBaseUrl: config.zoomifyBaseUrl,
+        archiveDir: path.join(config.workingDir, 'archive'),
+        cacheDirFor: url => path.join(config.workingDir, 'Tilecache', keyFor(url)),
+        keyFor,
+        productUrls,
+        checkZoomlink,
+        limiter
+    });
+
+    // Archived files no longer belong in the checksum manifest or the catalog's output paths
+    if (summary.changed.length > 0) {
+        writeManifest(store, outputDir);
+        updateCatalog(config);
+    }
+    return summary;
+}
+
+// Print the outcome of a re-scan
+function printRescanSummary(summary) {
+    console.log(`[RESCAN] ${summary.checked} checked, ${summary.unchanged} unchanged, ${summary.baseline} recorded for the first time, ` +
+        `${summary.changed.length} changed, ${summary.errors.length} failed`);
+    summary.changed.forEach(({ imagePropertiesUrl, changes, archivedPath }) => {
+        console.log(`[RE-QUEUED] ${imagePropertiesUrl} (${changes.join(', ')})${archivedPath ? `, old version in ${archivedPath}` : ''}`);
+    });
+}
+
+// Run the selected stages, handing each one only what the previous stage produced.
+// options are config.js settings (see resolveOptions) shared by every stage, plus:
+//   configs       settings per stage ({ sitemap, extract, download }), used instead of the shared ones (the CLI
+//                 passes what loadConfig read from its flags, environment and config file)
+//   events        an EventEmitter that gets the events of every stage, each with its stage name
+//   signal        an AbortSignal; once aborted the running stage starts no new work and no later stage runs
+//   handleSigint  true to stop on Ctrl-C
+//   activity      the live progress and pause switch (activity.js) of the stages, ie. shared with a dashboard
+//   rateLimiter   the rate limiter (rate_limiter.js) every stage shares, so a host that is throttled stays slowed down
+// Resolves with the summary of every stage that ran.
+async function sync(stages, options = {}) {
+    const {
+        configs = null, events = null, signal = null, handleSigint = false,
+        activity = createActivity(), rateLimiter = createRateLimiter(), ...settings
+    } = options;
+    const settingsFor = stage => (configs ? configs[stage] : settings);
+    const control = { events, signal, handleSigint, activity, rateLimiter };
+    const downloadConfig = resolveOptions('download', settingsFor('download'));
+    const summary = {};
+    let productUrls = null;
+    let imagePropertiesUrls = null;
+    let rescannedUrls = [];
+
+    if (stages.includes('sitemap')) {
+        console.log('\n[PIPELINE] Stage: sitemap');
+        const { changes, selected, dryRun } = await checkSitemapChanges({ ...settingsFor('sitemap'), events, rateLimiter });
+        summary.sitemap = { added: changes.added.length, removed: changes.removed.length, changed: changes.changed.length };
+        productUrls = selected;
+
+        // A changed <lastmod> may mean the scan was replaced; check the ones already downloaded
+        if (changes.changed.length > 0 && !dryRun) {
+            console.log(`[INFO] Checking ${changes.changed.length} changed sitemap entries for replaced scans`);
+            summary.rescan = await rescan(downloadConfig, rateLimiter, changes.changed);
+            rescannedUrls = summary.rescan.changed.map(change => change.imagePropertiesUrl);
+        }
+    }
+
+    if (stages.includes('extract') && !(signal && signal.aborted)) {
+        console.log('\n[PIPELINE] Stage: extract');
+        const extractConfig = resolveOptions('extract', settingsFor('extract'));
+        // Without a sitemap stage, fall back to everything not yet extracted (or listed in urlList)
+        const listed = extractConfig.urlList
+            ? readUrlListFile(extractConfig.urlList).filter(url => !/ImageProperties\.xml$/i.test(url))
+            : readUrlList(sitemapPaths(extractConfig.workingDir).initialUrls);
+        const urls = filterUnprocessed(productUrls || listed, extractConfig);
+        console.log(`[INFO] ${urls.length} product URLs to extract`);
+        const stats = await extractZoomifyUrls(urls, { ...extractConfig, ...control });
+        summary.extract = stats.dryRun ? { selected: stats.selected.length } : { successful: stats.successful, failed: stats.failed };
+        // A dry run extracts nothing, so the download stage lists what is waiting already
+        imagePropertiesUrls = stats.dryRun ? null : stats.correctedUrls;
+    }
+
+    if (stages.includes('download') && !(signal && signal.aborted)) {
+        console.log('\n[PIPELINE] Stage: download');
+        // Without an extract stage, fall back to everything the job store has waiting
+        const urls = imagePropertiesUrls
+            ? [...imagePropertiesUrls, ...rescannedUrls]
+            : getJobStore(downloadConfig.workingDir).pendingDownloads();
+        console.log(`[INFO] ${urls.length} ImageProperties URLs to download`);
+        const stats = await downloadImages(urls, { ...downloadConfig, ...control });
+        summary.download = stats.dryRun ? { selected: stats.selected.length } : { successful: stats.successful, failed: stats.failed };
+    }
+
+    return summary;
+}
+
+// Print one combined summary for every stage that ran
+function printSummary(summary) {
+    console.log('\n[PIPELINE SUMMARY]');
+    if (summary.sitemap) {
+        console.log(`[SITEMAP] ${summary.sitemap.added} added, ${summary.sitemap.removed} removed, ${summary.sitemap.changed} changed`);
+    }
+    if (summary.rescan) {
+        printRescanSummary(summary.rescan);
+    }
+    ['extract', 'download'].filter(stage => summary[stage]).forEach(stage => {
+        const { successful, failed, selected } = summary[stage];
+        console.log(`[${stage.toUpperCase()}] ${selected !== undefined ? `${selected} would be processed (dry run)` : `${successful} successful, ${failed} failed`}`);
+    });
+}
+
+// Show failures by category, or put the failures of one category (and optionally one stage) back in the queue
+function retryFailures(config, args) {
+    const store = getJobStore(config.workingDir);
+    const categoryIndex = args.indexOf('--category');
+    const stageIndex = args.indexOf('--stage');
+    const category = categoryIndex === -1 ? null : args[categoryIndex + 1];
+    const stage = stageIndex === -1 ? null : args[stageIndex + 1];
+
+    if (category !== null && !FAILURE_CATEGORIES.includes(category)) {
+        throw new Error(`--category expects one of: ${FAILURE_CATEGORIES.join(', ')}`);
+    }
+    if (stage !== null && !['extract', 'download'].includes(stage)) {
+        throw new Error('--stage expects one of: extract, download');
+    }
+
+    if (!category) {
+        const counts = store.counts();
+        console.log('\n[FAILURES BY CATEGORY]');
+        for (const [label, byType] of [['EXTRACT', counts.extractFailuresByType], ['DOWNLOAD', counts.downloadFailuresByType]]) {
+            Object.entries(byType).forEach(([type, count]) => {
+                const policy = RETRY_POLICIES[type];
+                console.log(`[${label}] ${type}: ${count}${policy ? ` - ${policy.description}` : ''}`);
+            });
+        }
+        console.log('[INFO] Re-queue one category with: node pipeline.js retry-failures --category <category>');
+        return;
+    }
+
+    const stages = stage ? [stage] : ['extract', 'download'];
+    stages.forEach(name => {
+        const requeued = store.requeueFailures(name, category);
+        console.log(`[${name.toUpperCase()}] Re-queued ${requeued} ${category} failures`);
+        if (requeued > 0) {
+            console.log(`[INFO] Retry them with: node pipeline.js sync --only ${name}`);
+        }
+    });
+}
+
+// Check the downloaded images, moving bad files aside and putting their maps back in the download queue
+async function verify(config, args) {
+    const outputDir = path.join(config.workingDir, 'finished_zoomify_downloads');
+    const limiter = createRateLimiter();
+    limiter.configure(config);
+    const summary = await verifyDownloads(getJobStore(config.workingDir), {
+        outputDir,
+        rejectedDir: path.join(config.workingDir, 'rejected_downloads'),
+        cacheDirFor: url => path.join(config.workingDir, 'Tilecache', sanitizeFilename(url, config.zoomifyBaseUrl)),
+        full: args.includes('--full'),
+        limiter
+    });
+
+    console.log('\n[VERIFY COMPLETE]');
+    console.log(`[CHECKED] ${summary.checked}`);
+    console.log(`[PASSED] ${summary.passed}`);
+    console.log(`[UNCHANGED] ${summary.unchanged} (already verified, checksum matches)`);
+    console.log(`[LINKED] ${summary.linked} (duplicates linked to another download, checked with it)`);
+    console.log(`[REJECTED] ${summary.rejected.length}`);
+    summary.untracked.forEach(file => console.log(`[UNTRACKED] ${file}`));
+    console.log(`[INFO] Wrote ${summary.manifest.count} checksums to ${summary.manifest.manifestPath}`);
+    if (summary.rejected.length > 0) {
+        console.log(`[INFO] Rejected files were moved to rejected_downloads; run 'node pipeline.js sync --only download' to fetch them again`);
+    }
+}
+
+// Show or shrink the tile cache: 'stats' prints its size, 'prune' removes the caches of downloaded and verified
+// maps and then evicts the least recently used ones down to cacheMaxSize (every one with --all)
+function cache(config, args) {
+    const tileCacheDir = path.join(config.workingDir, 'Tilecache');
+    const action = args[0] || 'stats';
+    if (!['stats', 'prune'].includes(action)) {
+        throw new Error('cache expects one of: stats, prune');
+    }
+
+    if (action === 'prune') {
+        const completed = removeCompletedCaches(getJobStore(config.workingDir), tileCacheDir, url => sanitizeFilename(url, config.zoomifyBaseUrl));
+        console.log(`[COMPLETED] Removed ${completed.removed.length} caches of verified maps (${formatSize(completed.freedBytes)})`);
+        const pruned = args.includes('--all')
+            ? pruneCache(tileCacheDir, { free: Infinity })
+            : pruneCache(tileCacheDir, { maxBytes: config.cacheMaxSize });
+        console.log(`[EVICTED] ${pruned.removed.length} least recently used caches (${formatSize(pruned.freedBytes)})`);
+    }
+
+    const stats = cacheStats(tileCacheDir);
+    console.log(`\n[TILE CACHE] ${tileCacheDir}`);
+    console.log(`[MAPS] ${stats.maps} (${stats.files} tiles, ${formatSize(stats.bytes)})`);
+    if (stats.maps > 0) {
+        console.log(`[LAST USED] ${stats.oldest.toISOString()} (oldest) to ${stats.newest.toISOString()} (newest)`);
+    }
+    console.log(`[CAP] ${config.cacheMaxSize ? formatSize(config.cacheMaxSize) : 'none'}`);
+    console.log(`[FREE] ${formatSize(freeSpace(config.workingDir))}${config.minFreeSpace ? ` (downloads pause below ${formatSize(config.minFreeSpace)})` : ''}`);
+}
+
+// Move the downloads to the names the output template gives them, ie. after outputTemplate was changed,
+// and bring the job store, checksum manifest and catalog up to date
+function rename(config) {
+    const store = getJobStore(config.workingDir);
+    const outputDir = path.join(config.workingDir, 'finished_zoomify_downloads');
+    const namer = createNamer(store, config.outputTemplate, url => sanitizeFilename(url, config.zoomifyBaseUrl));
+    const summary = renameDownloads(store, { outputDir, namer, dryRun: config.dryRun });
+
+    summary.renamed.forEach(({ from, to }) => {
+        console.log(`[${config.dryRun ? 'DRY RUN' : 'RENAMED'}] ${path.relative(outputDir, from)} -> ${path.relative(outputDir, to)}`);
+    });
+    summary.skipped.forEach(({ outputPath, reason }) => console.log(`[SKIPPED] ${outputPath}: ${reason}`));
+    console.log(`\n[RENAME ${config.dryRun ? 'DRY RUN' : 'COMPLETE'}] ${summary.renamed.length} ${config.dryRun ? 'would be renamed' : 'renamed'}, ` +
+        `${summary.unchanged} already named ${config.outputTemplate}, ${summary.skipped.length} skipped`);
+    if (!config.dryRun && summary.renamed.length > 0) {
+        writeManifest(store, outputDir);
+        updateCatalog(config);
+    }
+}
+
+// Import success/failure logs from before the job store existed
+function migrateLogs(config) {
+    const store = getJobStore(config.workingDir);
+    const imported = importLegacyLogs(store, {
+        workingDir: config.workingDir,
+        zoomifyBaseUrl: config.zoomifyBaseUrl,
+        outputPathFor: url => path.join(config.workingDir, 'finished_zoomify_downloads', `${sanitizeFilename(url, config.zoomifyBaseUrl)}.jpg`)
+    });
+
+    console.log('\n[MIGRATION COMPLETE]');
+    console.log(`[PRODUCT URLS] ${imported.productUrls}`);
+    console.log(`[EXTRACTED] ${imported.extracted}`);
+    console.log(`[EXTRACT FAILED] ${imported.extractFailed}`);
+    console.log(`[DOWNLOADED] ${imported.downloaded}`);
+    console.log(`[DOWNLOAD FAILED] ${imported.downloadFailed}`);
+    console.log('[INFO] The old log files were left in place and are no longer read or written.');
+}
+
+async function main() {
+    const args = process.argv.slice(2);
+    const command = args[0];
+    const config = loadConfigOrExit('download');
+
+    try {
+        if (command === 'migrate') {
+            migrateLogs(config);
+            return;
+        }
+        if (command === 'verify') {
+            await verify(config, args.slice(1));
+            return;
+        }
+        if (command === 'rescan') {
+            const limiter = createRateLimiter();
+            limiter.configure(config);
+            const summary = await rescan(config, limiter, null, !args.includes('--no-zoomlink'));
+            console.log('\n[RESCAN COMPLETE]');
+            printRescanSummary(summary);
+            if (summary.changed.length > 0) {
+                console.log(`[INFO] Download the new scans with: node pipeline.js sync --only download`);
+            }
+            return;
+        }
+        if (command === 'dashboard') {
+            await startDashboard({
+                store: getJobStore(config.workingDir),
+                workingDir: config.workingDir,
+                port: config.dashboardPort || DEFAULT_DASHBOARD_PORT,
+                host: config.dashboardHost
+            });
+            return;
+        }
+        if (command === 'delisted') {
+            writeDelistedReport(getJobStore(config.workingDir), sitemapPaths(config.workingDir).delistedReport);
+            return;
+        }
+        if (command === 'duplicates') {
+            const store = getJobStore(config.workingDir);
+            const found = await findDuplicates(store, { policy: config.duplicates, threshold: config.duplicateThreshold });
+            console.log(`[INFO] Hashed ${found.hashed} images, found ${found.found} new near-identical downloads`);
+            writeDuplicatesReport(store, path.join(config.workingDir, 'logs', 'duplicates_report.json'));
+            if (found.found > 0) {
+                writeManifest(store, path.join(config.workingDir, 'finished_zoomify_downloads'));
+                updateCatalog(config);
+            }
+            return;
+        }
+        if (command === 'rename') {
+            rename(config);
+            return;
+        }
+        if (command === 'cache') {
+            cache(config, args.slice(1));
+            return;
+        }
+        if (command === 'retry-failures') {
+            retryFailures(config, args.slice(1));
+            return;
+        }
+        if (command === 'tag') {
+            const store = getJobStore(config.workingDir);
+            const { tagged, total } = await tagDownloads(store, config.imageMetadata);
+            console.log(`[INFO] Wrote metadata for ${tagged} of ${total} downloaded images`);
+            writeManifest(store, path.join(config.workingDir, 'finished_zoomify_downloads'));
+            return;
+        }
+        if (command === 'catalog') {
+            const catalog = updateCatalog(config);
+            console.log(`[INFO] Wrote ${catalog.count} maps to ${catalog.jsonlPath} and ${catalog.csvPath}`);
+            return;
+        }
+        if (command !== 'sync') {
+            console.log(USAGE);
+            process.exit(command ? 1 : 0);
+        }
+
+        const stages = selectStages(args.slice(1));
+        // Each stage gets the settings it would get as a script of its own
+        const configs = { sitemap: loadConfigOrExit('sitemap'), extract: loadConfigOrExit('extract'), download: config };
+        // The dashboard shows the live progress of this run and the rate limiter's hosts
+        const activity = createActivity();
+        const rateLimiter = createRateLimiter();
+        const dashboard = config.dashboardPort
+            ? await startDashboard({ store: getJobStore(config.workingDir), workingDir: config.workingDir, port: config.dashboardPort, host: config.dashboardHost, activity, rateLimiter })
+            : null;
+        try {
+            printSummary(await sync(stages, { configs, handleSigint: true, activity, rateLimiter }));
+        } finally {
+            if (dashboard) {
+                await dashboard.close();
+            }
+        }
+    } catch (error) {
+        console.error('[ERROR]:', error.message);
+        process.exit(1);
+    }
+}
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = {
+    STAGES,
+    selectStages,
+    sync
+};
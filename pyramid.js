@@ -0,0 +1,130 @@
+const fs = require('fs');
+const path = require('path');
+const sharp = require('sharp');
+
+// Helper function to get the cached Zoomify tile for a level, column and row as a sharp input.
+// Deep Zoom and IIIF round level sizes up like Zoomify does, so their levels match. Pyramids from older
+// converters that rounded down (see computeTileLayout) can be a pixel smaller, leaving one extra column
+// or row of tiles a pixel wide; those are cut from the last column/row the Zoomify level has.
+function zoomifySource(cacheDir, layout, z, col, row) {
+    const level = layout.levels[z];
+    const sourceCol = Math.min(col, level.cols - 1);
+    const sourceRow = Math.min(row, level.rows - 1);
+    const width = Math.min(layout.tileSize, level.width - sourceCol * layout.tileSize);
+    const height = Math.min(layout.tileSize, level.height - sourceRow * layout.tileSize);
+    const file = path.join(cacheDir, `${z}-${sourceCol}-${sourceRow}.jpg`);
+    if (!fs.existsSync(file)) {
+        throw new Error(`Tile ${z}-${sourceCol}-${sourceRow} is missing from ${cacheDir}`);
+    }
+    return {
+        file,
+        width,
+        height,
+        // The strip of the source tile that stands in for a missing edge tile
+        extract: sourceCol === col && sourceRow === row ? null : {
+            left: sourceCol === col ? 0 : width - 1,
+            top: sourceRow === row ? 0 : height - 1,
+            width: sourceCol === col ? width : 1,
+            height: sourceRow === row ? height : 1
+        }
+    };
+}
+
+// Helper function to write one output tile, copying the cached tile when its size already matches
+async function writeTile(source, width, height, outputPath) {
+    fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+    if (!source.extract && source.width === width && source.height === height) {
+        fs.copyFileSync(source.file, outputPath);
+        return;
+    }
+    let image = sharp(source.file);
+    if (source.extract) {
+        image = image.extract(source.extract);
+    }
+    await image.resize(width, height, { fit: 'fill' }).jpeg({ quality: 90 }).toFile(outputPath);
+}
+
+// Build a Deep Zoom image (name.dzi plus name_files/<level>/<col>_<row>.jpg) from the cached tiles
+// of every Zoomify level, at the Zoomify tile size without overlap. Levels smaller than the smallest
+// Zoomify level are scaled down from it.
+async function writeDeepZoom(layout, cacheDir, outputPath) {
+    const top = layout.levels[layout.levels.length - 1];
+    const tileSize = layout.tileSize;
+    const maxLevel = Math.ceil(Math.log2(Math.max(top.width, top.height)));
+    const filesDir = outputPath.replace(/\.dzi$/i, '_files');
+
+    for (let level = maxLevel; level >= 0; level--) {
+        const scale = Math.pow(2, maxLevel - level);
+        const width = Math.ceil(top.width / scale);
+        const height = Math.ceil(top.height / scale);
+        const z = Math.max(0, layout.levels.length - 1 - (maxLevel - level));
+
+        for (let row = 0; row * tileSize < height; row++) {
+            for (let col = 0; col * tileSize < width; col++) {
+                const tileWidth = Math.min(tileSize, width - col * tileSize);
+                const tileHeight = Math.min(tileSize, height - row * tileSize);
+                const source = zoomifySource(cacheDir, layout, z, col, row);
+                await writeTile(source, tileWidth, tileHeight, path.join(filesDir, String(level), `${col}_${row}.jpg`));
+            }
+        }
+    }
+
+    fs.writeFileSync(outputPath, [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        `<Image xmlns="http://schemas.microsoft.com/deepzoom/2008" Format="jpg" Overlap="0" TileSize="${tileSize}">`,
+        `    <Size Width="${top.width}" Height="${top.height}"/>`,
+        '</Image>'
+    ].join('\n') + '\n', 'utf-8');
+
+    return { outputPath, filesDir, levels: maxLevel + 1 };
+}
+
+// Build IIIF Image API 2 level 0 static tiles (info.json plus {region}/{size}/0/default.jpg) from the
+// cached tiles of every Zoomify level. id is the URL the folder will be served from.
+async function writeIiifTiles(layout, cacheDir, outputDir, id) {
+    const top = layout.levels[layout.levels.length - 1];
+    const tileSize = layout.tileSize;
+    const scaleFactors = layout.levels.map((level, z) => Math.pow(2, layout.levels.length - 1 - z)).reverse();
+
+    for (const scale of scaleFactors) {
+        const z = layout.levels.length - 1 - Math.log2(scale);
+        const regionSize = tileSize * scale;
+        for (let row = 0; row * regionSize < top.height; row++) {
+            for (let col = 0; col * regionSize < top.width; col++) {
+                const x = col * regionSize;
+                const y = row * regionSize;
+                const regionWidth = Math.min(regionSize, top.width - x);
+                const regionHeight = Math.min(regionSize, top.height - y);
+                const width = Math.ceil(regionWidth / scale);
+                const height = Math.ceil(regionHeight / scale);
+                const source = zoomifySource(cacheDir, layout, z, col, row);
+                const tilePath = path.join(outputDir, `${x},${y},${regionWidth},${regionHeight}`, `${width},`, '0', 'default.jpg');
+                await writeTile(source, width, height, tilePath);
+            }
+        }
+    }
+
+    // The smallest Zoomify level is the whole image in one tile, offered as a thumbnail size
+    const smallest = layout.levels[0];
+    await writeTile(zoomifySource(cacheDir, layout, 0, 0, 0), smallest.width, smallest.height,
+        path.join(outputDir, 'full', `${smallest.width},`, '0', 'default.jpg'));
+
+    const infoPath = path.join(outputDir, 'info.json');
+    fs.writeFileSync(infoPath, JSON.stringify({
+        '@context': 'http://iiif.io/api/image/2/context.json',
+        '@id': id,
+        protocol: 'http://iiif.io/api/image',
+        width: top.width,
+        height: top.height,
+        profile: ['http://iiif.io/api/image/2/level0.json'],
+        sizes: [{ width: smallest.width, height: smallest.height }],
+        tiles: [{ width: tileSize, scaleFactors }]
+    }, null, 2), 'utf-8');
+
+    return { outputPath: infoPath, scaleFactors };
+}
+
+module.exports = {
+    writeDeepZoom,
+    writeIiifTiles
+};
@@ -0,0 +1,285 @@
+const http = require('http');
+const https = require('https');
+const { sleep } = require('./worker_pool');
+
+// Throttling responses that make a host back off
+const THROTTLE_STATUS_CODES = [429, 503];
+
+// Wait after a throttling response without Retry-After, doubled for each one in a row
+const INITIAL_BACKOFF = 30000;
+const MAX_BACKOFF = 10 * 60000;
+
+// Requests per second a host without a configured cap drops to after its first throttling response
+const UNCAPPED_THROTTLE_RATE = 2;
+
+// Lowest rate a host is slowed to, and how much the rate grows back after each successful request
+const MIN_RATE = 0.1;
+const RECOVERY_FACTOR = 1.02;
+
+// Helper function to settle like promise, or reject with the signal's reason as soon as it is aborted
+function abortable(promise, signal) {
+    if (!signal) {
+        return promise;
+    }
+    return new Promise((resolve, reject) => {
+        if (signal.aborted) {
+            reject(signal.reason);
+            return;
+        }
+        const onAbort = () => reject(signal.reason);
+        signal.addEventListener('abort', onAbort, { once: true });
+        promise.then(resolve, reject).finally(() => signal.removeEventListener('abort', onAbort));
+    });
+}
+
+// Helper function to parse 'HH:MM-HH:MM' into minutes of the day, or null for no window
+function parseActiveHours(text) {
+    if (!text) {
+        return null;
+    }
+    const match = String(text).match(/^(\d{1,2}):(\d{2})-(\d{1,2}):(\d{2})$/);
+    if (!match) {
+        throw new Error(`Active hours must look like 22:00-06:00, got "${text}"`);
+    }
+    return { text, start: +match[1] * 60 + +match[2], end: +match[3] * 60 + +match[4] };
+}
+
+// Milliseconds until the active hours window opens, or 0 if it is open now.
+// A window whose end is before its start runs over midnight.
+function msUntilWindow(window, date = new Date()) {
+    if (!window || window.start === window.end) {
+        return 0;
+    }
+    const minutes = date.getHours() * 60 + date.getMinutes();
+    const open = window.start < window.end
+        ? minutes >= window.start && minutes < window.end
+        : minutes >= window.start || minutes < window.end;
+    if (open) {
+        return 0;
+    }
+    const minutesToStart = (window.start - minutes + 24 * 60) % (24 * 60);
+    return minutesToStart * 60000 - date.getSeconds() * 1000 - date.getMilliseconds();
+}
+
+// Helper function to turn a Retry-After header (seconds or an HTTP date) into milliseconds
+function retryAfterMs(value) {
+    if (value === undefined || value === null || value === '') {
+        return null;
+    }
+    if (/^\d+$/.test(String(value).trim())) {
+        return parseInt(value) * 1000;
+    }
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+// Read the Crawl-delay (in seconds) robots.txt sets for all user agents, or null
+function parseCrawlDelay(robotsTxt) {
+    let agents = [];
+    let inRules = false;
+    let delay = null;
+    robotsTxt.split(/\r?\n/).forEach(rawLine => {
+        const line = rawLine.replace(/#.*/, '').trim();
+        const match = line.match(/^([\w-]+)\s*:\s*(.*)$/);
+        if (!match) {
+            return;
+        }
+        const field = match[1].toLowerCase();
+        const value = match[2].trim();
+        if (field === 'user-agent') {
+            // A new group starts at the first user-agent line after some rules
+            if (inRules) {
+                agents = [];
+                inRules = false;
+            }
+            agents.push(value);
+            return;
+        }
+        inRules = true;
+        if (field === 'crawl-delay' && agents.includes('*') && delay === null) {
+            const seconds = parseFloat(value);
+            delay = Number.isFinite(seconds) && seconds > 0 ? seconds : null;
+        }
+    });
+    return delay;
+}
+
+// Helper function to fetch robots.txt outside the limiter; any failure just means no crawl delay
+function fetchRobotsTxt(origin) {
+    return new Promise(resolve => {
+        const client = origin.startsWith('https:') ? https : http;
+        const req = client.get(`${origin}/robots.txt`, (res) => {
+            if (res.statusCode !== 200) {
+                res.resume();
+                resolve('');
+                return;
+            }
+            let body = '';
+            res.setEncoding('utf-8');
+            res.on('data', chunk => { body += chunk; });
+            res.on('end', () => resolve(body));
+            res.on('error', () => resolve(''));
+        });
+        req.on('error', () => resolve(''));
+        req.setTimeout(10000, () => req.destroy());
+    });
+}
+
+// A token bucket per host, shared by every request of a run (pipeline.js sync: of all its stages).
+// requestsPerSecond caps the rate (0 for no cap) with bursts of up to burst requests; a robots.txt
+// Crawl-delay spaces requests further apart. Throttling responses (429/503) pause the host for its
+// Retry-After time (or an increasing backoff) and halve its rate, which then slowly grows back.
+function createRateLimiter() {
+    const settings = { requestsPerSecond: 0, burst: 1, window: null, respectRobots: true };
+    const hosts = new Map();
+    let windowNotice = false;
+
+    // Helper function to find or create the state of one host
+    function hostState(url) {
+        const { host, origin } = new URL(url);
+        if (!hosts.has(host)) {
+            hosts.set(host, {
+                origin,
+                rate: settings.requestsPerSecond || Infinity,
+                tokens: settings.burst,
+                updatedAt: Date.now(),
+                backoffUntil: 0,
+                backoffMs: 0,
+                throttled: false,
+                crawlDelay: null,
+                robots: null,
+                queue: Promise.resolve()
+            });
+        }
+        return hosts.get(host);
+    }
+
+    // Helper function to wait for the host's next token; an aborted signal gives up the turn
+    async function takeToken(state, signal) {
+        for (;;) {
+            if (signal && signal.aborted) {
+                throw signal.reason;
+            }
+            const now = Date.now();
+            if (now < state.backoffUntil) {
+                await sleep(state.backoffUntil - now, signal);
+                continue;
+            }
+            const interval = Math.max(isFinite(state.rate) ? 1000 / state.rate : 0, (state.crawlDelay || 0) * 1000);
+            if (interval === 0) {
+                return;
+            }
+            // A crawl delay asks for a gap between every request, so it allows no bursts
+            const capacity = state.crawlDelay ? 1 : settings.burst;
+            state.tokens = Math.min(capacity, state.tokens + (now - state.updatedAt) / interval);
+            state.updatedAt = now;
+            if (state.tokens >= 1) {
+                state.tokens -= 1;
+                return;
+            }
+            await sleep((1 - state.tokens) * interval, signal);
+        }
+    }
+
+    const limiter = {
+        // Apply the rate limit settings from config.js. Every stage calls this, so a host still slowed down
+        // by throttling keeps its lower rate (within the new cap) and its backoff; the others get the new cap.
+        configure({ requestsPerSecond = 0, rateBurst = 1, activeHours = '', respectRobots = true }) {
+            const cap = requestsPerSecond || Infinity;
+            settings.requestsPerSecond = requestsPerSecond;
+            settings.burst = rateBurst;
+            settings.window = parseActiveHours(activeHours);
+            settings.respectRobots = respectRobots;
+            hosts.forEach(state => {
+                state.rate = state.throttled ? Math.min(state.rate, cap) : cap;
+            });
+        },
+
+        // Wait until a request to url may be sent. Once signal (an AbortSignal) is aborted the wait ends
+        // with its reason and no token is taken.
+        async acquire(url, signal = null) {
+            const waitMs = msUntilWindow(settings.window);
+            if (waitMs > 0) {
+                if (!windowNotice) {
+                    console.log(`[RATE] Outside active hours ${settings.window.text}, waiting ${Math.round(waitMs / 60000)} minutes`);
+                    windowNotice = true;
+                }
+                try {
+                    await sleep(waitMs, signal);
+                } finally {
+                    windowNotice = false;
+                }
+            }
+
+            const state = hostState(url);
+            if (settings.respectRobots && !state.robots) {
+                state.robots = fetchRobotsTxt(state.origin).then(text => {
+                    state.crawlDelay = parseCrawlDelay(text);
+                    if (state.crawlDelay) {
+                        console.log(`[RATE] robots.txt of ${state.origin} asks for ${state.crawlDelay}s between requests`);
+                    }
+                });
+            }
+            if (state.robots) {
+                await abortable(state.robots, signal);
+            }
+
+            // Waiters queue up per host so tokens are handed out in order; one that gives up does not
+            // hold up the ones behind it
+            const turn = state.queue.then(() => takeToken(state, signal));
+            state.queue = turn.catch(() => {});
+            return abortable(turn, signal);
+        },
+
+        // Tell the limiter how a request to url went; headers are the (lower case) response headers
+        report(url, statusCode, headers = {}) {
+            const state = hostState(url);
+            if (!THROTTLE_STATUS_CODES.includes(statusCode)) {
+                if (statusCode < 400) {
+                    state.backoffMs = 0;
+                    state.rate = Math.min(settings.requestsPerSecond || Infinity, state.rate * RECOVERY_FACTOR);
+                    state.throttled = state.rate < (settings.requestsPerSecond || Infinity);
+                }
+                return;
+            }
+            // Requests already in flight when the host started throttling do not slow it down again
+            const now = Date.now();
+            if (now < state.backoffUntil) {
+                return;
+            }
+            const retryAfter = retryAfterMs(headers['retry-after']);
+            state.backoffMs = retryAfter === null ? Math.min(MAX_BACKOFF, state.backoffMs * 2 || INITIAL_BACKOFF) : state.backoffMs;
+            state.backoffUntil = now + (retryAfter === null ? state.backoffMs : retryAfter);
+            state.rate = Math.max(MIN_RATE, isFinite(state.rate) ? state.rate / 2 : UNCAPPED_THROTTLE_RATE);
+            state.tokens = 0;
+            state.throttled = true;
+            console.log(`[RATE] ${new URL(url).host} answered ${statusCode}, pausing for ${Math.round((state.backoffUntil - now) / 1000)}s ` +
+                `and slowing to ${state.rate.toFixed(2)} requests/s`);
+        },
+
+        // Current state of every host, for the dashboard
+        status() {
+            const now = Date.now();
+            return {
+                requestsPerSecond: settings.requestsPerSecond,
+                activeHours: settings.window ? settings.window.text : null,
+                waitingForWindowMs: msUntilWindow(settings.window),
+                hosts: [...hosts].map(([host, state]) => ({
+                    host,
+                    rate: isFinite(state.rate) ? Number(state.rate.toFixed(2)) : null,
+                    crawlDelay: state.crawlDelay,
+                    backoffSeconds: Math.max(0, Math.round((state.backoffUntil - now) / 1000))
+                }))
+            };
+        }
+    };
+
+    return limiter;
+}
+
+module.exports = {
+    createRateLimiter,
+    parseActiveHours,
+    parseCrawlDelay,
+    msUntilWindow
+};
@@ -0,0 +1,166 @@
+const fs = require('fs');
+const path = require('path');
+const sharp = require('sharp');
+
+// Width of the thumbnails in a run report (pixels)
+const THUMBNAIL_WIDTH = 240;
+
+// Helper function to escape text for HTML
+function escapeHtml(text) {
+    return String(text === null || text === undefined ? '' : text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+// Helper function to escape text for a Markdown table cell
+function escapeCell(text) {
+    return String(text === null || text === undefined ? '' : text).replace(/\|/g, '\\|').replace(/\s+/g, ' ');
+}
+
+// Helper function to write a small JPEG of a downloaded image, returning false when there is none to
+// make (Deep Zoom and IIIF outputs, missing files) or it could not be decoded
+async function writeThumbnail(outputPath, thumbnailPath) {
+    if (!outputPath || /\.dzi$/i.test(outputPath) || path.basename(outputPath) === 'info.json' || !fs.existsSync(outputPath)) {
+        return false;
+    }
+    try {
+        await sharp(outputPath, { limitInputPixels: false })
+            .resize({ width: THUMBNAIL_WIDTH, withoutEnlargement: true })
+            .jpeg({ quality: 75 })
+            .toFile(thumbnailPath);
+        return true;
+    } catch (error) {
+        console.warn(`⚠️ Could not make a thumbnail of ${outputPath}: ${error.message}`);
+        return false;
+    }
+}
+
+// Gather what a report shows about the maps of a run from the job store
+function reportEntries(store, results, keyFor) {
+    const downloads = [];
+    const failures = [];
+    results.forEach(({ url, ok }) => {
+        const row = store.getByImagePropertiesUrl(url);
+        if (!row) {
+            return;
+        }
+        const metadata = row.metadata ? JSON.parse(row.metadata) : {};
+        if (ok && row.output_path) {
+            downloads.push({
+                key: keyFor(url),
+                title: metadata.title || keyFor(url),
+                cartographer: metadata.cartographer || null,
+                date: metadata.date || null,
+                size: row.width ? `${row.width}x${row.height}` : null,
+                productUrl: row.product_url,
+                outputPath: row.output_path
+            });
+        } else if (!ok) {
+            failures.push({ url, category: row.download_error_type, error: row.download_error });
+        }
+    });
+    return { downloads, failures };
+}
+
+// Helper function to link a map's title to its product page, when it has one
+function markdownTitle(entry) {
+    return entry.productUrl ? `[${escapeCell(entry.title)}](${entry.productUrl})` : escapeCell(entry.title);
+}
+
+// The report as Markdown; thumbnails and files are linked relative to reportDir
+function markdownReport(report, reportDir) {
+    const lines = [
+        `# Download run ${report.startedAt}`,
+        '',
+        `Finished ${report.finishedAt}${report.interrupted ? ' (interrupted)' : ''}: ${report.downloads.length} new downloads, ${report.failures.length} failures.`,
+        ''
+    ];
+    if (report.downloads.length > 0) {
+        lines.push('## New downloads', '', '| | Title | Cartographer | Date | Size | File |', '| --- | --- | --- | --- | --- | --- |');
+        report.downloads.forEach(entry => {
+            const file = path.relative(reportDir, entry.outputPath).split(path.sep).join('/');
+            lines.push(`| ${entry.thumbnail ? `![](${entry.thumbnail})` : ''} | ${markdownTitle(entry)} | ${escapeCell(entry.cartographer)} | ` +
+                `${escapeCell(entry.date)} | ${entry.size || ''} | [${escapeCell(path.basename(entry.outputPath))}](${encodeURI(file)}) |`);
+        });
+        lines.push('');
+    }
+    if (report.failures.length > 0) {
+        lines.push('## Failures', '', '| URL | Category | Error |', '| --- | --- | --- |');
+        report.failures.forEach(entry => lines.push(`| ${entry.url} | ${escapeCell(entry.category)} | ${escapeCell(entry.error)} |`));
+        lines.push('');
+    }
+    return lines.join('\n');
+}
+
+// The report as a standalone HTML page; thumbnails and files are linked relative to reportDir
+function htmlReport(report, reportDir) {
+    const rows = report.downloads.map(entry => {
+        const file = path.relative(reportDir, entry.outputPath).split(path.sep).join('/');
+        const title = entry.productUrl ? `<a href="${escapeHtml(entry.productUrl)}">${escapeHtml(entry.title)}</a>` : escapeHtml(entry.title);
+        return `<tr><td>${entry.thumbnail ? `<img src="${escapeHtml(entry.thumbnail)}" alt="">` : ''}</td>` +
+            `<td>${title}</td><td>${escapeHtml(entry.cartographer)}</td>` +
+            `<td>${escapeHtml(entry.date)}</td><td>${escapeHtml(entry.size)}</td>` +
+            `<td><a href="${escapeHtml(encodeURI(file))}">${escapeHtml(path.basename(entry.outputPath))}</a></td></tr>`;
+    });
+    const failures = report.failures.map(entry =>
+        `<tr><td>${escapeHtml(entry.url)}</td><td>${escapeHtml(entry.category)}</td><td>${escapeHtml(entry.error)}</td></tr>`);
+    return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>Download run ${escapeHtml(report.startedAt)}</title>
+<style>
+  body { font-family: sans-serif; margin: 2em; }
+  table { border-collapse: collapse; margin-bottom: 2em; }
+  td, th { border: 1px solid #ccc; padding: 4px 8px; text-align: left; vertical-align: top; }
+  img { max-width: ${THUMBNAIL_WIDTH}px; }
+</style>
+</head>
+<body>
+<h1>Download run ${escapeHtml(report.startedAt)}</h1>
+<p>Finished ${escapeHtml(report.finishedAt)}${report.interrupted ? ' (interrupted)' : ''}: ${report.downloads.length} new downloads, ${report.failures.length} failures.</p>
+${rows.length ? `<h2>New downloads</h2>
+<table>
+<tr><th></th><th>Title</th><th>Cartographer</th><th>Date</th><th>Size</th><th>File</th></tr>
+${rows.join('\n')}
+</table>` : ''}
+${failures.length ? `<h2>Failures</h2>
+<table>
+<tr><th>URL</th><th>Category</th><th>Error</th></tr>
+${failures.join('\n')}
+</table>` : ''}
+</body>
+</html>
+`;
+}
+
+// Write the report of a download run to reportDir as run-<start time>.html or .md (format 'html' or
+// 'markdown'): the new downloads with thumbnails (in reportDir/thumbnails) and the failures.
+// results are the run's { url, ok } in the order they finished; keyFor turns an ImageProperties URL into the
+// map's Zoomify folder name. Returns the report's path.
+async function writeRunReport(store, { reportDir, format, results, startedAt, interrupted = false, keyFor }) {
+    const report = {
+        startedAt: new Date(startedAt).toISOString(),
+        finishedAt: new Date().toISOString(),
+        interrupted,
+        ...reportEntries(store, results, keyFor)
+    };
+    const thumbnailDir = path.join(reportDir, 'thumbnails');
+    fs.mkdirSync(thumbnailDir, { recursive: true });
+    for (const entry of report.downloads) {
+        if (await writeThumbnail(entry.outputPath, path.join(thumbnailDir, `${entry.key}.jpg`))) {
+            entry.thumbnail = `thumbnails/${encodeURIComponent(entry.key)}.jpg`;
+        }
+    }
+
+    const stamp = report.startedAt.replace(/[:.]/g, '-');
+    const reportPath = path.join(reportDir, `run-${stamp}.${format === 'markdown' ? 'md' : 'html'}`);
+    fs.writeFileSync(reportPath, format === 'markdown' ? markdownReport(report, reportDir) : htmlReport(report, reportDir), 'utf-8');
+    return reportPath;
+}
+
+module.exports = {
+    writeRunReport
+};
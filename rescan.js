@@ -0,0 +1,113 @@
+const fs = require('fs');
+const path = require('path');
+const { fetchBuffer, parseImageProperties } = require('./zoomify_downloader');
+const { resolveZoomlinkIdByFetch } = require('./zoomify_resolver');
+const { moveOutput } = require('./verify');
+
+// ImageProperties.xml attributes compared against the values stored in the job store
+const COMPARED_PROPERTIES = [
+    { attribute: 'WIDTH', key: 'width', column: 'width' },
+    { attribute: 'HEIGHT', key: 'height', column: 'height' },
+    { attribute: 'NUMTILES', key: 'numTiles', column: 'num_tiles' }
+];
+
+// Helper function to put a different zoomlink ID in front of the map folder of an ImageProperties URL
+function withZoomlinkId(imagePropertiesUrl, zoomifyBaseUrl, zoomlinkId) {
+    const rest = imagePropertiesUrl.startsWith(zoomifyBaseUrl) ? imagePropertiesUrl.slice(zoomifyBaseUrl.length) : '';
+    const dashIndex = rest.indexOf('-');
+    if (dashIndex === -1) {
+        throw new Error(`Cannot build the new ImageProperties URL from ${imagePropertiesUrl}`);
+    }
+    return `${zoomifyBaseUrl}${zoomlinkId}${rest.substring(dashIndex)}`;
+}
+
+// List what differs between the stored values of a map and the current ones, ie. 'WIDTH 4000 -> 4096'.
+// Values that were never stored are not compared.
+function describeChanges(row, properties, zoomlinkId) {
+    const changes = [];
+    if (row.zoomlink_id && zoomlinkId && zoomlinkId !== row.zoomlink_id) {
+        changes.push(`zoomlink ${row.zoomlink_id} -> ${zoomlinkId}`);
+    }
+    COMPARED_PROPERTIES.forEach(({ attribute, key, column }) => {
+        if (row[column] && properties[key] && row[column] !== properties[key]) {
+            changes.push(`${attribute} ${row[column]} -> ${properties[key]}`);
+        }
+    });
+    return changes;
+}
+
+// Move the files of a map's current download into archiveDir/<key>/<download time>/
+function archiveOutput(row, archiveDir, key) {
+    const stamp = (row.downloaded_at || new Date().toISOString()).replace(/[:.]/g, '-');
+    return moveOutput(row.output_path, path.join(archiveDir, key, stamp));
+}
+
+// Re-fetch ImageProperties.xml (and, with checkZoomlink, the product page's zoomlink ID) for downloaded
+// maps and compare them with what was stored when they were downloaded. A map whose scan was replaced
+// has its file archived as a version, its stale tiles dropped from the cache and is queued for download.
+// productUrls limits the check to those maps, ie. the ones whose sitemap <lastmod> changed; limiter is the
+// rate limiter the requests wait for.
+async function rescanDownloads(store, { zoomifyBaseUrl, archiveDir, cacheDirFor, keyFor, productUrls = null, checkZoomlink = true, limiter = null }) {
+    const summary = { checked: 0, unchanged: 0, baseline: 0, changed: [], errors: [] };
+    // Delisted products have no page left to compare against
+    let rows = store.downloadedMaps().filter(row => !row.delisted_at);
+    if (productUrls) {
+        const wanted = new Set(productUrls);
+        rows = rows.filter(row => wanted.has(row.product_url));
+    }
+
+    for (const row of rows) {
+        const label = row.product_url || row.image_properties_url;
+        try {
+            let zoomlinkId = row.zoomlink_id;
+            let imagePropertiesUrl = row.image_properties_url;
+            if (checkZoomlink && row.product_url) {
+                zoomlinkId = await resolveZoomlinkIdByFetch(row.product_url, { limiter });
+                if (row.zoomlink_id && zoomlinkId !== row.zoomlink_id) {
+                    imagePropertiesUrl = withZoomlinkId(row.image_properties_url, zoomifyBaseUrl, zoomlinkId);
+                }
+            }
+
+            const properties = await parseImageProperties((await fetchBuffer(imagePropertiesUrl, { limiter })).toString('utf-8'));
+            summary.checked++;
+
+            const changes = describeChanges(row, properties, zoomlinkId);
+            if (changes.length === 0) {
+                const baseline = COMPARED_PROPERTIES.some(({ column }) => !row[column]);
+                store.recordRescan(row.image_properties_url, properties);
+                summary[baseline ? 'baseline' : 'unchanged']++;
+                continue;
+            }
+
+            const other = store.getByImagePropertiesUrl(imagePropertiesUrl);
+            if (other && other.id !== row.id) {
+                throw new Error(`${imagePropertiesUrl} already belongs to ${other.product_url || 'another map'}`);
+            }
+
+            console.log(`[CHANGED] ${label}: ${changes.join(', ')}`);
+            const archivedPath = archiveOutput(row, archiveDir, keyFor(row.image_properties_url));
+            // Cached tiles belong to the old scan and must not be stitched into the new one
+            [row.image_properties_url, imagePropertiesUrl].forEach(url => {
+                fs.rmSync(cacheDirFor(url), { recursive: true, force: true });
+            });
+            store.recordRescanChange(row.image_properties_url, {
+                zoomlinkId,
+                newImagePropertiesUrl: imagePropertiesUrl,
+                imageProperties: properties,
+                changes,
+                archivedPath
+            });
+            summary.changed.push({ productUrl: row.product_url, imagePropertiesUrl, changes, archivedPath });
+        } catch (err) {
+            console.log(`[ERROR] Re-scan of ${label} failed: ${err.message}`);
+            summary.errors.push({ url: label, error: err.message });
+        }
+    }
+
+    return summary;
+}
+
+module.exports = {
+    describeChanges,
+    rescanDownloads
+};
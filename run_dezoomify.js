@@ -1,241 +1,585 @@
 const fs = require('fs');
-const { exec } = require('child_process');
 const path = require('path');
-const { promisify } = require('util');
-const execAsync = promisify(exec);
-
-// Parse command line arguments
-const args = process.argv.slice(2);
-const batchSize = parseInt(args[0]) || 10;     // Default batch size of 10 if not specified
-const startIndex = parseInt(args[1]) || 0;      // Start index, defaults to 0
-const maxConcurrent = parseInt(args[2]) || 3;   // Maximum concurrent downloads, default 3
-
-// Settings
-const workingDir = 'C:/Users/Mai/Documents/zoomifyjs';  // Updated working directory
-const inputFile = path.join(workingDir, 'logs', 'corrected_imageproperties_urls.txt');  // Updated input file
-const dezoomifyExecutable = path.join(workingDir, 'dezoomify-rs.exe');
-const successLogFile = path.join(workingDir, 'logs', 'dezoomify_success.txt');  // Renamed to avoid confusion
-const failureLogFile = path.join(workingDir, 'logs', 'dezoomify_failure.txt');  // Renamed to avoid confusion
-const detailedFailureLogFile = path.join(workingDir, 'logs', 'dezoomify_failure_details.json');  // New detailed failure log
-const progressFile = path.join(workingDir, 'logs', 'dezoomify_progress.json');  // Renamed to avoid confusion
-const outputDir = path.join(workingDir, 'finished_zoomify_downloads');
-const tileCacheDir = path.join(workingDir, 'Tilecache');
-const extractSuccessFile = path.join(workingDir, 'logs', 'success_log.txt');  // Add reference to extract_zoomify's success log
-
-// Ensure output directories exist
-[outputDir, tileCacheDir, path.join(workingDir, 'logs')].forEach(dir => {
-    if (!fs.existsSync(dir)) {
-        fs.mkdirSync(dir, { recursive: true });
-    }
-});
-
-// Helper to sanitize filenames
-function sanitizeFilename(url) {
-    let base = url.replace('https://www.geographicus.com/mm5/graphics/00000001/zoomify/', '');
-    base = base.replace('/ImageProperties.xml', '');
-    return base.replace(/[^a-z0-9_\-]/gi, '_');
-}
-
-// Load previous logs
-const readLog = (filePath) => {
-    return fs.existsSync(filePath)
-        ? new Set(fs.readFileSync(filePath, 'utf-8')
-            .split('\n')
-            .map(line => {
-                // Handle timestamped log entries
-                const parts = line.split('|');
-                return parts.length > 1 ? parts[1].trim() : line.trim();
-            })
-            .filter(Boolean))
-        : new Set();
-};
+const { OUTPUT_FORMATS, downloadZoomifyImage, sanitizeFilename } = require('./zoomify_downloader');
+const { loadConfigOrExit, resolveOptions } = require('./config');
+const { getJobStore } = require('./job_store');
+const { writeCatalog } = require('./catalog');
+const { metadataFields, writeImageMetadata } = require('./image_metadata');
+const { RETRY_POLICIES, classifyError, shouldRetry, retryDelay } = require('./failures');
+const { checkDownload, hashFile, writeManifest } = require('./verify');
+const { checkDuplicate } = require('./duplicates');
+const { formatSize, freeSpace, moveFile } = require('./disk');
+const { touchCache, removeCache, pruneCache } = require('./tile_cache');
+const { createNamer } = require('./naming');
+const { createRunNotifier } = require('./notify');
+const { writeRunReport } = require('./report');
+const { selectImagePropertiesUrls, describeSelection, printDryRun } = require('./selection');
+const { readCheckpoint, resumeIndex, createCheckpoint, watchInterrupts, writeJsonAtomic } = require('./checkpoint');
+const { createActivity } = require('./activity');
+const { createRateLimiter } = require('./rate_limiter');
+const { startDashboard } = require('./dashboard');
+const { createWorkerPool, sleep } = require('./worker_pool');
 
-// Read both run_dezoomify success log and extract_zoomify success log
-const dezoomifySuccessSet = readLog(successLogFile);
-const extractSuccessSet = readLog(extractSuccessFile);
-const failureSet = readLog(failureLogFile);
+// How often a run paused for disk space checks again (ms)
+const DISK_CHECK_INTERVAL = 5000;
 
-// Read input URLs
-if (!fs.existsSync(inputFile)) {
-    console.error(`❌ Input file "${inputFile}" not found.`);
-    process.exit(1);
+// File paths for output and tracking
+function downloadPaths(workingDir) {
+    return {
+        progress: path.join(workingDir, 'logs', 'dezoomify_progress.json'),  // Renamed to avoid confusion
+        outputDir: path.join(workingDir, 'finished_zoomify_downloads'),
+        tileCacheDir: path.join(workingDir, 'Tilecache'),
+        catalogDir: path.join(workingDir, 'catalog')
+    };
 }
 
-const allUrls = fs.readFileSync(inputFile, 'utf-8')
-    .split('\n')
-    .map(line => line.trim())
-    .filter(line => line.length > 0);
-
-// Only skip URLs that have been successfully processed by both scripts
-// or have failed in run_dezoomify
-const urls = allUrls.filter(url => {
-    const processedByBoth = dezoomifySuccessSet.has(url) && extractSuccessSet.has(url);
-    const hasFailed = failureSet.has(url);
-    return !processedByBoth && !hasFailed;
-});
+// Helper function to pass an event on to the caller's EventEmitter (options.events), if there is one,
+// and to the run's notifiers (notify.js)
+function emit(run, name, data = {}) {
+    if (run.events) {
+        run.events.emit(name, { stage: 'download', ...data });
+    }
+    run.notifier.handle(name, data);
+}
 
-let successCount = dezoomifySuccessSet.size;
-let failCount = failureSet.size;
-let current = startIndex;
-let activeDownloads = 0;
+// The files making up one map's output in a folder (a .dzi has a _files folder next to it, a IIIF
+// pyramid is a folder of its own) and the path recorded for it in the job store. filename may hold
+// subfolders (see naming.js).
+function outputFiles(dir, filename, format) {
+    const target = path.join(dir, `${filename}${OUTPUT_FORMATS[format].extension}`);
+    if (format === 'dzi') {
+        return { target, recorded: target, parts: [target, path.join(dir, `${filename}_files`)] };
+    }
+    if (format === 'iiif') {
+        return { target, recorded: path.join(target, 'info.json'), parts: [target] };
+    }
+    return { target, recorded: target, parts: [target] };
+}
 
-// Calculate batch end index
-const endIndex = Math.min(startIndex + batchSize, urls.length);
+// Skip URLs that have already been downloaded or have failed in run_dezoomify (a dry run leaves new ones unrecorded)
+function filterPending(inputUrls, options = {}) {
+    const config = resolveOptions('download', options);
+    const store = getJobStore(config.workingDir);
+    const urls = [...new Set(inputUrls)];
+    if (!config.dryRun) {
+        store.addImagePropertiesUrls(urls);
+    }
+    return urls.filter(url => {
+        const row = store.getByImagePropertiesUrl(url);
+        return !row || row.download_status === 'pending';
+    });
+}
 
 // Helper function to get timestamp
 function getTimestamp() {
     return new Date().toISOString();
 }
 
-function logToFile(filePath, content) {
-    const timestamp = getTimestamp();
-    fs.appendFileSync(filePath, `${timestamp} | ${content}\n`);
+// Record a failure under its category (see failures.js)
+function logFailure(store, url, error, attempts = 1) {
+    const category = classifyError(error, 'download');
+    store.recordDownloadFailure(url, error.message || error.toString(), category, attempts);
+    return category;
 }
 
-// Enhanced logging for failures
-function logFailure(url, error, type = 'download') {
-    const timestamp = getTimestamp();
-    
-    // Log to simple failure log
-    logToFile(failureLogFile, url);
-    
-    // Load existing detailed failures
-    let detailedFailures = {};
-    if (fs.existsSync(detailedFailureLogFile)) {
+// Download, stitch and verify one image, retrying as often and as slowly as the failure category allows.
+// Once options.signal is aborted (job timeout or cancellation) the image is not retried.
+async function downloadWithRetries(run, url, outputPath, options) {
+    const { signal } = options;
+    for (let attempt = 0; ; attempt++) {
         try {
-            detailedFailures = JSON.parse(fs.readFileSync(detailedFailureLogFile, 'utf-8'));
-        } catch (e) {
-            console.warn('Warning: Could not parse detailed failure log, starting fresh');
-        }
-    }
-    
-    // Add new failure entry
-    detailedFailures[url] = {
-        timestamp,
-        type,
-        error: error.message || error.toString(),
-        stderr: error.stderr || null,
-        attempts: (detailedFailures[url]?.attempts || 0) + 1,
-        lastAttempt: timestamp
+            const image = await downloadZoomifyImage(url, outputPath, options);
+            if (run.config.verify && !image.pyramid) {
+                await checkDownload(outputPath, image, options.cacheDir);
+            }
+            return { image, attempts: attempt + 1 };
+        } catch (error) {
+            const category = classifyError(error, 'download');
+            if (!shouldRetry(category, attempt) || signal.aborted || run.interrupts.isStopping()) {
+                error.attempts = attempt + 1;
+                throw error;
+            }
+            const delay = retryDelay(category, attempt);
+            console.log(`   🔁 ${category}: retry ${attempt + 1} of ${RETRY_POLICIES[category].retries} in ${Math.round(delay / 1000)}s (${error.message})`);
+            emit(run, 'retry', { url, category, error: error.message, attempt: attempt + 1, delay });
+            await sleep(delay, signal).catch(() => {});
+        }
+    }
+}
+
+// Statistics stored alongside the checkpoint in the progress file
+function progressStats(store, activity) {
+    const counts = store.counts();
+    const download = activity.snapshot().stages.download;
+    return {
+        successCount: counts.downloaded,
+        failCount: counts.downloadFailed,
+        totalProcessed: {
+            extractSuccess: counts.extracted,
+            dezoomifySuccess: counts.downloaded,
+            failed: {
+                total: counts.downloadFailed,
+                byType: counts.downloadFailuresByType,
+                multipleAttempts: counts.multipleDownloadAttempts
+            }
+        },
+        activeDownloads: download && download.running ? download.workers.length : 0
     };
-    
-    // Save detailed failures
-    fs.writeFileSync(detailedFailureLogFile, JSON.stringify(detailedFailures, null, 2));
 }
 
-function saveProgress() {
-    // Load detailed failures to get statistics
-    let failureDetails = {};
-    if (fs.existsSync(detailedFailureLogFile)) {
-        try {
-            failureDetails = JSON.parse(fs.readFileSync(detailedFailureLogFile, 'utf-8'));
-        } catch (e) {
-            console.warn('Warning: Could not read detailed failure log for statistics');
+function saveProgress(run) {
+    if (run.checkpoint) {
+        run.checkpoint.save();
+        return;
+    }
+    // Runs without a checkpoint (ie. from pipeline.js) keep the saved cursor and only refresh the statistics
+    const progressFile = downloadPaths(run.config.workingDir).progress;
+    writeJsonAtomic(progressFile, {
+        ...readCheckpoint(progressFile),
+        ...progressStats(run.store, run.activity),
+        lastUpdate: getTimestamp()
+    });
+}
+
+// Write provenance metadata into (or next to) a downloaded image; a failure here never fails the download.
+// imageMetadata is the config setting of the same name.
+async function tagImage(row, imageMetadata) {
+    try {
+        const fields = metadataFields(row, row.downloaded_at || row.updated_at);
+        const written = await writeImageMetadata(row.output_path, fields, imageMetadata);
+        if (written.length > 0) {
+            console.log(`   🏷️ Metadata written to ${written.map(file => path.basename(file)).join(', ')}`);
         }
+        return true;
+    } catch (error) {
+        console.warn(`⚠️ Could not write metadata for ${row.output_path}: ${error.message}`);
+        return false;
     }
+}
 
-    // Calculate failure statistics
-    const failureStats = {
-        total: Object.keys(failureDetails).length,
-        byType: Object.values(failureDetails).reduce((acc, curr) => {
-            acc[curr.type] = (acc[curr.type] || 0) + 1;
-            return acc;
-        }, {}),
-        multipleAttempts: Object.values(failureDetails).filter(f => f.attempts > 1).length
-    };
+// (Re)write the metadata of every downloaded image that is on disk, ie. after the catalog changed. Tagging
+// rewrites the file, so a map whose file still had its verified checksum gets the new one recorded; a
+// file that had already changed keeps the old checksum, so verify still catches it. Duplicates whose
+// file is a link to another download are skipped; that download's metadata is the one in the file.
+// Returns { tagged, total }.
+async function tagDownloads(store, imageMetadata) {
+    const rows = store.downloadedMaps().filter(row => !row.linked_to && fs.existsSync(row.output_path));
+    let tagged = 0;
+    for (const row of rows) {
+        const intact = row.sha256 && (await hashFile(row.output_path)) === row.sha256;
+        if (!(await tagImage(row, imageMetadata))) {
+            continue;
+        }
+        tagged++;
+        if (intact) {
+            store.recordVerification(row.image_properties_url, await hashFile(row.output_path));
+        }
+    }
+    return { tagged, total: rows.length };
+}
 
-    const progress = {
-        lastProcessedIndex: current,
-        totalUrls: urls.length,
-        successCount,
-        failCount,
-        lastUpdate: getTimestamp(),
-        totalProcessed: {
-            dezoomifySuccess: dezoomifySuccessSet.size,
-            extractSuccess: extractSuccessSet.size,
-            completedBoth: [...dezoomifySuccessSet].filter(url => extractSuccessSet.has(url)).length,
-            failed: failureStats
-        },
-        activeDownloads
-    };
-    fs.writeFileSync(progressFile, JSON.stringify(progress, null, 2));
+// Compare a new download with the ones before it; a near-identical scan is kept, linked or skipped
+// as config.duplicates says. Hashing problems are only reported.
+async function reportDuplicate(run, url) {
+    try {
+        const duplicate = await checkDuplicate(run.store, url, {
+            policy: run.config.duplicates,
+            threshold: run.config.duplicateThreshold
+        });
+        if (duplicate) {
+            console.log(`   👯 Near-identical to ${duplicate.original.output_path} (${duplicate.distance} bits apart, ${duplicate.action})`);
+        }
+    } catch (error) {
+        console.warn(`⚠️ Could not compare ${url} with earlier downloads: ${error.message}`);
+    }
+}
+
+// Tile cache folders of the downloads in progress, which are never evicted
+function cachesInUse(run) {
+    const download = run.activity.snapshot().stages.download;
+    return download ? download.workers.map(worker => sanitizeFilename(worker.url, run.config.zoomifyBaseUrl)) : [];
 }
 
-// Process a single URL
-async function processUrl(url) {
-    const filename = sanitizeFilename(url);
-    const tempOutputPath = path.join(workingDir, `${filename}.jpg`);
-    const finalOutputPath = path.join(outputDir, `${filename}.jpg`);
-    const command = `"${dezoomifyExecutable}" -l -c "${tileCacheDir}" "${url}" "${tempOutputPath}"`;
+// Keep the tile cache within config.cacheMaxSize by evicting the least recently used maps
+function enforceCacheCap(run) {
+    if (!run.config.cacheMaxSize) {
+        return;
+    }
+    const pruned = pruneCache(downloadPaths(run.config.workingDir).tileCacheDir, {
+        maxBytes: run.config.cacheMaxSize,
+        keep: cachesInUse(run)
+    });
+    if (pruned.removed.length > 0) {
+        console.log(`   🧹 Evicted ${pruned.removed.length} cached maps (${formatSize(pruned.freedBytes)}) to keep the tile cache under ${formatSize(run.config.cacheMaxSize)}`);
+    }
+}
+
+// Wait before a download while the working directory's drive has less than config.minFreeSpace free,
+// evicting unused tile caches first. The run stays paused (new downloads only) until space is freed or
+// it is stopped; returns false when it was stopped.
+async function waitForDiskSpace(run) {
+    const { config } = run;
+    if (!config.minFreeSpace) {
+        return true;
+    }
+    while (!run.interrupts.isStopping()) {
+        let free = freeSpace(config.workingDir);
+        if (free < config.minFreeSpace) {
+            const pruned = pruneCache(downloadPaths(config.workingDir).tileCacheDir, {
+                free: config.minFreeSpace - free,
+                keep: cachesInUse(run)
+            });
+            if (pruned.removed.length > 0) {
+                console.log(`🧹 Evicted ${pruned.removed.length} cached maps (${formatSize(pruned.freedBytes)}) to free disk space`);
+                free = freeSpace(config.workingDir);
+            }
+        }
+        if (free >= config.minFreeSpace) {
+            if (run.diskPaused) {
+                run.diskPaused = false;
+                console.log(`▶️ ${formatSize(free)} free again, resuming downloads`);
+            }
+            return true;
+        }
+        if (!run.diskPaused) {
+            run.diskPaused = true;
+            console.log(`💾 Only ${formatSize(free)} free on the drive of ${config.workingDir} (minFreeSpace is ${formatSize(config.minFreeSpace)}): downloads are paused until space is freed`);
+            emit(run, 'lowDiskSpace', { free, required: config.minFreeSpace });
+        }
+        await sleep(DISK_CHECK_INTERVAL, run.interrupts.signal).catch(() => {});
+    }
+    return false;
+}
+
+// The steps after a download is recorded: metadata, checksum, duplicate check and cache cleanup. Each one
+// that fails is only reported; the map stays downloaded (verify and tag can redo them later).
+async function afterDownload(run, url, cacheDir) {
+    const { config, store } = run;
+    await tagImage(store.getByImagePropertiesUrl(url), config.imageMetadata);
+    // The hash is taken after tagging, which rewrites the file
+    let verified = false;
+    if (config.verify) {
+        try {
+            store.recordVerification(url, await hashFile(store.getByImagePropertiesUrl(url).output_path));
+            verified = true;
+        } catch (error) {
+            console.warn(`⚠️ Could not record the checksum of ${url}: ${error.message}`);
+        }
+    }
+    await reportDuplicate(run, url);
+    // A verified map's tiles are not needed again unless it is re-queued
+    if (verified && config.cacheCleanup) {
+        try {
+            removeCache(cacheDir);
+        } catch (error) {
+            console.warn(`⚠️ Could not remove the cached tiles of ${url}: ${error.message}`);
+        }
+    }
+}
+
+// Process a single URL; signal is the worker pool's, aborted on a job timeout or cancellation
+async function processUrl(run, url, signal) {
+    const { config, store, checkpoint } = run;
+    const paths = downloadPaths(config.workingDir);
+    const filename = sanitizeFilename(url, config.zoomifyBaseUrl);
+    const name = run.namer.nameFor(url);
+    const tempOutput = outputFiles(config.workingDir, filename, config.format);
+    const finalOutput = outputFiles(paths.outputDir, name, config.format);
+    const finalOutputPath = finalOutput.recorded;
+    const cacheDir = path.join(paths.tileCacheDir, filename);
+
+    run.current++;
+    console.log(`\n▶️ [${run.current}/${run.total}] Processing: ${url}`);
+    run.activity.workStarted('download', url);
+    if (checkpoint) {
+        checkpoint.started(url);
+    }
+    // Whatever way the URL ends, it leaves the dashboard's workers; null if it was given up
+    let ok = null;
 
-    console.log(`\n▶️ [${current}/${endIndex}] Processing: ${url}`);
-    
     try {
-        await execAsync(command);
+        touchCache(cacheDir);
+        const { image, attempts } = await downloadWithRetries(run, url, tempOutput.target, {
+            cacheDir,
+            format: config.format,
+            iiifId: `${config.iiifBaseUrl}${name.split('/').map(encodeURIComponent).join('/')}`,
+            signal,
+            limiter: run.rateLimiter,
+            onProgress: (done, total) => {
+                if (done === total || done % 100 === 0) {
+                    console.log(`   ⏬ ${filename}: ${done}/${total} tiles`);
+                }
+            }
+        });
+        console.log(`   🧩 ${image.pyramid ? `Built ${config.format} pyramid from` : 'Stitched'} ${image.tileCount} tiles (${image.width}x${image.height})`);
         try {
-            fs.renameSync(tempOutputPath, finalOutputPath);
-            console.log(`✅ Success: ${finalOutputPath}`);
-            logToFile(successLogFile, url);
-            successCount++;
+            fs.mkdirSync(path.dirname(finalOutput.target), { recursive: true });
+            tempOutput.parts.forEach((part, i) => {
+                fs.rmSync(finalOutput.parts[i], { recursive: true, force: true });
+                moveFile(part, finalOutput.parts[i]);
+            });
         } catch (moveErr) {
             console.error(`⚠️ File move failed: ${moveErr.message}`);
-            logFailure(url, moveErr, 'move_failure');
-            failCount++;
+            const category = logFailure(store, url, moveErr, attempts);
+            run.failed++;
+            run.results.push({ url, ok: false });
+            ok = false;
+            emit(run, 'failure', { url, category, error: moveErr.message, attempts });
+            return finishUrl(run, url);
         }
-    } catch (error) {
-        console.error(`❌ Failed: ${url}\n   ${error.stderr || error.message}`);
-        logFailure(url, error, 'download_failure');
-        failCount++;
-    }
-    
-    activeDownloads--;
-    saveProgress();
-}
-
-// Main processing function with concurrency
-async function processUrls() {
-    console.log(`📥 Starting batch processing from index ${startIndex} to ${endIndex-1}`);
-    console.log(`📊 Total URLs remaining: ${urls.length - startIndex}`);
-    console.log(`🔄 Maximum concurrent downloads: ${maxConcurrent}`);
-
-    // Process URLs in concurrent batches
-    while (current < endIndex) {
-        // Start new downloads if under concurrency limit
-        while (activeDownloads < maxConcurrent && current < endIndex) {
-            const url = urls[current++];
-            if (url) {
-                activeDownloads++;
-                processUrl(url).catch(error => {
-                    console.error(`❌ Unexpected error processing ${url}:`, error);
-                    activeDownloads--;
-                });
+        console.log(`✅ Success: ${finalOutputPath}`);
+        store.recordDownloadSuccess(url, finalOutputPath, attempts);
+        await afterDownload(run, url, cacheDir);
+        run.successful++;
+        run.results.push({ url, ok: true });
+        ok = true;
+        emit(run, 'success', { url, outputPath: finalOutputPath, width: image.width, height: image.height, attempts });
+    } catch (caught) {
+        // An aborted job fails with the pool's reason rather than whatever the interrupted download threw
+        const error = signal.aborted ? Object.assign(signal.reason, { attempts: caught.attempts }) : caught;
+        if (error.name === 'AbortError') {
+            // Cancelled downloads stay pending for the next run
+            console.log(`⏹️ Cancelled: ${url}`);
+            if (checkpoint) {
+                checkpoint.abandoned(url);
+            }
+            return;
+        }
+        const category = logFailure(store, url, error, error.attempts);
+        console.error(`❌ Failed (${category}): ${url}\n   ${error.message}`);
+        run.failed++;
+        run.results.push({ url, ok: false });
+        ok = false;
+        emit(run, 'failure', { url, category, error: error.message, attempts: error.attempts || 1 });
+    } finally {
+        run.activity.workFinished('download', url, ok);
+    }
+    finishUrl(run, url);
+}
+
+// Helper function to save the progress of a URL that succeeded or failed
+function finishUrl(run, url) {
+    enforceCacheCap(run);
+
+    if (run.checkpoint) {
+        run.checkpoint.completed(url);
+    } else {
+        saveProgress(run);
+    }
+    emit(run, 'progress', { done: run.successful + run.failed, total: run.total, successful: run.successful, failed: run.failed });
+}
+
+// Download, stitch and verify a list of ImageProperties URLs, recording the results in the job store.
+// URLs that are not pending (already downloaded or failed) or do not match the selection settings (selection.js)
+// are skipped; with dryRun the rest are listed instead of downloaded.
+// options are config.js settings (see resolveOptions) plus:
+//   events        an EventEmitter that gets 'start', 'success', 'retry', 'failure', 'progress', 'lowDiskSpace' and 'end' events
+//   signal        an AbortSignal; once aborted no new downloads are started (like Ctrl-C)
+//   checkpoint    a checkpoint from checkpoint.js, saved after every URL
+//   handleSigint  true to stop on Ctrl-C (the CLI does this)
+//   activity      the run's live progress and pause switch (activity.js), ie. shared with a dashboard
+//   rateLimiter   the rate limiter (rate_limiter.js) of the run, ie. shared with the other stages
+// Without activity or rateLimiter the run gets a new one of its own.
+// Resolves with { successful, failed, processed, interrupted, report } (report is the run report's path, or null
+// without config runReport), plus the selected URLs for a dry run.
+async function downloadImages(inputUrls, options = {}) {
+    const {
+        events = null, signal = null, checkpoint = null, handleSigint = false,
+        activity = createActivity(), rateLimiter = createRateLimiter(), ...settings
+    } = options;
+    const config = resolveOptions('download', settings);
+    rateLimiter.configure(config);
+    const paths = downloadPaths(config.workingDir);
+    const store = getJobStore(config.workingDir);
+    const queue = selectImagePropertiesUrls(filterPending(inputUrls, config), config, store);
+    if (config.dryRun) {
+        printDryRun('download', queue, store);
+        return { successful: 0, failed: 0, processed: 0, interrupted: false, dryRun: true, selected: queue };
+    }
+
+    // Ensure output directories exist
+    [paths.outputDir, paths.tileCacheDir, path.join(config.workingDir, 'logs')].forEach(dir => {
+        if (!fs.existsSync(dir)) {
+            fs.mkdirSync(dir, { recursive: true });
+        }
+    });
+
+    const run = {
+        config,
+        store,
+        checkpoint,
+        events,
+        activity,
+        rateLimiter,
+        namer: createNamer(store, config.outputTemplate, imagePropertiesUrl => sanitizeFilename(imagePropertiesUrl, config.zoomifyBaseUrl)),
+        notifier: createRunNotifier('download', config),
+        startedAt: Date.now(),
+        results: [],
+        total: queue.length,
+        current: 0,
+        successful: 0,
+        failed: 0,
+        diskPaused: false,
+        interrupts: watchInterrupts(() => {
+            if (checkpoint) {
+                checkpoint.save('interrupted');
             }
+        }, { signal, sigint: handleSigint })
+    };
+    run.activity.beginStage('download', queue.length);
+    emit(run, 'start', { total: queue.length });
+
+    console.log(`📥 Starting batch processing of ${queue.length} URLs`);
+    console.log(`🔄 Maximum concurrent downloads: ${config.concurrency}`);
+
+    // Each worker runs one download at a time; after Ctrl-C, or while paused from the dashboard or for
+    // lack of disk space, no new downloads are started
+    const pool = createWorkerPool({
+        concurrency: config.concurrency,
+        jobTimeout: config.jobTimeout,
+        beforeJob: async () => {
+            await run.activity.waitWhilePaused(() => run.interrupts.isStopping());
+            return await waitForDiskSpace(run) && !run.interrupts.isStopping();
+        },
+        onError: (error, url) => {
+            console.error(`❌ Unexpected error processing ${url}:`, error);
+        }
+    });
+    // Aborting the caller's signal or a second Ctrl-C also aborts the downloads in flight
+    run.interrupts.cancelSignal.addEventListener('abort', () => pool.cancel(), { once: true });
+    run.activity.setPool('download', pool);
+    try {
+        await pool.run(queue, (url, { signal: jobSignal }) => processUrl(run, url, jobSignal));
+    } finally {
+        run.interrupts.dispose();
+        run.activity.endStage('download');
+    }
+    const interrupted = run.interrupts.isStopping();
+
+    const counts = run.store.counts();
+    console.log(interrupted ? `\n⏸️ Batch interrupted.` : `\n✅ Batch complete.`);
+    console.log(`   ✔️ Total successful: ${counts.downloaded}`);
+    console.log(`   ❌ Total failed: ${counts.downloadFailed}`);
+    console.log(`   📊 Progress: ${run.current}/${queue.length} URLs processed`);
+
+    if (!checkpoint) {
+        saveProgress(run);
+    }
+
+    // Keep the catalog's output paths and the checksum manifest in step with the new downloads
+    if (run.successful > 0) {
+        writeCatalog(run.store, {
+            catalogDir: paths.catalogDir,
+            keyFor: imagePropertiesUrl => sanitizeFilename(imagePropertiesUrl, config.zoomifyBaseUrl)
+        });
+        writeManifest(run.store, paths.outputDir);
+    }
+
+    const result = {
+        successful: run.successful,
+        failed: run.failed,
+        processed: run.current,
+        interrupted,
+        report: null
+    };
+    if (config.runReport !== 'off' && run.results.length > 0) {
+        result.report = await writeRunReport(run.store, {
+            reportDir: path.join(config.workingDir, 'reports'),
+            format: config.runReport,
+            results: run.results,
+            startedAt: run.startedAt,
+            interrupted,
+            keyFor: imagePropertiesUrl => sanitizeFilename(imagePropertiesUrl, config.zoomifyBaseUrl)
+        });
+        console.log(`📝 Run report: ${result.report}`);
+    }
+    emit(run, 'end', { ...result });
+    await run.notifier.flush();
+    return result;
+}
+
+// Command line: download the next batch of extracted URLs
+async function main() {
+    // Settings come from config.js (config file, environment, then named flags)
+    const config = loadConfigOrExit('download');
+    const { batchSize, startIndex, concurrency } = config;
+    const progressFile = downloadPaths(config.workingDir).progress;
+    const store = getJobStore(config.workingDir);
+
+    // The start index counts every extracted URL in the job store (in the order they were added),
+    // so it points at the same URL between runs no matter what has been downloaded since
+    const allUrls = store.extractedImagePropertiesUrls();
+    const selected = describeSelection(config);
+    if (selected) {
+        console.log(`ℹ️ Selection: ${selected}`);
+    }
+    let from = startIndex;
+    if (config.resume) {
+        const saved = resumeIndex(progressFile, allUrls);
+        if (saved === null) {
+            console.log(`ℹ️ No checkpoint found in ${progressFile}, starting at index ${startIndex}`);
+        } else {
+            from = saved;
+            console.log(`⏯️ Resuming from index ${from}`);
         }
+    }
 
-        // Wait a bit before checking again
-        await new Promise(resolve => setTimeout(resolve, 1000));
+    // Read pending ImageProperties URLs from the job store
+    const pending = new Set(selectImagePropertiesUrls(store.pendingDownloads(), config, store));
+    const queue = allUrls
+        .slice(from)
+        .filter(url => pending.has(url))
+        .slice(0, batchSize);
+    if (queue.length === 0) {
+        console.log('ℹ️ No extracted URLs are waiting to be downloaded.');
+        return;
+    }
+    if (config.dryRun) {
+        await downloadImages(queue, config);
+        return;
     }
 
-    // Wait for remaining downloads to complete
-    while (activeDownloads > 0) {
-        await new Promise(resolve => setTimeout(resolve, 1000));
+    // The dashboard shows the live progress of this run and the rate limiter's hosts
+    const activity = createActivity();
+    const rateLimiter = createRateLimiter();
+    fs.mkdirSync(path.dirname(progressFile), { recursive: true });
+    const batchCheckpoint = createCheckpoint({
+        filePath: progressFile,
+        urls: allUrls,
+        queue,
+        startIndex: from,
+        extra: () => progressStats(store, activity)
+    });
+    batchCheckpoint.save();
+
+    const dashboard = config.dashboardPort
+        ? await startDashboard({ store, workingDir: config.workingDir, port: config.dashboardPort, host: config.dashboardHost, activity, rateLimiter })
+        : null;
+    try {
+        const result = await downloadImages(queue, { ...config, checkpoint: batchCheckpoint, handleSigint: true, activity, rateLimiter });
+        batchCheckpoint.save(result.interrupted ? 'interrupted' : 'complete');
+    } finally {
+        if (dashboard) {
+            await dashboard.close();
+        }
     }
 
-    console.log(`\n✅ Batch complete.`);
-    console.log(`   ✔️ Total successful: ${successCount}`);
-    console.log(`   ❌ Total failed: ${failCount}`);
-    console.log(`   📊 Progress: ${current}/${urls.length} URLs processed`);
-    
-    if (current < urls.length) {
+    if (batchCheckpoint.cursor < allUrls.length) {
         console.log(`\n💡 To continue processing, run:`);
-        console.log(`   node run_dezoomify.js ${batchSize} ${current} ${maxConcurrent}`);
+        console.log(`   node run_dezoomify.js --resume --batch-size ${batchSize} --concurrency ${concurrency}`);
     }
-    
-    saveProgress();
 }
 
-// Start processing
-processUrls().catch(error => {
-    console.error('[ERROR]:', error.message);
-    process.exit(1);
-});
+if (require.main === module) {
+    main().catch(error => {
+        console.error('[ERROR]:', error.message);
+        process.exit(1);
+    });
+}
+
+module.exports = {
+    downloadImages,
+    tagImage,
+    tagDownloads,
+    filterPending
+};
@@ -0,0 +1,145 @@
+const fs = require('fs');
+
+// Selection settings (config.js) and what they filter on: the url settings need nothing but the url, the
+// metadata settings need what extraction recorded (product page details and ImageProperties WIDTH/HEIGHT)
+const URL_SETTINGS = ['include', 'exclude', 'urlList'];
+const METADATA_SETTINGS = ['dateFrom', 'dateTo', 'cartographer', 'region', 'minWidth', 'minHeight'];
+
+// Helper function to read the last path segment of a url, ie. orbis-1570 for a product page or
+// ORB1570-1570 for an ImageProperties url
+function urlSlug(url) {
+    const parts = url.split('?')[0].split('/').filter(Boolean);
+    const last = parts[parts.length - 1] || '';
+    return /^ImageProperties\.xml$/i.test(last) ? parts[parts.length - 2] || '' : last;
+}
+
+// Read a url list file: one url per line, blank lines and lines starting with # are skipped
+function readUrlListFile(filePath) {
+    return fs.readFileSync(filePath, 'utf-8')
+        .split('\n')
+        .map(line => line.trim())
+        .filter(line => line && !line.startsWith('#'));
+}
+
+// Helper function to read the year of a map from its scraped date ('1570', 'circa 1595', '1570 (dated 1571)')
+function mapYear(date) {
+    const match = String(date || '').match(/\b(1[0-9]{3}|20[0-9]{2})\b/);
+    return match ? Number(match[1]) : null;
+}
+
+// Helper function to tell whether one of the given settings is set
+function anySet(config, keys) {
+    return keys.some(key => Boolean(config[key]));
+}
+
+// Build the selection of a stage from its config. matchesUrl checks the url settings against a product
+// url and/or ImageProperties url; matchesRow checks every setting against a job store row. Maps whose
+// metadata lacks a value a filter needs (ie. no date with dateFrom set) are not selected.
+function createSelection(config) {
+    const include = config.include ? new RegExp(config.include, 'i') : null;
+    const exclude = config.exclude ? new RegExp(config.exclude, 'i') : null;
+    const listed = config.urlList ? new Set(readUrlListFile(config.urlList)) : null;
+
+    function matchesUrl(...urls) {
+        urls = urls.filter(Boolean);
+        const slugs = urls.map(urlSlug);
+        if (include && !slugs.some(slug => include.test(slug))) {
+            return false;
+        }
+        if (exclude && slugs.some(slug => exclude.test(slug))) {
+            return false;
+        }
+        return !listed || urls.some(url => listed.has(url));
+    }
+
+    function matchesMetadata(row) {
+        const metadata = row.metadata ? JSON.parse(row.metadata) : {};
+        if (config.dateFrom || config.dateTo) {
+            const year = mapYear(metadata.date);
+            if (year === null || (config.dateFrom && year < config.dateFrom) || (config.dateTo && year > config.dateTo)) {
+                return false;
+            }
+        }
+        const contains = (value, wanted) => String(value || '').toLowerCase().includes(wanted.toLowerCase());
+        if (config.cartographer && !contains(metadata.cartographer, config.cartographer)) {
+            return false;
+        }
+        if (config.region && !contains(metadata.region, config.region)) {
+            return false;
+        }
+        if (config.minWidth && !(row.width >= config.minWidth)) {
+            return false;
+        }
+        if (config.minHeight && !(row.height >= config.minHeight)) {
+            return false;
+        }
+        return true;
+    }
+
+    return {
+        active: anySet(config, [...URL_SETTINGS, ...METADATA_SETTINGS]),
+        usesMetadata: anySet(config, METADATA_SETTINGS),
+        matchesUrl,
+        matchesRow: row => matchesUrl(row.product_url, row.image_properties_url) && matchesMetadata(row)
+    };
+}
+
+// Keep the product urls that match the url settings. Metadata is only known once a map has been
+// extracted, so the metadata settings apply to maps extracted before (ie. when re-extracting) and
+// otherwise from the download stage on.
+function selectProductUrls(urls, config, store = null) {
+    const selection = createSelection(config);
+    if (!selection.active) {
+        return urls;
+    }
+    return urls.filter(url => {
+        if (!selection.matchesUrl(url)) {
+            return false;
+        }
+        const row = selection.usesMetadata && store ? store.getByProductUrl(url) : null;
+        return !row || !row.metadata || selection.matchesRow(row);
+    });
+}
+
+// Keep the ImageProperties urls whose map matches every selection setting
+function selectImagePropertiesUrls(urls, config, store) {
+    const selection = createSelection(config);
+    if (!selection.active) {
+        return urls;
+    }
+    return urls.filter(url => {
+        const row = store.getByImagePropertiesUrl(url);
+        return row ? selection.matchesRow(row) : selection.matchesUrl(url) && !selection.usesMetadata;
+    });
+}
+
+// One line describing the active selection settings, for output ('' when nothing is filtered)
+function describeSelection(config) {
+    return [...URL_SETTINGS, ...METADATA_SETTINGS]
+        .filter(key => config[key])
+        .map(key => `${key}=${config[key]}`)
+        .join(', ');
+}
+
+// Print what a dry run would process: one line per url, with its title, date and size when a job store
+// row has them
+function printDryRun(stage, urls, store = null) {
+    console.log(`\n[DRY RUN] ${stage}: ${urls.length} URLs would be processed`);
+    urls.forEach(url => {
+        const row = store ? store.getByImagePropertiesUrl(url) || store.getByProductUrl(url) : null;
+        const metadata = row && row.metadata ? JSON.parse(row.metadata) : {};
+        const details = [metadata.title, metadata.date, row && row.width ? `${row.width}x${row.height}` : null].filter(Boolean);
+        console.log(`   ${url}${details.length ? ` (${details.join(', ')})` : ''}`);
+    });
+}
+
+module.exports = {
+    urlSlug,
+    readUrlListFile,
+    mapYear,
+    createSelection,
+    selectProductUrls,
+    selectImagePropertiesUrls,
+    describeSelection,
+    printDryRun
+};
@@ -0,0 +1,190 @@
+const fs = require('fs');
+const http = require('http');
+const https = require('https');
+const zlib = require('zlib');
+const { PassThrough } = require('stream');
+const sax = require('sax');
+
+// Sitemap indexes deeper than this are treated as a loop or a mistake
+const MAX_INDEX_DEPTH = 5;
+
+// Helper function to open an http(s) URL as a response stream, following up to 5 redirects;
+// with a limiter (see rate_limiter.js) every request waits its turn with it
+async function openUrl(url, limiter, redirectsLeft = 5) {
+    if (limiter) {
+        await limiter.acquire(url);
+    }
+    return new Promise((resolve, reject) => {
+        const client = url.startsWith('https:') ? https : http;
+        const req = client.get(url, (res) => {
+            if (limiter) {
+                limiter.report(url, res.statusCode, res.headers);
+            }
+            if ([301, 302, 303, 307, 308].includes(res.statusCode) && res.headers.location && redirectsLeft > 0) {
+                res.resume();
+                resolve(openUrl(new URL(res.headers.location, url).toString(), limiter, redirectsLeft - 1));
+                return;
+            }
+            if (res.statusCode !== 200) {
+                res.resume();
+                const err = new Error(`Failed to download sitemap ${url}: ${res.statusCode}`);
+                err.statusCode = res.statusCode;
+                reject(err);
+                return;
+            }
+            // Relative sitemap locations in an index are resolved against the final URL
+            res.finalUrl = url;
+            resolve(res);
+        });
+        req.on('error', reject);
+        req.setTimeout(60000, () => req.destroy(new Error(`Request for ${url} timed out`)));
+    });
+}
+
+// Helper function to pass a stream through gunzip when it starts with the gzip magic bytes,
+// which covers .xml.gz files as well as responses sent with Content-Encoding: gzip
+function gunzipIfNeeded(source) {
+    const output = new PassThrough();
+    let started = false;
+
+    source.once('data', (first) => {
+        started = true;
+        source.pause();
+        let target = output;
+        if (first.length >= 2 && first[0] === 0x1f && first[1] === 0x8b) {
+            target = zlib.createGunzip();
+            target.on('error', err => output.destroy(err));
+            target.pipe(output);
+        }
+        target.write(first);
+        source.pipe(target);
+    });
+    source.once('end', () => {
+        if (!started) {
+            output.end();
+        }
+    });
+    source.on('error', err => output.destroy(err));
+
+    return output;
+}
+
+// Open a sitemap from a URL or a local file path. Resolves with the (decompressed) stream and
+// the location it was read from after redirects. Requests wait for limiter, a rate limiter, when given.
+async function openSitemap(location, limiter = null) {
+    if (!/^https?:\/\//i.test(location)) {
+        return { stream: gunzipIfNeeded(fs.createReadStream(location)), location };
+    }
+    const response = await openUrl(location, limiter);
+    return { stream: gunzipIfNeeded(response), location: response.finalUrl };
+}
+
+// Stream-parse one sitemap document, calling onEntry(kind, { loc, lastmod }) for every <url> (kind 'url')
+// or <sitemap> (kind 'sitemap') entry. Resolves with the root element name: 'urlset' or 'sitemapindex'.
+function parseSitemapStream(stream, onEntry) {
+    return new Promise((resolve, reject) => {
+        const parser = sax.createStream(false, { lowercase: true, trim: true });
+        let root = null;
+        let entry = null;
+        let field = null;
+
+        // Element names may carry a namespace prefix, ie. <sm:loc>
+        const localName = name => name.split(':').pop();
+
+        parser.on('opentag', (node) => {
+            const name = localName(node.name);
+            if (!root) {
+                root = name;
+                if (root !== 'urlset' && root !== 'sitemapindex') {
+                    parser.emit('error', new Error(`Not a sitemap: root element is <${node.name}>`));
+                }
+            } else if (name === 'url' || name === 'sitemap') {
+                entry = { kind: name, loc: '', lastmod: '' };
+            } else if (entry && (name === 'loc' || name === 'lastmod')) {
+                field = name;
+            }
+        });
+        const onText = (text) => {
+            if (entry && field) {
+                entry[field] += text;
+            }
+        };
+        parser.on('text', onText);
+        parser.on('cdata', onText);
+        parser.on('closetag', (tagName) => {
+            const name = localName(tagName);
+            if (name === field) {
+                field = null;
+            } else if (entry && name === entry.kind) {
+                if (entry.loc) {
+                    onEntry(entry.kind, { loc: entry.loc.trim(), lastmod: entry.lastmod.trim() || null });
+                }
+                entry = null;
+            }
+        });
+        parser.on('error', (err) => {
+            stream.destroy();
+            reject(new Error(`Failed to parse sitemap: ${err.message}`));
+        });
+        parser.on('end', () => resolve(root));
+        stream.on('error', reject);
+
+        stream.pipe(parser);
+    });
+}
+
+// Read a sitemap and every sitemap an index points at, keeping the URLs that pass filter.
+// Resolves with urls (Map of URL to lastmod, in sitemap order) and the list of sitemap files read.
+// Requests wait for limiter, a rate limiter, when given.
+async function collectSitemap(location, { filter = () => true, limiter = null } = {}) {
+    const urls = new Map();
+    const sitemaps = [];
+    const visited = new Set();
+
+    async function visit(requestedLocation, depth, lastmod) {
+        if (visited.has(requestedLocation)) {
+            return;
+        }
+        visited.add(requestedLocation);
+
+        const { stream, location: sitemapLocation } = await openSitemap(requestedLocation, limiter);
+        if (sitemapLocation !== requestedLocation) {
+            if (visited.has(sitemapLocation)) {
+                stream.destroy();
+                return;
+            }
+            visited.add(sitemapLocation);
+        }
+
+        const children = [];
+        let count = 0;
+        const type = await parseSitemapStream(stream, (kind, entry) => {
+            if (kind === 'sitemap') {
+                children.push(entry);
+            } else if (filter(entry.loc)) {
+                urls.set(entry.loc, entry.lastmod);
+                count++;
+            }
+        });
+        sitemaps.push({ url: sitemapLocation, type, lastmod, urls: count });
+        console.log(`[INFO] Read ${type} ${sitemapLocation}${type === 'urlset' ? ` (${count} URLs)` : ` (${children.length} sitemaps)`}`);
+
+        if (children.length > 0 && depth >= MAX_INDEX_DEPTH) {
+            throw new Error(`Sitemap index ${sitemapLocation} is nested more than ${MAX_INDEX_DEPTH} levels deep`);
+        }
+        // Sitemaps are read one at a time to keep the load on the site low
+        for (const child of children) {
+            const childUrl = /^https?:\/\//i.test(sitemapLocation) ? new URL(child.loc, sitemapLocation).toString() : child.loc;
+            await visit(childUrl, depth + 1, child.lastmod);
+        }
+    }
+
+    await visit(location, 0, null);
+    return { urls, sitemaps };
+}
+
+module.exports = {
+    openSitemap,
+    parseSitemapStream,
+    collectSitemap
+};
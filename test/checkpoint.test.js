@@ -0,0 +1,71 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { tempWorkingDir, removeDir } = require('./helpers');
+const { readCheckpoint, resumeIndex, createCheckpoint, watchInterrupts } = require('../checkpoint');
+
+const URLS = ['a', 'b', 'c', 'd', 'e', 'f'].map(slug => `https://www.geographicus.com/P/AntiqueMap/${slug}-1570`);
+
+test('the cursor only passes URLs that completed or were skipped before the batch', (t) => {
+    const { dir } = tempWorkingDir();
+    t.after(() => removeDir(dir));
+    const filePath = path.join(dir, 'logs', 'progress.json');
+    // b was handled by an earlier run, so the batch from index 0 is a, c and d
+    const checkpoint = createCheckpoint({ filePath, urls: URLS, queue: [URLS[0], URLS[2], URLS[3]], startIndex: 0 });
+    assert.strictEqual(checkpoint.cursor, 0);
+
+    checkpoint.started(URLS[0]);
+    checkpoint.started(URLS[2]);
+    checkpoint.completed(URLS[2]);
+    // a is still running, so the cursor stays on it
+    assert.strictEqual(checkpoint.cursor, 0);
+    assert.deepStrictEqual(readCheckpoint(filePath).inFlight, [URLS[0]]);
+
+    checkpoint.completed(URLS[0]);
+    assert.strictEqual(checkpoint.cursor, 3);
+    const saved = readCheckpoint(filePath);
+    assert.strictEqual(saved.cursorUrl, URLS[3]);
+    assert.deepStrictEqual(saved.batch, { startIndex: 0, endIndex: 4, size: 3, completed: 2 });
+
+    // Abandoned work (Ctrl-C, a cancelled job) stays behind the cursor for the next --resume
+    checkpoint.started(URLS[3]);
+    checkpoint.abandoned(URLS[3]);
+    checkpoint.save('interrupted');
+    assert.strictEqual(readCheckpoint(filePath).status, 'interrupted');
+    assert.strictEqual(resumeIndex(filePath, URLS), 3);
+});
+
+test('resumeIndex follows the saved URL when the list changes and falls back to the index', (t) => {
+    const { dir } = tempWorkingDir();
+    t.after(() => removeDir(dir));
+    const filePath = path.join(dir, 'progress.json');
+    assert.strictEqual(resumeIndex(filePath, URLS), null);
+
+    fs.writeFileSync(filePath, JSON.stringify({ cursor: 3, cursorUrl: URLS[3] }));
+    // Two new URLs at the front move d to index 5
+    assert.strictEqual(resumeIndex(filePath, ['x', 'y', ...URLS]), 5);
+    // With d gone the saved index is used, capped at the end of the list
+    assert.strictEqual(resumeIndex(filePath, URLS.filter(url => url !== URLS[3])), 3);
+    assert.strictEqual(resumeIndex(filePath, URLS.slice(0, 2)), 2);
+
+    fs.writeFileSync(filePath, '{ not json');
+    assert.strictEqual(resumeIndex(filePath, URLS), null);
+});
+
+test('watchInterrupts stops on an aborted signal and aborts its own signals', () => {
+    const controller = new AbortController();
+    const interrupts = watchInterrupts(() => {}, { signal: controller.signal, sigint: false });
+    assert.strictEqual(interrupts.isStopping(), false);
+    assert.strictEqual(interrupts.signal.aborted, false);
+    assert.strictEqual(interrupts.cancelSignal.aborted, false);
+    controller.abort();
+    assert.strictEqual(interrupts.isStopping(), true);
+    assert.strictEqual(interrupts.signal.aborted, true);
+    assert.strictEqual(interrupts.cancelSignal.aborted, true);
+    interrupts.dispose();
+
+    const already = watchInterrupts(() => {}, { signal: AbortSignal.abort(), sigint: false });
+    assert.strictEqual(already.isStopping(), true);
+    already.dispose();
+});
@@ -0,0 +1,142 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const http = require('http');
+const net = require('net');
+const path = require('path');
+const { tempWorkingDir, removeDir } = require('./helpers');
+const { startDashboard } = require('../dashboard');
+const { getJobStore } = require('../job_store');
+const { createActivity } = require('../activity');
+
+const PRODUCT_URL = 'https://www.geographicus.com/P/AntiqueMap/orbis-1570';
+
+// Helper function to start a dashboard on a free port for a test, with a job store holding one
+// failed extraction
+async function startTestDashboard(t) {
+    const { dir } = tempWorkingDir();
+    const store = getJobStore(dir);
+    store.addProductUrls([PRODUCT_URL]);
+    store.recordExtractFailure(PRODUCT_URL, 'Navigation timeout', 1, 'timeout');
+    const activity = createActivity();
+    const dashboard = await startDashboard({ store, workingDir: dir, port: 0, activity });
+    t.after(async () => {
+        await dashboard.close();
+        store.close();
+        removeDir(dir);
+    });
+    return { dir, store, activity, dashboard, url: dashboard.url };
+}
+
+// Helper function to call the JSON API of a dashboard, resolving with the status and parsed body.
+// POST requests carry the dashboard's token unless headers replaces it.
+async function api(dashboard, route, body, headers = {}) {
+    const res = await fetch(new URL(route, dashboard.url), body === undefined ? {} : {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'X-Dashboard-Token': dashboard.token, ...headers },
+        body: typeof body === 'string' ? body : JSON.stringify(body)
+    });
+    return { status: res.status, body: await res.json() };
+}
+
+test('the dashboard serves the page, status, failures and sitemap history', async (t) => {
+    const { dir, dashboard, url } = await startTestDashboard(t);
+    fs.mkdirSync(path.join(dir, 'logs'), { recursive: true });
+    fs.writeFileSync(path.join(dir, 'logs', 'sitemap_changes.json'), JSON.stringify({
+        changes: [{ date: '2024-01-01T10:00:00.000Z', added: [PRODUCT_URL], removed: [], changed: [] }]
+    }));
+
+    const page = await fetch(url);
+    assert.strictEqual(page.status, 200);
+    assert.match(await page.text(), /<title>Zoomify pipeline<\/title>/);
+
+    const status = await api(dashboard, '/api/status');
+    assert.strictEqual(status.status, 200);
+    assert.strictEqual(status.body.paused, false);
+    assert.strictEqual(status.body.counts.total, 1);
+    assert.ok(status.body.categories.includes('timeout'));
+
+    const failures = await api(dashboard, '/api/failures?limit=5');
+    assert.deepStrictEqual(failures.body.failures.map(({ stage, url: failedUrl, category }) => ({ stage, url: failedUrl, category })),
+        [{ stage: 'extract', url: PRODUCT_URL, category: 'timeout' }]);
+
+    const sitemap = await api(dashboard, '/api/sitemap');
+    assert.deepStrictEqual(sitemap.body.changes[0].added, { count: 1, urls: [PRODUCT_URL] });
+
+    assert.strictEqual((await api(dashboard, '/api/nothing')).status, 404);
+    assert.strictEqual((await fetch(new URL('/nothing', url))).status, 404);
+});
+
+test('the dashboard pauses, resumes and re-queues failures', async (t) => {
+    const { store, activity, dashboard } = await startTestDashboard(t);
+
+    assert.deepStrictEqual((await api(dashboard, '/api/pause', {})).body, { paused: true });
+    assert.strictEqual(activity.isPaused(), true);
+    // Only the run the dashboard belongs to is paused
+    assert.strictEqual(createActivity().isPaused(), false);
+    assert.deepStrictEqual((await api(dashboard, '/api/resume', {})).body, { paused: false });
+    assert.strictEqual(activity.isPaused(), false);
+
+    assert.strictEqual((await api(dashboard, '/api/retry', { category: 'nonsense' })).status, 400);
+    assert.strictEqual((await api(dashboard, '/api/retry', { stage: 'sitemap' })).status, 400);
+    const retried = await api(dashboard, '/api/retry', { stage: 'extract', category: 'timeout' });
+    assert.deepStrictEqual(retried.body, { requeued: { extract: 1 } });
+    assert.strictEqual(store.getByProductUrl(PRODUCT_URL).extract_status, 'pending');
+});
+
+test('the dashboard answers bad requests with an error instead of failing', async (t) => {
+    const { dashboard, url } = await startTestDashboard(t);
+
+    assert.strictEqual((await api(dashboard, '/api/concurrency', { stage: 'extract', concurrency: 0 })).status, 400);
+    assert.strictEqual((await api(dashboard, '/api/concurrency', { stage: 'extract', concurrency: 2 })).status, 409);
+    assert.strictEqual((await api(dashboard, '/api/retry', '{not json')).status, 400);
+
+    // A Host header that is no valid host name must not take the process (and the run) down
+    const { port } = new URL(url);
+    const answer = await new Promise((resolve, reject) => {
+        const socket = net.connect(port, '127.0.0.1', () => {
+            socket.end('GET /api/status HTTP/1.1\r\nHost: a b\r\nConnection: close\r\n\r\n');
+        });
+        let data = '';
+        socket.on('data', chunk => {
+            data += chunk;
+        });
+        socket.on('end', () => resolve(data));
+        socket.on('error', reject);
+    });
+    assert.match(answer, /^HTTP\/1\.1 (400|403) /);
+    assert.strictEqual((await api(dashboard, '/api/status')).status, 200);
+});
+
+test('the dashboard only takes POST requests with the run token and JSON, and only for its own host', async (t) => {
+    const { activity, dashboard, url } = await startTestDashboard(t);
+
+    // The page carries the token its buttons send back
+    assert.ok((await (await fetch(url)).text()).includes(JSON.stringify(dashboard.token)));
+
+    assert.strictEqual((await api(dashboard, '/api/pause', {}, { 'X-Dashboard-Token': 'guessed' })).status, 403);
+    const form = await fetch(new URL('/api/pause', url), {
+        method: 'POST',
+        headers: { 'Content-Type': 'text/plain', 'X-Dashboard-Token': dashboard.token },
+        body: '{}'
+    });
+    assert.strictEqual(form.status, 415);
+    assert.strictEqual(activity.isPaused(), false);
+
+    // A page from another site that resolves its name to this address sends its own Host
+    const { port } = new URL(url);
+    const request = (host) => new Promise((resolve, reject) => {
+        const req = http.request({ host: '127.0.0.1', port, path: '/api/status', headers: { Host: host } }, res => {
+            res.resume();
+            resolve(res.statusCode);
+        });
+        req.on('error', reject);
+        req.end();
+    });
+    assert.strictEqual(await request(`evil.example.com:${port}`), 403);
+    assert.strictEqual(await request(`127.0.0.1:${+port + 1}`), 403);
+    assert.strictEqual(await request(`localhost:${port}`), 200);
+    assert.strictEqual(await request(`127.0.0.1:${port}`), 200);
+
+    assert.deepStrictEqual((await api(dashboard, '/api/pause', {})).body, { paused: true });
+});
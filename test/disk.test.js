@@ -0,0 +1,64 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { tempWorkingDir, removeDir } = require('./helpers');
+const { parseSize, formatSize, freeSpace, directorySize, moveFile } = require('../disk');
+
+test('sizes are read as bytes or a number with a unit', () => {
+    assert.strictEqual(parseSize(0), 0);
+    assert.strictEqual(parseSize(1536), 1536);
+    assert.strictEqual(parseSize('1536'), 1536);
+    assert.strictEqual(parseSize('500MB'), 500 * 1024 ** 2);
+    assert.strictEqual(parseSize('1.5 gb'), 1.5 * 1024 ** 3);
+    assert.strictEqual(parseSize('20GiB'), null);
+    assert.strictEqual(parseSize(-1), null);
+    assert.strictEqual(formatSize(512), '512 B');
+    assert.strictEqual(formatSize(1.5 * 1024 ** 3), '1.5 GB');
+});
+
+test('free space and folder sizes are measured', (t) => {
+    const { dir } = tempWorkingDir();
+    t.after(() => removeDir(dir));
+    fs.mkdirSync(path.join(dir, 'a', 'b'), { recursive: true });
+    fs.writeFileSync(path.join(dir, 'a', 'one'), Buffer.alloc(100));
+    fs.writeFileSync(path.join(dir, 'a', 'b', 'two'), Buffer.alloc(50));
+
+    assert.deepStrictEqual(directorySize(path.join(dir, 'a')), { bytes: 150, files: 2 });
+    assert.deepStrictEqual(directorySize(path.join(dir, 'missing')), { bytes: 0, files: 0 });
+    assert.ok(freeSpace(dir) > 0);
+    assert.strictEqual(freeSpace(path.join(dir, 'not', 'made', 'yet')), freeSpace(dir));
+});
+
+test('moveFile copies and deletes when a rename crosses drives', (t) => {
+    const { dir } = tempWorkingDir();
+    const rename = fs.renameSync;
+    t.after(() => {
+        fs.renameSync = rename;
+        removeDir(dir);
+    });
+    fs.mkdirSync(path.join(dir, 'pyramid', 'tiles'), { recursive: true });
+    fs.writeFileSync(path.join(dir, 'pyramid', 'tiles', '0.jpg'), 'tile');
+    fs.writeFileSync(path.join(dir, 'map.jpg'), 'image');
+
+    // Only the first rename (the move itself) fails as it would across drives
+    let crossDevice = true;
+    fs.renameSync = (...args) => {
+        if (crossDevice) {
+            crossDevice = false;
+            throw Object.assign(new Error('cross-device link not permitted'), { code: 'EXDEV' });
+        }
+        return rename(...args);
+    };
+    moveFile(path.join(dir, 'pyramid'), path.join(dir, 'moved'));
+    assert.strictEqual(fs.readFileSync(path.join(dir, 'moved', 'tiles', '0.jpg'), 'utf-8'), 'tile');
+    assert.ok(!fs.existsSync(path.join(dir, 'pyramid')));
+    assert.ok(!fs.existsSync(path.join(dir, 'moved.moving')));
+
+    crossDevice = true;
+    moveFile(path.join(dir, 'map.jpg'), path.join(dir, 'map-moved.jpg'));
+    assert.strictEqual(fs.readFileSync(path.join(dir, 'map-moved.jpg'), 'utf-8'), 'image');
+    assert.ok(!fs.existsSync(path.join(dir, 'map.jpg')));
+
+    assert.throws(() => moveFile(path.join(dir, 'missing'), path.join(dir, 'elsewhere')), { code: 'ENOENT' });
+});
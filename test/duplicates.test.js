@@ -0,0 +1,139 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const sharp = require('sharp');
+const { tempWorkingDir, removeDir } = require('./helpers');
+const { getJobStore } = require('../job_store');
+const { perceptualHash, hammingDistance, checkDuplicate } = require('../duplicates');
+const { hashFile, verifyDownloads } = require('../verify');
+const { tagDownloads } = require('../run_dezoomify');
+
+const BASE_URL = 'https://www.geographicus.com/mm5/graphics/00000001/zoomify/';
+
+// Helper function to draw a grey test image whose shade at (u, v), both from 0 to 1, comes from pattern
+function drawImage(filePath, width, height, pattern, quality = 90) {
+    const pixels = Buffer.alloc(width * height * 3);
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const shade = Math.round(pattern(x / width, y / height));
+            pixels.fill(shade, (y * width + x) * 3, (y * width + x) * 3 + 3);
+        }
+    }
+    return sharp(pixels, { raw: { width, height, channels: 3 } }).jpeg({ quality }).toFile(filePath);
+}
+
+const waves = (u, v) => 128 + 100 * Math.sin(Math.PI * 3 * u) * Math.cos(Math.PI * 2 * v);
+const ripples = (u, v) => 128 + 100 * Math.cos(Math.PI * 5 * (u + v));
+
+test('perceptual hashes of a rescaled, recompressed copy are close and of another picture are not', async (t) => {
+    const { dir } = tempWorkingDir();
+    t.after(() => removeDir(dir));
+    await drawImage(path.join(dir, 'a.jpg'), 400, 300, waves);
+    await drawImage(path.join(dir, 'b.jpg'), 400, 300, ripples);
+    await sharp(path.join(dir, 'a.jpg')).resize(200, 150).jpeg({ quality: 40 }).toFile(path.join(dir, 'a-small.jpg'));
+
+    const [a, b, small] = await Promise.all(['a.jpg', 'b.jpg', 'a-small.jpg'].map(name => perceptualHash(path.join(dir, name))));
+    assert.match(a, /^[0-9a-f]{16}$/);
+    assert.ok(hammingDistance(a, small) <= 4, `${a} ${small}`);
+    assert.ok(hammingDistance(a, b) > 10, `${a} ${b}`);
+    assert.strictEqual(hammingDistance('ffffffffffffffff', '0000000000000000'), 64);
+});
+
+// Record a downloaded map in the store with its file drawn from pattern
+async function addDownload(store, dir, name, pattern, width = 400, height = 300) {
+    const url = `${BASE_URL}${name}/ImageProperties.xml`;
+    const outputPath = path.join(dir, `${name}.jpg`);
+    await drawImage(outputPath, width, height, pattern);
+    store.recordExtractSuccess(`https://www.geographicus.com/P/AntiqueMap/${name.toLowerCase()}`, {
+        zoomlinkId: name.split('-')[0],
+        imagePropertiesUrl: url,
+        imageProperties: { width, height, numTiles: 4 }
+    });
+    store.recordDownloadSuccess(url, outputPath);
+    return { url, outputPath };
+}
+
+test('checkDuplicate keeps, links or skips a near-identical download', async (t) => {
+    const { dir } = tempWorkingDir();
+    const store = getJobStore(dir);
+    t.after(() => {
+        store.close();
+        removeDir(dir);
+    });
+
+    const original = await addDownload(store, dir, 'ORB1570-1570', waves);
+    assert.strictEqual(await checkDuplicate(store, original.url), null);
+    const other = await addDownload(store, dir, 'EUR1595-1595', ripples);
+    assert.strictEqual(await checkDuplicate(store, other.url, { policy: 'skip' }), null);
+
+    const kept = await addDownload(store, dir, 'ORN1571-1571', waves);
+    const keptResult = await checkDuplicate(store, kept.url, { policy: 'keep' });
+    assert.strictEqual(keptResult.action, 'kept');
+    assert.strictEqual(keptResult.original.image_properties_url, original.url);
+    assert.strictEqual(store.getByImagePropertiesUrl(kept.url).duplicate_of, keptResult.original.id);
+
+    const linked = await addDownload(store, dir, 'ORL1572-1572', waves);
+    assert.strictEqual((await checkDuplicate(store, linked.url, { policy: 'link' })).action, 'linked');
+    assert.strictEqual(fs.statSync(linked.outputPath).ino, fs.statSync(original.outputPath).ino);
+    assert.strictEqual(store.getByImagePropertiesUrl(linked.url).linked_to, original.outputPath);
+
+    const skipped = await addDownload(store, dir, 'ORS1573-1573', waves);
+    assert.strictEqual((await checkDuplicate(store, skipped.url, { policy: 'skip' })).action, 'skipped');
+    assert.ok(!fs.existsSync(skipped.outputPath));
+    const row = store.getByImagePropertiesUrl(skipped.url);
+    assert.strictEqual(row.download_status, 'duplicate');
+    assert.strictEqual(row.output_path, null);
+    assert.ok(!store.pendingDownloads().includes(skipped.url));
+
+    // A near-identical map of another size may be another state of the plate, so skip keeps its file
+    const resized = await addDownload(store, dir, 'ORT1574-1574', waves, 480, 360);
+    assert.strictEqual((await checkDuplicate(store, resized.url, { policy: 'skip' })).action, 'kept');
+    assert.ok(fs.existsSync(resized.outputPath));
+    assert.strictEqual(store.getByImagePropertiesUrl(resized.url).download_status, 'success');
+    assert.strictEqual(store.counts().duplicates, 4);
+});
+
+test('tag and verify leave a linked duplicate to the download it links to', async (t) => {
+    const { dir } = tempWorkingDir();
+    const store = getJobStore(dir);
+    t.after(() => {
+        store.close();
+        removeDir(dir);
+    });
+
+    const original = await addDownload(store, dir, 'ORB1570-1570', waves);
+    store.recordVerification(original.url, await hashFile(original.outputPath));
+    await checkDuplicate(store, original.url);
+    const linked = await addDownload(store, dir, 'ORL1572-1572', waves);
+    assert.strictEqual((await checkDuplicate(store, linked.url, { policy: 'link' })).action, 'linked');
+    assert.strictEqual(store.getByImagePropertiesUrl(linked.url).sha256, null);
+
+    // Only the original is tagged; its new checksum is recorded, and the link is not checked on its own
+    assert.deepStrictEqual(await tagDownloads(store, 'embed'), { tagged: 1, total: 1 });
+    assert.strictEqual(store.getByImagePropertiesUrl(original.url).sha256, await hashFile(original.outputPath));
+    const summary = await verifyDownloads(store, { outputDir: dir, rejectedDir: path.join(dir, 'rejected'), cacheDirFor: () => null });
+    assert.deepStrictEqual(summary.rejected, []);
+    assert.deepStrictEqual([summary.unchanged, summary.linked], [1, 1]);
+    assert.ok(fs.existsSync(linked.outputPath));
+    assert.strictEqual(summary.manifest.count, 1);
+});
+
+test('a product resolving to an ImageProperties URL another product has is recorded as its duplicate', (t) => {
+    const { dir } = tempWorkingDir();
+    const store = getJobStore(dir);
+    t.after(() => {
+        store.close();
+        removeDir(dir);
+    });
+    const url = `${BASE_URL}ORB1570-1570/ImageProperties.xml`;
+    const first = 'https://www.geographicus.com/P/AntiqueMap/orbis-1570';
+    const second = 'https://www.geographicus.com/P/AntiqueMap/orbis2-1570';
+
+    assert.strictEqual(store.recordExtractSuccess(first, { zoomlinkId: 'ORB1570', imagePropertiesUrl: url }), null);
+    const original = store.recordExtractSuccess(second, { zoomlinkId: 'ORB1570', imagePropertiesUrl: url });
+    assert.strictEqual(original.product_url, first);
+    assert.strictEqual(store.getByImagePropertiesUrl(url).product_url, first);
+    assert.strictEqual(store.getByProductUrl(second).duplicate_of, original.id);
+    assert.deepStrictEqual(store.pendingDownloads(), [url]);
+});
@@ -0,0 +1,205 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const sharp = require('sharp');
+const { startMockServer } = require('./mock_server');
+const { tempWorkingDir, removeDir, runScript } = require('./helpers');
+const { hashFile } = require('../verify');
+
+// The three scripts run one after the other against the mock site, in a temporary working directory
+test('sitemap, extraction and download against the mock site', async (t) => {
+    const site = await startMockServer();
+    const { dir, configPath } = tempWorkingDir({
+        sitemapUrl: site.sitemapUrl,
+        zoomifyBaseUrl: site.zoomifyBaseUrl,
+        resolver: 'fetch',
+        shortTimeoutMin: 1,
+        shortTimeoutMax: 1,
+        respectRobots: false,
+        extract: { concurrency: 3 }
+    });
+    const run = (script, args = []) => runScript(script, args, { configPath, cwd: dir });
+    const product = id => `${site.host}/P/AntiqueMap/${id}`;
+    const imageProperties = folder => `${site.zoomifyBaseUrl}${folder}/ImageProperties.xml`;
+    let store = null;
+    t.after(async () => {
+        if (store) {
+            store.close();
+        }
+        await site.close();
+        removeDir(dir);
+    });
+
+    await t.test('track_sitemap_changes.js lists the map pages of every sitemap in the index', async () => {
+        const result = await run('track_sitemap_changes.js');
+        assert.strictEqual(result.code, 0, result.stderr);
+
+        const urls = fs.readFileSync(path.join(dir, 'logs', 'initial_urls_noxml.txt'), 'utf-8').trim().split('\n');
+        assert.deepStrictEqual(urls.sort(), [
+            product('asia-1600_d'),
+            product('europa-1595'),
+            product('gone-1720'),
+            product('nolink-1660'),
+            product('nomodal-1650'),
+            product('orbis-1570'),
+            product('orbis2-1570'),
+            product('orbisnova-1571')
+        ]);
+        const changes = JSON.parse(fs.readFileSync(path.join(dir, 'logs', 'sitemap_changes.json'), 'utf-8')).changes;
+        assert.strictEqual(changes.length, 1);
+        assert.strictEqual(changes[0].added.length, 8);
+        assert.ok(site.requests.includes('/sitemap-maps.xml.gz'));
+        assert.ok(site.requests.includes('/sitemap-other.xml'));
+    });
+
+    await t.test('extract_zoomify.js resolves ImageProperties URLs and records each failure category', async () => {
+        const result = await run('extract_zoomify.js');
+        assert.strictEqual(result.code, 0, result.stderr);
+
+        const { getJobStore } = require('../job_store');
+        store = getJobStore(dir);
+        const expected = {
+            'orbis-1570': imageProperties('ORB1570-1570'),
+            'europa-1595': imageProperties('EUR1595-1595'),
+            'asia-1600_d': imageProperties('ASI1600-1600_d'),
+            'orbisnova-1571': imageProperties('ORN1571-1571')
+        };
+        for (const [id, url] of Object.entries(expected)) {
+            const row = store.getByProductUrl(product(id));
+            assert.strictEqual(row.extract_status, 'success', id);
+            assert.strictEqual(row.image_properties_url, url);
+        }
+        const failures = {
+            'nomodal-1650': 'missing_modal_comment',
+            'nolink-1660': 'missing_zoomlink',
+            'gone-1720': 'http_404'
+        };
+        for (const [id, category] of Object.entries(failures)) {
+            const row = store.getByProductUrl(product(id));
+            assert.strictEqual(row.extract_status, 'failed', id);
+            assert.strictEqual(row.extract_error_type, category, id);
+        }
+        // orbis2-1570 resolves to the same ImageProperties URL as orbis-1570, which was extracted first
+        const second = store.getByProductUrl(product('orbis2-1570'));
+        assert.strictEqual(second.extract_status, 'success');
+        assert.strictEqual(second.image_properties_url, null);
+        assert.strictEqual(second.duplicate_of, store.getByProductUrl(product('orbis-1570')).id);
+
+        const catalog = fs.readFileSync(path.join(dir, 'catalog', 'catalog.jsonl'), 'utf-8').trim().split('\n').map(line => JSON.parse(line));
+        const orbis = catalog.find(entry => entry.key === 'ORB1570-1570');
+        assert.strictEqual(orbis.cartographer, 'Abraham Ortelius');
+        assert.strictEqual(orbis.width, 600);
+    });
+
+    await t.test('run_dezoomify.js --dry-run lists the selected maps without downloading them', async () => {
+        const before = site.requests.length;
+        const result = await run('run_dezoomify.js', ['--dry-run', '--date-from', '1590', '--exclude', '^ASI']);
+        assert.strictEqual(result.code, 0, result.stderr);
+        assert.match(result.stdout, /\[DRY RUN\] download: 1 URLs would be processed/);
+        assert.match(result.stdout, /EUR1595-1595\/ImageProperties\.xml \(Europa, 1595, 300x200\)/);
+        assert.strictEqual(site.requests.length, before);
+        assert.strictEqual(store.getByImagePropertiesUrl(imageProperties('EUR1595-1595')).download_status, 'pending');
+    });
+
+    await t.test('run_dezoomify.js downloads, stitches and verifies every extracted image', async () => {
+        const result = await run('run_dezoomify.js');
+        assert.strictEqual(result.code, 0, result.stderr);
+
+        const outputDir = path.join(dir, 'finished_zoomify_downloads');
+        const sizes = { 'ORB1570-1570': [600, 400], 'EUR1595-1595': [300, 200], 'ASI1600-1600_d': [256, 256], 'ORN1571-1571': [600, 400] };
+        for (const [name, [width, height]] of Object.entries(sizes)) {
+            const metadata = await sharp(path.join(outputDir, `${name}.jpg`)).metadata();
+            assert.deepStrictEqual([metadata.width, metadata.height], [width, height], name);
+            assert.strictEqual(store.getByImagePropertiesUrl(imageProperties(name)).download_status, 'success');
+        }
+        const manifest = fs.readFileSync(path.join(outputDir, 'SHA256SUMS'), 'utf-8');
+        assert.strictEqual(manifest.trim().split('\n').length, 4);
+        // The tiles of verified maps are not kept
+        assert.deepStrictEqual(fs.readdirSync(path.join(dir, 'Tilecache')), []);
+
+        // ORN1571 is the same picture as ORB1570; whichever finished second is marked, and kept by default
+        const pair = ['ORB1570-1570', 'ORN1571-1571'].map(name => store.getByImagePropertiesUrl(imageProperties(name)));
+        const marked = pair.filter(row => row.duplicate_of);
+        assert.strictEqual(marked.length, 1);
+        assert.strictEqual(marked[0].duplicate_of, pair.find(row => !row.duplicate_of).id);
+        assert.ok(fs.existsSync(marked[0].output_path));
+    });
+
+    await t.test('pipeline.js duplicates reports products sharing a scan and near-identical downloads', async () => {
+        const result = await run('pipeline.js', ['duplicates']);
+        assert.strictEqual(result.code, 0, result.stderr);
+
+        const report = JSON.parse(fs.readFileSync(path.join(dir, 'logs', 'duplicates_report.json'), 'utf-8'));
+        assert.strictEqual(report.sameImage.length, 1);
+        assert.strictEqual(report.sameImage[0].original.productUrl, product('orbis-1570'));
+        assert.deepStrictEqual(report.sameImage[0].duplicates.map(entry => entry.productUrl), [product('orbis2-1570')]);
+        assert.strictEqual(report.similar.length, 1);
+        assert.strictEqual(report.similar[0].duplicates[0].distance, 0);
+    });
+
+    await t.test('pipeline.js rename moves the downloads into folders named by the output template', async () => {
+        const template = '{region}/{year}-{slug}.{ext}';
+        const result = await run('pipeline.js', ['rename', '--output-template', template]);
+        assert.strictEqual(result.code, 0, result.stderr);
+
+        const outputDir = path.join(dir, 'finished_zoomify_downloads');
+        const expected = { 'ORB1570-1570': 'World/1570-orbis-1570.jpg', 'EUR1595-1595': 'Europe/1595-europa-1595.jpg' };
+        for (const [name, file] of Object.entries(expected)) {
+            assert.strictEqual(store.getByImagePropertiesUrl(imageProperties(name)).output_path, path.join(outputDir, file));
+            assert.ok(fs.existsSync(path.join(outputDir, file)));
+            assert.ok(!fs.existsSync(path.join(outputDir, `${name}.jpg`)));
+        }
+        const manifest = fs.readFileSync(path.join(outputDir, 'SHA256SUMS'), 'utf-8');
+        assert.match(manifest, / {2}World\/1570-orbis-1570\.jpg$/m);
+
+        const verify = await run('pipeline.js', ['verify', '--full']);
+        assert.strictEqual(verify.code, 0, verify.stderr);
+        assert.match(verify.stdout, /\[REJECTED\] 0/);
+        assert.doesNotMatch(verify.stdout, /UNTRACKED/);
+    });
+
+    await t.test('pipeline.js tag rewrites the metadata and records the new checksums, so verify still passes', async () => {
+        // A catalog update: the title is embedded in the file, so tagging changes its bytes
+        const row = store.getByImagePropertiesUrl(imageProperties('ORB1570-1570'));
+        store.recordExtractSuccess(row.product_url, {
+            zoomlinkId: row.zoomlink_id,
+            imagePropertiesUrl: row.image_properties_url,
+            metadata: { ...JSON.parse(row.metadata), title: 'Typus Orbis Terrarum (second state)' }
+        });
+        const tag = await run('pipeline.js', ['tag']);
+        assert.strictEqual(tag.code, 0, tag.stderr);
+        const tagged = store.getByImagePropertiesUrl(row.image_properties_url);
+        assert.notStrictEqual(tagged.sha256, row.sha256);
+        assert.strictEqual(tagged.sha256, await hashFile(tagged.output_path));
+        const manifest = fs.readFileSync(path.join(dir, 'finished_zoomify_downloads', 'SHA256SUMS'), 'utf-8');
+        assert.ok(manifest.includes(tagged.sha256), manifest);
+
+        const verify = await run('pipeline.js', ['verify', '--full']);
+        assert.strictEqual(verify.code, 0, verify.stderr);
+        assert.match(verify.stdout, /\[REJECTED\] 0/);
+    });
+
+    await t.test('a second run of each script finds nothing left to do', async () => {
+        const before = site.requests.length;
+        const extract = await run('extract_zoomify.js');
+        assert.strictEqual(extract.code, 0, extract.stderr);
+        assert.match(extract.stdout, /No new URLs to process/);
+        const download = await run('run_dezoomify.js');
+        assert.strictEqual(download.code, 0, download.stderr);
+        assert.strictEqual(site.requests.length, before);
+    });
+});
+
+test('the mock site serves a product whose ImageProperties.xml is invalid', async (t) => {
+    const site = await startMockServer();
+    t.after(() => site.close());
+    const { resolveZoomlinkIdByFetch } = require('../zoomify_resolver');
+    const { fetchBuffer, parseImageProperties } = require('../zoomify_downloader');
+
+    const zoomlinkId = await resolveZoomlinkIdByFetch(`${site.host}/P/AntiqueMap/badxml-1700`);
+    assert.strictEqual(zoomlinkId, 'BAD1700');
+    const xml = await fetchBuffer(`${site.zoomifyBaseUrl}BAD1700-1700/ImageProperties.xml`);
+    await assert.rejects(parseImageProperties(xml.toString('utf-8')), /missing required attributes/);
+    await assert.rejects(fetchBuffer(`${site.host}/P/AntiqueMap/gone-1720`), error => error.statusCode === 404);
+});
@@ -0,0 +1,39 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFile } = require('child_process');
+
+const REPO_DIR = path.join(__dirname, '..');
+
+// Create an empty working directory with a config file of its own, so a zoomify.config.json in the
+// repository never leaks into a test. Returns the directory and the config file path.
+function tempWorkingDir(settings = {}) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'zoomify-test-'));
+    const configPath = path.join(dir, 'zoomify.config.json');
+    fs.writeFileSync(configPath, JSON.stringify({ workingDir: dir, ...settings }, null, 2));
+    return { dir, configPath };
+}
+
+// Helper function to remove a working directory after a test
+function removeDir(dir) {
+    fs.rmSync(dir, { recursive: true, force: true });
+}
+
+// Run one of the scripts in a child process with the given config file; resolves with its exit code
+// and output (a non-zero exit does not reject)
+function runScript(script, args, { configPath, cwd, timeout = 120000 }) {
+    const env = { ...process.env, ZOOMIFY_CONFIG: configPath };
+    Object.keys(env).filter(key => key.startsWith('ZOOMIFY_') && key !== 'ZOOMIFY_CONFIG').forEach(key => delete env[key]);
+    return new Promise(resolve => {
+        execFile(process.execPath, [path.join(REPO_DIR, script), ...args], { env, cwd, timeout, maxBuffer: 16 * 1024 * 1024 }, (err, stdout, stderr) => {
+            resolve({ code: err ? (err.code || 1) : 0, stdout, stderr });
+        });
+    });
+}
+
+module.exports = {
+    REPO_DIR,
+    tempWorkingDir,
+    removeDir,
+    runScript
+};
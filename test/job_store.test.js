@@ -0,0 +1,53 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { tempWorkingDir, removeDir } = require('./helpers');
+const { readLogLines, getJobStore, importLegacyLogs } = require('../job_store');
+
+const BASE_URL = 'https://www.geographicus.com/mm5/graphics/00000001/zoomify/';
+
+test('readLogLines drops timestamps, blank lines and missing files', (t) => {
+    const { dir } = tempWorkingDir();
+    t.after(() => removeDir(dir));
+    const file = path.join(dir, 'success_log.txt');
+    fs.writeFileSync(file, [
+        '2024-01-01T10:00:00.000Z | https://example.com/P/AntiqueMap/orbis-1570',
+        '',
+        'https://example.com/P/AntiqueMap/europa-1595  ',
+        '2024-01-01T10:05:00.000Z |   https://example.com/P/AntiqueMap/asia-1600_d'
+    ].join('\n'));
+    assert.deepStrictEqual(readLogLines(file), [
+        'https://example.com/P/AntiqueMap/orbis-1570',
+        'https://example.com/P/AntiqueMap/europa-1595',
+        'https://example.com/P/AntiqueMap/asia-1600_d'
+    ]);
+    assert.deepStrictEqual(readLogLines(path.join(dir, 'missing.txt')), []);
+});
+
+test('importLegacyLogs imports the old text logs once', (t) => {
+    const { dir } = tempWorkingDir();
+    const logs = path.join(dir, 'logs');
+    fs.mkdirSync(logs);
+    fs.writeFileSync(path.join(logs, 'initial_urls_noxml.txt'), 'https://www.geographicus.com/P/AntiqueMap/orbis-1570\nhttps://www.geographicus.com/P/AntiqueMap/gone-1720\n');
+    fs.writeFileSync(path.join(logs, 'success_log.txt'), `2024-01-01T10:00:00.000Z | ${BASE_URL}ORB1570-1570/ImageProperties.xml\n`);
+    fs.writeFileSync(path.join(logs, 'failure_log.txt'), '2024-01-01T10:00:00.000Z | https://www.geographicus.com/P/AntiqueMap/gone-1720\n');
+    const store = getJobStore(dir);
+    t.after(() => {
+        store.close();
+        removeDir(dir);
+    });
+
+    const options = { workingDir: dir, zoomifyBaseUrl: BASE_URL, outputPathFor: url => url };
+    const first = importLegacyLogs(store, options);
+    assert.strictEqual(first.productUrls, 2);
+    assert.strictEqual(first.extracted, 1);
+    assert.strictEqual(first.extractFailed, 1);
+    assert.strictEqual(store.getByProductUrl('https://www.geographicus.com/P/AntiqueMap/orbis-1570').image_properties_url,
+        `${BASE_URL}ORB1570-1570/ImageProperties.xml`);
+
+    const second = importLegacyLogs(store, options);
+    assert.strictEqual(second.extracted, 0);
+    assert.strictEqual(second.extractFailed, 0);
+    assert.strictEqual(store.counts().total, 2);
+});
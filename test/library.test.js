@@ -0,0 +1,144 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const EventEmitter = require('events');
+const { startMockServer } = require('./mock_server');
+const { tempWorkingDir, removeDir } = require('./helpers');
+const zoomify = require('../index');
+
+// The stages called in-process, the way another program would use them
+test('sync runs every stage as a library call and reports through events', async (t) => {
+    const site = await startMockServer();
+    const { dir } = tempWorkingDir();
+    const options = {
+        workingDir: dir,
+        sitemapUrl: site.sitemapUrl,
+        zoomifyBaseUrl: site.zoomifyBaseUrl,
+        resolver: 'fetch',
+        shortTimeoutMin: 1,
+        shortTimeoutMax: 1,
+        respectRobots: false
+    };
+    t.after(async () => {
+        zoomify.getJobStore(dir).close();
+        await site.close();
+        removeDir(dir);
+    });
+
+    const events = new EventEmitter();
+    const seen = [];
+    ['start', 'success', 'failure', 'changes', 'end'].forEach(name => {
+        events.on(name, data => seen.push(`${data.stage}:${name}`));
+    });
+    const summary = await zoomify.sync(zoomify.STAGES, { ...options, events });
+
+    assert.deepStrictEqual(summary.sitemap, { added: 8, removed: 0, changed: 0 });
+    assert.deepStrictEqual(summary.extract, { successful: 5, failed: 3 });
+    assert.deepStrictEqual(summary.download, { successful: 4, failed: 0 });
+    assert.strictEqual(seen.filter(name => name === 'extract:success').length, 5);
+    assert.strictEqual(seen.filter(name => name === 'extract:failure').length, 3);
+    assert.strictEqual(seen.filter(name => name === 'download:success').length, 4);
+    assert.deepStrictEqual(seen.filter(name => !name.endsWith('success') && !name.endsWith('failure')),
+        ['sitemap:changes', 'extract:start', 'extract:end', 'download:start', 'download:end']);
+    assert.ok(fs.existsSync(path.join(dir, 'finished_zoomify_downloads', 'ORB1570-1570.jpg')));
+});
+
+test('library calls reject unknown options instead of ignoring them', async () => {
+    await assert.rejects(zoomify.downloadImages([], { workingDir: process.cwd(), concurency: 2 }), /Unknown option "concurency"/);
+});
+
+test('downloadImages pauses instead of starting downloads while disk space is below minFreeSpace', async (t) => {
+    const site = await startMockServer();
+    const { dir } = tempWorkingDir();
+    t.after(async () => {
+        zoomify.getJobStore(dir).close();
+        await site.close();
+        removeDir(dir);
+    });
+
+    const events = new EventEmitter();
+    const controller = new AbortController();
+    let warning = null;
+    events.on('lowDiskSpace', data => {
+        warning = data;
+        controller.abort();
+    });
+    const url = `${site.zoomifyBaseUrl}ORB1570-1570/ImageProperties.xml`;
+    const result = await zoomify.downloadImages([url], {
+        workingDir: dir,
+        zoomifyBaseUrl: site.zoomifyBaseUrl,
+        minFreeSpace: '1000000TB',
+        events,
+        signal: controller.signal
+    });
+
+    assert.strictEqual(result.interrupted, true);
+    assert.strictEqual(result.processed, 0);
+    assert.strictEqual(warning.required, 1000000 * 1024 ** 4);
+    assert.ok(warning.free < warning.required);
+    assert.strictEqual(site.requests.length, 0);
+    assert.strictEqual(zoomify.getJobStore(dir).getByImagePropertiesUrl(url).download_status, 'pending');
+});
+
+test('aborting the signal of downloadImages cancels the download in flight', async (t) => {
+    const site = await startMockServer({ tileDelay: 300 });
+    const { dir } = tempWorkingDir();
+    t.after(async () => {
+        zoomify.getJobStore(dir).close();
+        await site.close();
+        removeDir(dir);
+    });
+
+    const controller = new AbortController();
+    const activity = zoomify.createActivity();
+    const url = `${site.zoomifyBaseUrl}ORB1570-1570/ImageProperties.xml`;
+    const download = zoomify.downloadImages([url], {
+        workingDir: dir,
+        zoomifyBaseUrl: site.zoomifyBaseUrl,
+        activity,
+        signal: controller.signal
+    });
+    // Abort once the first tiles are being fetched; the 600x400 map has 9 tiles, 8 fetched at a time
+    while (!site.requests.some(request => request.endsWith('.jpg'))) {
+        await new Promise(resolve => setTimeout(resolve, 10));
+    }
+    controller.abort();
+    const result = await download;
+
+    assert.strictEqual(result.interrupted, true);
+    assert.strictEqual(result.successful, 0);
+    assert.ok(site.requests.filter(request => request.endsWith('.jpg')).length < 9);
+    assert.strictEqual(zoomify.getJobStore(dir).getByImagePropertiesUrl(url).download_status, 'pending');
+    assert.ok(!fs.existsSync(path.join(dir, 'finished_zoomify_downloads', 'ORB1570-1570.jpg')));
+    // The cancelled download leaves the workers without counting as done
+    const { workers, done } = activity.snapshot().stages.download;
+    assert.deepStrictEqual([workers, done], [[], 0]);
+});
+
+test('each library call has its own activity, so pausing one run leaves another running', async (t) => {
+    const site = await startMockServer();
+    const paused = tempWorkingDir().dir;
+    const running = tempWorkingDir().dir;
+    t.after(async () => {
+        [paused, running].forEach(dir => zoomify.getJobStore(dir).close());
+        await site.close();
+        [paused, running].forEach(removeDir);
+    });
+
+    const url = `${site.zoomifyBaseUrl}ORB1570-1570/ImageProperties.xml`;
+    const activity = zoomify.createActivity();
+    activity.pause();
+    const controller = new AbortController();
+    const held = zoomify.downloadImages([url], { workingDir: paused, zoomifyBaseUrl: site.zoomifyBaseUrl, activity, signal: controller.signal });
+    const other = await zoomify.downloadImages([url], { workingDir: running, zoomifyBaseUrl: site.zoomifyBaseUrl });
+    assert.strictEqual(other.successful, 1);
+
+    // The paused run has not started its download; it only ends once aborted
+    assert.deepStrictEqual(activity.snapshot().stages.download.workers, []);
+    assert.strictEqual(activity.snapshot().stages.download.done, 0);
+    controller.abort();
+    const result = await held;
+    assert.strictEqual(result.processed, 0);
+    assert.strictEqual(zoomify.getJobStore(paused).getByImagePropertiesUrl(url).download_status, 'pending');
+});
@@ -0,0 +1,108 @@
+const http = require('http');
+const net = require('net');
+
+// Stand-ins for the services notify.js talks to, each on a free local port
+
+// A webhook receiver: every JSON body POSTed to it is kept in received. Requests to /fail get a 500.
+// Resolves with its url, received and close().
+function startWebhookServer() {
+    const received = [];
+    const server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => {
+            body += chunk;
+        });
+        req.on('end', () => {
+            if (req.url === '/fail') {
+                res.writeHead(500);
+                res.end();
+                return;
+            }
+            received.push(JSON.parse(body));
+            res.writeHead(204);
+            res.end();
+        });
+    });
+    return new Promise(resolve => {
+        server.listen(0, '127.0.0.1', () => {
+            resolve({
+                url: `http://127.0.0.1:${server.address().port}/hook`,
+                received,
+                close: () => new Promise(done => {
+                    server.close(done);
+                    server.closeAllConnections();
+                })
+            });
+        });
+    });
+}
+
+// An SMTP server that accepts every message without authentication or TLS and keeps each as
+// { from, to, data } in messages. Resolves with its smtp:// url, messages and close().
+function startSmtpServer() {
+    const messages = [];
+    const sockets = new Set();
+    const server = net.createServer(socket => {
+        sockets.add(socket);
+        socket.on('close', () => sockets.delete(socket));
+        let buffer = '';
+        let message = null;
+        let inData = false;
+        const reply = line => socket.write(`${line}\r\n`);
+
+        socket.on('data', chunk => {
+            buffer += chunk.toString('utf-8');
+            let end;
+            while ((end = buffer.indexOf('\r\n')) !== -1) {
+                const line = buffer.slice(0, end);
+                buffer = buffer.slice(end + 2);
+                if (inData) {
+                    if (line === '.') {
+                        inData = false;
+                        messages.push(message);
+                        reply('250 OK queued');
+                    } else {
+                        message.data += `${line.startsWith('..') ? line.slice(1) : line}\n`;
+                    }
+                    continue;
+                }
+                const command = line.slice(0, 4).toUpperCase();
+                if (command === 'EHLO' || command === 'HELO') {
+                    reply('250 localhost');
+                } else if (command === 'MAIL') {
+                    message = { from: line.slice(10), to: [], data: '' };
+                    reply('250 OK');
+                } else if (command === 'RCPT') {
+                    message.to.push(line.slice(8));
+                    reply('250 OK');
+                } else if (command === 'DATA') {
+                    inData = true;
+                    reply('354 End data with <CR><LF>.<CR><LF>');
+                } else if (command === 'QUIT') {
+                    reply('221 Bye');
+                    socket.end();
+                } else {
+                    reply('250 OK');
+                }
+            }
+        });
+        reply('220 localhost ESMTP');
+    });
+    return new Promise(resolve => {
+        server.listen(0, '127.0.0.1', () => {
+            resolve({
+                url: `smtp://127.0.0.1:${server.address().port}`,
+                messages,
+                close: () => new Promise(done => {
+                    sockets.forEach(socket => socket.destroy());
+                    server.close(done);
+                })
+            });
+        });
+    });
+}
+
+module.exports = {
+    startWebhookServer,
+    startSmtpServer
+};
@@ -0,0 +1,150 @@
+const fs = require('fs');
+const path = require('path');
+const http = require('http');
+const zlib = require('zlib');
+const sharp = require('sharp');
+const { computeTileLayout } = require('../zoomify_downloader');
+
+const FIXTURES = path.join(__dirname, 'fixtures');
+
+// The maps the mock site lists, by the product URL's map ID (/P/AntiqueMap/<id>).
+// page is the product page fixture; maps without zoomlinkId have no image. Tiles are flat colours picked
+// from the zoomlink ID (or picture, to draw the same image as another map) and the tile position.
+const MAPS = {
+    'orbis-1570': {
+        page: 'product_page.html', zoomlinkId: 'ORB1570', width: 600, height: 400,
+        title: 'Typus Orbis Terrarum', cartographer: 'Abraham Ortelius', date: '1570', region: 'World', sku: 'TypusOrbis-ortelius-1570'
+    },
+    'europa-1595': {
+        page: 'product_page.html', zoomlinkId: 'EUR1595', width: 300, height: 200,
+        title: 'Europa', cartographer: 'Gerard Mercator', date: '1595', region: 'Europe', sku: 'Europa-mercator-1595'
+    },
+    'asia-1600_d': {
+        page: 'product_page.html', zoomlinkId: 'ASI1600', width: 256, height: 256,
+        title: 'Asia', cartographer: 'Jodocus Hondius', date: '1600', region: 'Asia', sku: 'Asia-hondius-1600'
+    },
+    // A second product page for the orbis-1570 scan, and a separate scan of the same picture
+    'orbis2-1570': {
+        page: 'product_page.html', zoomlinkId: 'ORB1570', width: 600, height: 400,
+        title: 'Typus Orbis Terrarum (second state)', cartographer: 'Abraham Ortelius', date: '1570', region: 'World', sku: 'TypusOrbis-ortelius-1570-2'
+    },
+    'orbisnova-1571': {
+        page: 'product_page.html', zoomlinkId: 'ORN1571', picture: 'ORB1570', width: 600, height: 400,
+        title: 'Typus Orbis Terrarum', cartographer: 'Abraham Ortelius', date: '1571', region: 'World', sku: 'TypusOrbis-ortelius-1571'
+    },
+    'nomodal-1650': { page: 'product_page_no_modal.html', title: 'Atlas Title Page' },
+    'nolink-1660': { page: 'product_page_no_zoomlink.html', title: 'Sea Chart' },
+    'badxml-1700': {
+        page: 'product_page.html', zoomlinkId: 'BAD1700', invalidXml: true,
+        title: 'Broken Image', cartographer: 'Unknown', date: '1700', region: 'Nowhere', sku: 'Broken-1700'
+    }
+    // gone-1720 is listed in the sitemap but answers 404
+};
+
+// Helper function to fill {{NAME}} placeholders of a fixture
+function fixture(name, values = {}) {
+    return fs.readFileSync(path.join(FIXTURES, name), 'utf-8')
+        .replace(/\{\{(\w+)\}\}/g, (match, key) => (key in values ? values[key] : match));
+}
+
+// Helper function to build the ImageProperties.xml of a map
+function imageProperties(map) {
+    if (map.invalidXml) {
+        return fixture('image_properties_invalid.xml');
+    }
+    const layout = computeTileLayout({ width: map.width, height: map.height, tileSize: 256 });
+    return `<IMAGE_PROPERTIES WIDTH="${map.width}" HEIGHT="${map.height}" NUMTILES="${layout.totalTiles}" NUMIMAGES="1" VERSION="1.8" TILESIZE="256" />`;
+}
+
+// Helper function to render one tile: a flat colour per map, level and position, sized like the real tile there
+function tile(map, z, x, y) {
+    const layout = computeTileLayout({ width: map.width, height: map.height, tileSize: 256 });
+    const level = layout.levels[z];
+    if (!level || x >= level.cols || y >= level.rows) {
+        return null;
+    }
+    const width = Math.min(256, level.width - x * 256);
+    const height = Math.min(256, level.height - y * 256);
+    const seed = [...(map.picture || map.zoomlinkId)].reduce((sum, c) => sum + c.charCodeAt(0), 0);
+    const background = { r: (seed * 7 + x * 97 + y * 53) % 256, g: (seed * 3 + x * 31 + y * 151) % 256, b: (40 * z + x * 67) % 256 };
+    return sharp({ create: { width, height, channels: 3, background } }).jpeg().toBuffer();
+}
+
+// Serve the mock site on a free local port. Resolves with its URLs, every request path it received
+// and close(). The sitemap index points at a gzipped map sitemap and a plain one without maps.
+// tileDelay (ms) holds back every tile response, so a test can act while a download is under way.
+function startMockServer({ tileDelay = 0 } = {}) {
+    const requests = [];
+    let host = '';
+
+    const server = http.createServer(async (req, res) => {
+        const url = new URL(req.url, host);
+        requests.push(url.pathname);
+        const send = (statusCode, body, type = 'text/html; charset=utf-8') => {
+            res.writeHead(statusCode, { 'Content-Type': type });
+            res.end(body);
+        };
+
+        if (url.pathname === '/sitemap.xml') {
+            send(200, fixture('sitemap_index.xml', { HOST: host }), 'application/xml');
+            return;
+        }
+        if (url.pathname === '/sitemap-maps.xml.gz') {
+            send(200, zlib.gzipSync(fixture('sitemap_maps.xml', { HOST: host })), 'application/gzip');
+            return;
+        }
+        if (url.pathname === '/sitemap-other.xml') {
+            send(200, fixture('sitemap_other.xml', { HOST: host }), 'application/xml');
+            return;
+        }
+
+        let match = url.pathname.match(/^\/P\/AntiqueMap\/([\w-]+)$/);
+        if (match && MAPS[match[1]]) {
+            const map = MAPS[match[1]];
+            const slug = match[1].substring(match[1].indexOf('-') + 1);
+            send(200, fixture(map.page, { TITLE: map.title, CARTOGRAPHER: map.cartographer, DATE: map.date, REGION: map.region, SKU: map.sku, ZOOMLINK: map.zoomlinkId, SLUG: slug }));
+            return;
+        }
+
+        // /zoomify/<zoomlinkId>-<slug>/ImageProperties.xml and /zoomify/<zoomlinkId>-<slug>/TileGroupN/z-x-y.jpg
+        match = url.pathname.match(/^\/zoomify\/([^/-]+)-([^/]+)\/(.+)$/);
+        const map = match && Object.values(MAPS).find(entry => entry.zoomlinkId === match[1]);
+        if (map) {
+            if (match[3] === 'ImageProperties.xml') {
+                send(200, imageProperties(map), 'application/xml');
+                return;
+            }
+            const tileMatch = match[3].match(/^TileGroup\d+\/(\d+)-(\d+)-(\d+)\.jpg$/);
+            const image = tileMatch && !map.invalidXml ? await tile(map, +tileMatch[1], +tileMatch[2], +tileMatch[3]) : null;
+            if (image) {
+                await new Promise(resolve => setTimeout(resolve, tileDelay));
+                send(200, image, 'image/jpeg');
+                return;
+            }
+        }
+
+        send(404, 'Not found', 'text/plain');
+    });
+
+    return new Promise(resolve => {
+        server.listen(0, '127.0.0.1', () => {
+            host = `http://127.0.0.1:${server.address().port}`;
+            resolve({
+                host,
+                sitemapUrl: `${host}/sitemap.xml`,
+                zoomifyBaseUrl: `${host}/zoomify/`,
+                requests,
+                close: () => new Promise(done => {
+                    server.close(done);
+                    server.closeAllConnections();
+                })
+            });
+        });
+    });
+}
+
+module.exports = {
+    MAPS,
+    fixture,
+    startMockServer
+};
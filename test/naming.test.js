@@ -0,0 +1,142 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { tempWorkingDir, removeDir } = require('./helpers');
+const { getJobStore } = require('../job_store');
+const { templateError, safeSegment, renderName, createNamer, renameDownloads } = require('../naming');
+
+const BASE_URL = 'https://www.geographicus.com/mm5/graphics/00000001/zoomify/';
+const keyFor = url => url.replace(BASE_URL, '').replace('/ImageProperties.xml', '');
+
+// Helper function to record an extracted map with the given product page details
+function addMap(store, key, metadata) {
+    const url = `${BASE_URL}${key}/ImageProperties.xml`;
+    store.recordExtractSuccess(`https://www.geographicus.com/P/AntiqueMap/${key.toLowerCase()}`, {
+        zoomlinkId: key.split('-')[0],
+        imagePropertiesUrl: url,
+        metadata
+    });
+    return url;
+}
+
+test('templates are checked before a run starts', () => {
+    assert.strictEqual(templateError('{key}.{ext}'), null);
+    assert.strictEqual(templateError('{region}/{year}-{slug}.{ext}'), null);
+    assert.match(templateError('{region}/{slug}'), /must end with \.\{ext\}/);
+    assert.match(templateError('{continent}/{slug}.{ext}'), /unknown placeholders \{continent\}/);
+    assert.match(templateError('{ext}/{slug}.{ext}'), /only use \{ext\} at the end/);
+    assert.match(templateError('../{slug}.{ext}'), /inside the output folder/);
+    assert.match(templateError('/maps/{slug}.{ext}'), /inside the output folder/);
+});
+
+test('names are safe on Windows and values never add folders', () => {
+    assert.strictEqual(safeSegment('What? A "map": <1570>*'), 'What_ A _map__ _1570__');
+    assert.strictEqual(safeSegment('Trailing dots... '), 'Trailing dots');
+    assert.strictEqual(safeSegment('con'), '_con');
+    assert.strictEqual(safeSegment('LPT1.old'), '_LPT1.old');
+    assert.strictEqual(safeSegment('x'.repeat(150)).length, 100);
+    assert.strictEqual(safeSegment(' '), 'unknown');
+
+    const row = {
+        zoomlink_id: 'ORB1570',
+        product_url: 'https://www.geographicus.com/P/AntiqueMap/orbis-1570',
+        metadata: JSON.stringify({ title: 'Asia / Africa', date: 'circa 1570', region: 'World' })
+    };
+    assert.strictEqual(renderName('{region}/{year}-{slug}.{ext}', row, 'ORB1570-1570'), 'World/1570-orbis-1570');
+    assert.strictEqual(renderName('{title}.{ext}', row, 'ORB1570-1570'), 'Asia - Africa');
+    assert.strictEqual(renderName('{cartographer}/{zoomlink}.{ext}', row, 'ORB1570-1570'), 'unknown/ORB1570');
+    assert.strictEqual(renderName('{key}.{ext}', row, 'ORB1570-1570'), 'ORB1570-1570');
+});
+
+test('colliding names go to the map extracted first and do not depend on download order', (t) => {
+    const { dir } = tempWorkingDir();
+    const store = getJobStore(dir);
+    t.after(() => {
+        store.close();
+        removeDir(dir);
+    });
+    const first = addMap(store, 'ORB1570-1570', { cartographer: 'Abraham Ortelius', region: 'World' });
+    const second = addMap(store, 'ORN1571-1571', { cartographer: 'abraham ortelius', region: 'World' });
+    const other = addMap(store, 'EUR1595-1595', { cartographer: 'Gerard Mercator', region: 'Europe' });
+
+    const namer = createNamer(store, '{region}/{cartographer}.{ext}', keyFor);
+    assert.strictEqual(namer.nameFor(second), 'World/abraham ortelius-ORN1571-1571');
+    assert.strictEqual(namer.nameFor(first), 'World/Abraham Ortelius');
+    assert.strictEqual(namer.nameFor(other), 'Europe/Gerard Mercator');
+});
+
+test('a colliding name with the key appended that is taken as well gets a number', (t) => {
+    const { dir } = tempWorkingDir();
+    const store = getJobStore(dir);
+    t.after(() => {
+        store.close();
+        removeDir(dir);
+    });
+    const literal = addMap(store, 'ORB1570-1570', { cartographer: 'Ortelius-ORN1571-1571', region: 'World' });
+    const first = addMap(store, 'ORT1570-1570', { cartographer: 'Ortelius', region: 'World' });
+    const second = addMap(store, 'ORN1571-1571', { cartographer: 'Ortelius', region: 'World' });
+
+    const namer = createNamer(store, '{region}/{cartographer}.{ext}', keyFor);
+    assert.strictEqual(namer.nameFor(literal), 'World/Ortelius-ORN1571-1571');
+    assert.strictEqual(namer.nameFor(first), 'World/Ortelius');
+    assert.strictEqual(namer.nameFor(second), 'World/Ortelius-ORN1571-1571-2');
+});
+
+test('rename moves downloads to their new names and records them', (t) => {
+    const { dir } = tempWorkingDir();
+    const store = getJobStore(dir);
+    const outputDir = path.join(dir, 'finished_zoomify_downloads');
+    t.after(() => {
+        store.close();
+        removeDir(dir);
+    });
+    fs.mkdirSync(outputDir);
+    const download = (url, name, content) => {
+        const outputPath = path.join(outputDir, name);
+        fs.writeFileSync(outputPath, content);
+        store.recordDownloadSuccess(url, outputPath);
+        return outputPath;
+    };
+
+    // Two maps swap names and one has a sidecar
+    const orbis = addMap(store, 'ORB1570-1570', { region: 'World', date: '1570' });
+    const europa = addMap(store, 'EUR1595-1595', { region: 'Europe', date: '1595' });
+    download(orbis, 'EUR1595-1595.jpg', 'orbis');
+    download(europa, 'ORB1570-1570.jpg', 'europa');
+    fs.writeFileSync(path.join(outputDir, 'EUR1595-1595.xmp'), 'orbis sidecar');
+    // A Deep Zoom download keeps its tile folder next to it
+    const asia = addMap(store, 'ASI1600-1600_d', { region: 'Asia', date: '1600' });
+    download(asia, 'ASI1600-1600_d.dzi', 'asia');
+    fs.mkdirSync(path.join(outputDir, 'ASI1600-1600_d_files', '0'), { recursive: true });
+    fs.writeFileSync(path.join(outputDir, 'ASI1600-1600_d_files', '0', '0_0.jpg'), 'tile');
+    // A file nobody tracks holds the name another map would get
+    const blocked = addMap(store, 'BLK1700-1700', { region: 'Nowhere', date: '1700' });
+    const blockedPath = download(blocked, 'BLK1700-1700.jpg', 'blocked');
+    fs.mkdirSync(path.join(outputDir, 'Nowhere'));
+    fs.writeFileSync(path.join(outputDir, 'Nowhere', '1700.jpg'), 'someone else');
+
+    const namer = () => createNamer(store, '{region}/{year}.{ext}', keyFor);
+    const preview = renameDownloads(store, { outputDir, namer: namer(), dryRun: true });
+    assert.strictEqual(preview.renamed.length, 3);
+    assert.ok(fs.existsSync(path.join(outputDir, 'EUR1595-1595.jpg')));
+
+    const summary = renameDownloads(store, { outputDir, namer: namer() });
+    assert.strictEqual(summary.renamed.length, 3);
+    assert.deepStrictEqual(summary.skipped.map(entry => entry.outputPath), [blockedPath]);
+    assert.strictEqual(fs.readFileSync(path.join(outputDir, 'World', '1570.jpg'), 'utf-8'), 'orbis');
+    assert.strictEqual(fs.readFileSync(path.join(outputDir, 'World', '1570.xmp'), 'utf-8'), 'orbis sidecar');
+    assert.strictEqual(fs.readFileSync(path.join(outputDir, 'Europe', '1595.jpg'), 'utf-8'), 'europa');
+    assert.ok(fs.existsSync(path.join(outputDir, 'Asia', '1600_files', '0', '0_0.jpg')));
+    assert.strictEqual(store.getByImagePropertiesUrl(asia).output_path, path.join(outputDir, 'Asia', '1600.dzi'));
+    assert.strictEqual(store.getByImagePropertiesUrl(blocked).output_path, blockedPath);
+    assert.ok(!fs.existsSync(path.join(outputDir, '.renaming')));
+
+    // Going back to flat names removes the folders left empty
+    const back = renameDownloads(store, { outputDir, namer: createNamer(store, '{key}.{ext}', keyFor) });
+    assert.strictEqual(back.renamed.length, 3);
+    assert.strictEqual(back.unchanged, 1);
+    assert.deepStrictEqual(fs.readdirSync(outputDir).sort(),
+        ['ASI1600-1600_d.dzi', 'ASI1600-1600_d_files', 'BLK1700-1700.jpg', 'EUR1595-1595.jpg', 'Nowhere', 'ORB1570-1570.jpg', 'ORB1570-1570.xmp']);
+    assert.strictEqual(fs.readFileSync(path.join(outputDir, 'ORB1570-1570.jpg'), 'utf-8'), 'orbis');
+});
@@ -0,0 +1,158 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const sharp = require('sharp');
+const { startMockServer } = require('./mock_server');
+const { startWebhookServer, startSmtpServer } = require('./mock_notify_servers');
+const { tempWorkingDir, removeDir } = require('./helpers');
+const { createRunNotifier } = require('../notify');
+const { writeRunReport } = require('../report');
+const { resolveOptions } = require('../config');
+const { getJobStore } = require('../job_store');
+const zoomify = require('../index');
+
+const BASE_URL = 'https://www.geographicus.com/mm5/graphics/00000001/zoomify/';
+
+test('sitemap changes reach the webhook, email and feed notifiers', async (t) => {
+    const webhook = await startWebhookServer();
+    const smtp = await startSmtpServer();
+    const { dir } = tempWorkingDir();
+    t.after(async () => {
+        await webhook.close();
+        await smtp.close();
+        removeDir(dir);
+    });
+    const config = resolveOptions('sitemap', {
+        workingDir: dir,
+        notify: 'webhook,email,feed',
+        webhookUrl: webhook.url,
+        smtpUrl: smtp.url,
+        emailTo: 'maps@example.com'
+    });
+
+    const notifier = createRunNotifier('sitemap', config);
+    notifier.handle('changes', { added: ['https://www.geographicus.com/P/AntiqueMap/orbis-1570'], removed: [], changed: [] });
+    notifier.handle('changes', { added: [], removed: [], changed: ['https://www.geographicus.com/P/AntiqueMap/asia-1600'] });
+    await notifier.flush();
+
+    assert.strictEqual(webhook.received.length, 1);
+    assert.strictEqual(webhook.received[0].event, 'sitemap_changes');
+    assert.strictEqual(webhook.received[0].title, 'Sitemap: 1 maps added, 0 removed');
+    assert.deepStrictEqual(webhook.received[0].data.addedUrls, ['https://www.geographicus.com/P/AntiqueMap/orbis-1570']);
+    assert.match(webhook.received[0].text, /orbis-1570/);
+
+    assert.strictEqual(smtp.messages.length, 1);
+    assert.deepStrictEqual(smtp.messages[0].to, ['<maps@example.com>']);
+    assert.match(smtp.messages[0].data, /Subject: Sitemap: 1 maps added, 0 removed/);
+
+    const rss = fs.readFileSync(path.join(dir, 'logs', 'notifications.rss'), 'utf-8');
+    assert.match(rss, /<title>Sitemap: 1 maps added, 0 removed<\/title>/);
+    assert.strictEqual(fs.readFileSync(path.join(dir, 'logs', 'notifications.jsonl'), 'utf-8').trim().split('\n').length, 1);
+});
+
+test('a failure rate over the threshold is sent once and a failing notifier does not fail the run', async (t) => {
+    const webhook = await startWebhookServer();
+    const { dir } = tempWorkingDir();
+    t.after(async () => {
+        await webhook.close();
+        removeDir(dir);
+    });
+    const config = resolveOptions('download', { workingDir: dir, notify: 'webhook,feed', webhookUrl: webhook.url, notifyFailureRate: 50 });
+    const notifier = createRunNotifier('download', config);
+    // Too few URLs to judge, then under, then over the threshold twice
+    [[2, 2], [6, 3], [8, 5], [10, 7]].forEach(([done, failed]) => notifier.handle('progress', { done, failed, total: 20 }));
+    notifier.handle('end', { successful: 3, failed: 7, processed: 10, interrupted: false, report: null });
+    await notifier.flush();
+    assert.deepStrictEqual(webhook.received.map(entry => entry.event), ['failure_rate', 'batch_end']);
+    assert.strictEqual(webhook.received[0].data.rate, 63);
+    assert.strictEqual(webhook.received[1].title, 'download: 3 successful, 7 failed');
+
+    const broken = createRunNotifier('download', { ...config, webhookUrl: webhook.url.replace('/hook', '/fail') });
+    broken.handle('end', { successful: 1, failed: 0, interrupted: false });
+    await broken.flush();
+    assert.strictEqual(fs.readFileSync(path.join(dir, 'logs', 'notifications.jsonl'), 'utf-8').trim().split('\n').length, 3);
+});
+
+test('notifiers need their settings', () => {
+    assert.throws(() => resolveOptions('download', { workingDir: process.cwd(), notify: 'webhook' }), /webhookUrl is not set/);
+    assert.throws(() => resolveOptions('download', { workingDir: process.cwd(), notify: 'email', smtpUrl: 'smtp://localhost' }), /smtpUrl or emailTo/);
+    assert.throws(() => resolveOptions('download', { workingDir: process.cwd(), notify: 'pager' }), /notify may only list webhook, email, feed/);
+});
+
+test('a Markdown run report lists new downloads with thumbnails and failures', async (t) => {
+    const { dir } = tempWorkingDir();
+    const store = getJobStore(dir);
+    t.after(() => {
+        store.close();
+        removeDir(dir);
+    });
+    const add = (key, title) => {
+        const url = `${BASE_URL}${key}/ImageProperties.xml`;
+        store.recordExtractSuccess(`https://www.geographicus.com/P/AntiqueMap/${key.toLowerCase()}`, {
+            zoomlinkId: key.split('-')[0],
+            imagePropertiesUrl: url,
+            metadata: { title, cartographer: 'Abraham Ortelius', date: '1570' },
+            imageProperties: { width: 600, height: 400, numTiles: 6 }
+        });
+        return url;
+    };
+    const good = add('ORB1570-1570', 'Typus Orbis | Terrarum');
+    const bad = add('EUR1595-1595', 'Europa');
+    const outputPath = path.join(dir, 'ORB1570-1570.jpg');
+    await sharp({ create: { width: 600, height: 400, channels: 3, background: '#336699' } }).jpeg().toFile(outputPath);
+    store.recordDownloadSuccess(good, outputPath);
+    store.recordDownloadFailure(bad, 'HTTP 404', 'http_404');
+
+    const reportPath = await writeRunReport(store, {
+        reportDir: path.join(dir, 'reports'),
+        format: 'markdown',
+        results: [{ url: good, ok: true }, { url: bad, ok: false }],
+        startedAt: Date.now(),
+        keyFor: url => url.replace(BASE_URL, '').replace('/ImageProperties.xml', '')
+    });
+    assert.match(reportPath, /run-.*\.md$/);
+    const report = fs.readFileSync(reportPath, 'utf-8');
+    assert.match(report, /!\[\]\(thumbnails\/ORB1570-1570\.jpg\) \| \[Typus Orbis \\\| Terrarum\]/);
+    assert.match(report, /\| 600x400 \| \[ORB1570-1570\.jpg\]\(\.\.\/ORB1570-1570\.jpg\) \|/);
+    assert.match(report, /EUR1595-1595\/ImageProperties\.xml \| http_404 \| HTTP 404 \|/);
+    const thumbnail = await sharp(path.join(dir, 'reports', 'thumbnails', 'ORB1570-1570.jpg')).metadata();
+    assert.deepStrictEqual([thumbnail.width, thumbnail.height], [240, 160]);
+});
+
+test('a sync notifies about sitemap changes and each batch and writes an HTML run report', async (t) => {
+    const site = await startMockServer();
+    const webhook = await startWebhookServer();
+    const { dir } = tempWorkingDir();
+    t.after(async () => {
+        zoomify.getJobStore(dir).close();
+        await site.close();
+        await webhook.close();
+        removeDir(dir);
+    });
+
+    const summary = await zoomify.sync(zoomify.STAGES, {
+        workingDir: dir,
+        sitemapUrl: site.sitemapUrl,
+        zoomifyBaseUrl: site.zoomifyBaseUrl,
+        resolver: 'fetch',
+        shortTimeoutMin: 1,
+        shortTimeoutMax: 1,
+        respectRobots: false,
+        notify: 'webhook',
+        webhookUrl: webhook.url,
+        notifyFailureRate: 0,
+        runReport: 'html'
+    });
+    assert.deepStrictEqual(summary.download, { successful: 4, failed: 0 });
+    assert.deepStrictEqual(webhook.received.map(entry => `${entry.stage}:${entry.event}`),
+        ['sitemap:sitemap_changes', 'extract:batch_end', 'download:batch_end']);
+    assert.strictEqual(webhook.received[0].data.added, 8);
+
+    const reportPath = webhook.received[2].data.report;
+    assert.ok(reportPath.startsWith(path.join(dir, 'reports')));
+    const html = fs.readFileSync(reportPath, 'utf-8');
+    assert.match(html, /<img src="thumbnails\/ORB1570-1570\.jpg"/);
+    assert.match(html, /<a href="\.\.\/finished_zoomify_downloads\/EUR1595-1595\.jpg">EUR1595-1595\.jpg<\/a>/);
+    assert.strictEqual(fs.readdirSync(path.join(dir, 'reports', 'thumbnails')).length, 4);
+});
@@ -0,0 +1,102 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createRateLimiter, parseActiveHours, parseCrawlDelay, msUntilWindow } = require('../rate_limiter');
+
+const SITE = 'https://www.geographicus.com/P/AntiqueMap/orbis-1570';
+const TILES = 'https://tiles.example.com/zoomify/ORB1570-1570/TileGroup0/0-0-0.jpg';
+
+// Helper function to find one host in the limiter's status
+function hostStatus(limiter, host) {
+    return limiter.status().hosts.find(entry => entry.host === host);
+}
+
+test('a throttling response pauses the host for Retry-After and halves its rate', async () => {
+    const limiter = createRateLimiter();
+    limiter.configure({ requestsPerSecond: 20, rateBurst: 1, respectRobots: false });
+    await limiter.acquire(SITE);
+
+    limiter.report(SITE, 429, { 'retry-after': '1' });
+    assert.deepStrictEqual(hostStatus(limiter, 'www.geographicus.com'), { host: 'www.geographicus.com', rate: 10, crawlDelay: null, backoffSeconds: 1 });
+    // A second response from before the pause does not slow the host down again
+    limiter.report(SITE, 503, {});
+    assert.strictEqual(hostStatus(limiter, 'www.geographicus.com').rate, 10);
+
+    const started = Date.now();
+    await limiter.acquire(SITE);
+    assert.ok(Date.now() - started >= 900, `waited ${Date.now() - started}ms`);
+
+    // Successful requests let the rate grow back towards the cap
+    limiter.report(SITE, 200);
+    assert.strictEqual(hostStatus(limiter, 'www.geographicus.com').rate, 10.2);
+});
+
+test('configure keeps the backoff of throttled hosts and gives the others the new cap', async () => {
+    const limiter = createRateLimiter();
+    limiter.configure({ requestsPerSecond: 8, respectRobots: false });
+    await limiter.acquire(SITE);
+    await limiter.acquire(TILES);
+    limiter.report(SITE, 429, { 'retry-after': '120' });
+
+    // The next stage of pipeline.js sync configures the shared limiter again
+    limiter.configure({ requestsPerSecond: 8, respectRobots: false });
+    assert.deepStrictEqual([hostStatus(limiter, 'www.geographicus.com').rate, hostStatus(limiter, 'www.geographicus.com').backoffSeconds], [4, 120]);
+    assert.strictEqual(hostStatus(limiter, 'tiles.example.com').rate, 8);
+
+    // A lower cap applies to both; no cap lifts only the host that is not throttled
+    limiter.configure({ requestsPerSecond: 2, respectRobots: false });
+    assert.deepStrictEqual([hostStatus(limiter, 'www.geographicus.com').rate, hostStatus(limiter, 'tiles.example.com').rate], [2, 2]);
+    limiter.report(TILES, 200);
+    limiter.configure({ requestsPerSecond: 0, respectRobots: false });
+    assert.deepStrictEqual([hostStatus(limiter, 'www.geographicus.com').rate, hostStatus(limiter, 'tiles.example.com').rate], [2, null]);
+});
+
+test('an aborted signal ends the wait for a token without holding up the requests behind it', async () => {
+    const limiter = createRateLimiter();
+    limiter.configure({ requestsPerSecond: 20, respectRobots: false });
+    await limiter.acquire(SITE);
+    limiter.report(SITE, 429, { 'retry-after': '1' });
+
+    const controller = new AbortController();
+    const started = Date.now();
+    const cancelled = limiter.acquire(SITE, controller.signal);
+    const next = limiter.acquire(SITE);
+    setTimeout(() => controller.abort(new Error('Job was cancelled')), 50);
+    await assert.rejects(cancelled, /Job was cancelled/);
+    assert.ok(Date.now() - started < 500, `waited ${Date.now() - started}ms`);
+    await next;
+    assert.ok(Date.now() - started >= 900, `waited ${Date.now() - started}ms`);
+});
+
+test('an aborted signal ends the wait for the active hours', async () => {
+    const limiter = createRateLimiter();
+    // A one hour window starting two hours from now is closed
+    const hour = (new Date().getHours() + 2) % 24;
+    const pad = n => String(n).padStart(2, '0');
+    limiter.configure({ activeHours: `${pad(hour)}:00-${pad((hour + 1) % 24)}:00`, respectRobots: false });
+    await assert.rejects(limiter.acquire(SITE, AbortSignal.timeout(50)), { name: 'TimeoutError' });
+});
+
+test('throttling without Retry-After backs off for 30 seconds, doubling each time', () => {
+    const limiter = createRateLimiter();
+    limiter.configure({ respectRobots: false });
+    limiter.report(SITE, 503, {});
+    // An uncapped host drops to 2 requests per second
+    assert.deepStrictEqual(hostStatus(limiter, 'www.geographicus.com'), { host: 'www.geographicus.com', rate: 2, crawlDelay: null, backoffSeconds: 30 });
+});
+
+test('parseCrawlDelay reads the delay robots.txt sets for all user agents', () => {
+    assert.strictEqual(parseCrawlDelay('User-agent: Googlebot\nCrawl-delay: 1\n\nUser-agent: *\nDisallow: /cgi-bin\nCrawl-delay: 5 # seconds\n'), 5);
+    assert.strictEqual(parseCrawlDelay('User-agent: Bingbot\nUser-agent: *\nCrawl-delay: 2.5\n'), 2.5);
+    assert.strictEqual(parseCrawlDelay('User-agent: Googlebot\nCrawl-delay: 10\n'), null);
+    assert.strictEqual(parseCrawlDelay(''), null);
+});
+
+test('active hours may run over midnight', () => {
+    assert.strictEqual(parseActiveHours(''), null);
+    assert.throws(() => parseActiveHours('22-06'), /must look like 22:00-06:00/);
+    const night = parseActiveHours('22:00-06:00');
+    assert.strictEqual(msUntilWindow(night, new Date(2024, 0, 1, 23, 30)), 0);
+    assert.strictEqual(msUntilWindow(night, new Date(2024, 0, 1, 5, 59)), 0);
+    assert.strictEqual(msUntilWindow(night, new Date(2024, 0, 1, 21, 0)), 60 * 60000);
+    assert.strictEqual(msUntilWindow(parseActiveHours('09:00-17:00'), new Date(2024, 0, 1, 18, 0)), 15 * 60 * 60000);
+});
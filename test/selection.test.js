@@ -0,0 +1,56 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { tempWorkingDir, removeDir } = require('./helpers');
+const { urlSlug, mapYear, createSelection, selectProductUrls } = require('../selection');
+
+const PRODUCT = 'https://www.geographicus.com/P/AntiqueMap/';
+const BASE_URL = 'https://www.geographicus.com/mm5/graphics/00000001/zoomify/';
+
+// Helper function to build a job store row the way extraction records it
+function row(slug, folder, metadata, width, height) {
+    return {
+        product_url: `${PRODUCT}${slug}`,
+        image_properties_url: `${BASE_URL}${folder}/ImageProperties.xml`,
+        metadata: JSON.stringify(metadata),
+        width,
+        height
+    };
+}
+
+test('urlSlug and mapYear read the parts the filters match on', () => {
+    assert.strictEqual(urlSlug(`${PRODUCT}orbis-1570`), 'orbis-1570');
+    assert.strictEqual(urlSlug(`${BASE_URL}ORB1570-1570/ImageProperties.xml`), 'ORB1570-1570');
+    assert.strictEqual(mapYear('circa 1595'), 1595);
+    assert.strictEqual(mapYear('1570 (dated 1571)'), 1570);
+    assert.strictEqual(mapYear('undated'), null);
+});
+
+test('url settings match slugs case-insensitively and the url list by exact url', (t) => {
+    const { dir } = tempWorkingDir();
+    t.after(() => removeDir(dir));
+    const listPath = path.join(dir, 'urls.txt');
+    fs.writeFileSync(listPath, `# wanted\n${PRODUCT}europa-1595\n\n${PRODUCT}asia-1600\n`);
+    const urls = ['orbis-1570', 'europa-1595', 'asia-1600', 'europa-1650'].map(slug => `${PRODUCT}${slug}`);
+
+    assert.deepStrictEqual(selectProductUrls(urls, { include: 'EUROPA' }), [urls[1], urls[3]]);
+    assert.deepStrictEqual(selectProductUrls(urls, { include: 'europa', exclude: '1650$' }), [urls[1]]);
+    assert.deepStrictEqual(selectProductUrls(urls, { urlList: listPath, exclude: '^asia' }), [urls[1]]);
+    assert.strictEqual(selectProductUrls(urls, {}), urls);
+});
+
+test('metadata settings need a known value within range', () => {
+    const orbis = row('orbis-1570', 'ORB1570-1570', { date: '1570', cartographer: 'Abraham Ortelius', region: 'World' }, 6000, 4000);
+    const europa = row('europa-1595', 'EUR1595-1595', { date: 'circa 1595', cartographer: 'Gerard Mercator', region: 'Europe' }, 3000, 2000);
+    const undated = row('chart-0000', 'CHA0000-0000', { cartographer: 'Unknown' }, 8000, 6000);
+    const pick = settings => [orbis, europa, undated].filter(createSelection(settings).matchesRow).map(entry => urlSlug(entry.product_url));
+
+    assert.deepStrictEqual(pick({ dateFrom: 1580 }), ['europa-1595']);
+    assert.deepStrictEqual(pick({ dateFrom: 1500, dateTo: 1580 }), ['orbis-1570']);
+    assert.deepStrictEqual(pick({ cartographer: 'mercator' }), ['europa-1595']);
+    assert.deepStrictEqual(pick({ region: 'world' }), ['orbis-1570']);
+    assert.deepStrictEqual(pick({ minWidth: 5000 }), ['orbis-1570', 'chart-0000']);
+    assert.deepStrictEqual(pick({ minWidth: 5000, minHeight: 5000 }), ['chart-0000']);
+    assert.deepStrictEqual(pick({ include: 'EUR1595' }), ['europa-1595']);
+});
@@ -0,0 +1,68 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { tempWorkingDir, removeDir } = require('./helpers');
+const { getJobStore } = require('../job_store');
+const { cacheEntries, cacheStats, touchCache, pruneCache, removeCompletedCaches } = require('../tile_cache');
+
+const BASE_URL = 'https://www.geographicus.com/mm5/graphics/00000001/zoomify/';
+
+// Helper function to cache a map's tiles, last used the given number of minutes ago
+function cacheMap(tileCacheDir, key, bytes, minutesAgo) {
+    const dir = path.join(tileCacheDir, key);
+    fs.mkdirSync(dir, { recursive: true });
+    fs.writeFileSync(path.join(dir, '0-0-0.jpg'), Buffer.alloc(bytes));
+    const when = new Date(Date.now() - minutesAgo * 60000);
+    fs.utimesSync(dir, when, when);
+}
+
+test('the tile cache is measured and evicted least recently used first', (t) => {
+    const { dir } = tempWorkingDir();
+    t.after(() => removeDir(dir));
+    const tileCacheDir = path.join(dir, 'Tilecache');
+    cacheMap(tileCacheDir, 'OLD', 300, 30);
+    cacheMap(tileCacheDir, 'RUNNING', 300, 20);
+    cacheMap(tileCacheDir, 'MIDDLE', 300, 10);
+    cacheMap(tileCacheDir, 'NEW', 300, 0);
+
+    assert.deepStrictEqual(cacheEntries(tileCacheDir).map(entry => entry.key), ['OLD', 'RUNNING', 'MIDDLE', 'NEW']);
+    const stats = cacheStats(tileCacheDir);
+    assert.deepStrictEqual([stats.maps, stats.files, stats.bytes], [4, 4, 1200]);
+    assert.ok(stats.oldest < stats.newest);
+
+    // Reusing MIDDLE's tiles makes it the most recently used
+    touchCache(path.join(tileCacheDir, 'MIDDLE'));
+    const pruned = pruneCache(tileCacheDir, { maxBytes: 600, keep: ['RUNNING'] });
+    assert.deepStrictEqual(pruned, { removed: ['OLD', 'NEW'], freedBytes: 600, remainingBytes: 600 });
+    assert.deepStrictEqual(cacheEntries(tileCacheDir).map(entry => entry.key), ['RUNNING', 'MIDDLE']);
+
+    assert.deepStrictEqual(pruneCache(tileCacheDir, { free: 100, keep: ['RUNNING'] }).removed, ['MIDDLE']);
+    assert.deepStrictEqual(pruneCache(tileCacheDir, { maxBytes: 0 }).removed, []);
+    assert.deepStrictEqual(pruneCache(path.join(dir, 'missing'), { free: Infinity }).removed, []);
+});
+
+test('caches of verified downloads are removed and the rest are kept', (t) => {
+    const { dir } = tempWorkingDir();
+    const store = getJobStore(dir);
+    t.after(() => {
+        store.close();
+        removeDir(dir);
+    });
+    const tileCacheDir = path.join(dir, 'Tilecache');
+    ['ORB1570-1570', 'EUR1595-1595', 'ASI1600-1600_d'].forEach((key, i) => {
+        const url = `${BASE_URL}${key}/ImageProperties.xml`;
+        store.recordExtractSuccess(`https://www.geographicus.com/P/AntiqueMap/${key.toLowerCase()}`, { zoomlinkId: key.split('-')[0], imagePropertiesUrl: url });
+        cacheMap(tileCacheDir, key, 100, i);
+        if (i < 2) {
+            store.recordDownloadSuccess(url, path.join(dir, `${key}.jpg`));
+        }
+        if (i === 0) {
+            store.recordVerification(url, 'a'.repeat(64));
+        }
+    });
+
+    const result = removeCompletedCaches(store, tileCacheDir, url => url.replace(BASE_URL, '').replace('/ImageProperties.xml', ''));
+    assert.deepStrictEqual(result, { removed: ['ORB1570-1570'], freedBytes: 100 });
+    assert.deepStrictEqual(cacheEntries(tileCacheDir).map(entry => entry.key).sort(), ['ASI1600-1600_d', 'EUR1595-1595']);
+});
@@ -0,0 +1,38 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { tempWorkingDir, removeDir } = require('./helpers');
+const { fixture } = require('./mock_server');
+
+// The module reads its config when loaded, so point it at an empty working directory first
+const { dir, configPath } = tempWorkingDir();
+process.env.ZOOMIFY_CONFIG = configPath;
+const { extractUrls, filterDuplicateUrls } = require('../track_sitemap_changes');
+
+test.after(() => removeDir(dir));
+
+test('filterDuplicateUrls drops _d pages whose base page is listed', () => {
+    const urls = new Set([
+        'https://example.com/P/AntiqueMap/orbis-1570',
+        'https://example.com/P/AntiqueMap/orbis-1570_d',
+        'https://example.com/P/AntiqueMap/asia-1600_d'
+    ]);
+    assert.deepStrictEqual([...filterDuplicateUrls(urls)], [
+        'https://example.com/P/AntiqueMap/orbis-1570',
+        'https://example.com/P/AntiqueMap/asia-1600_d'
+    ]);
+});
+
+test('extractUrls keeps map product pages only, without duplicates', async () => {
+    const urls = await extractUrls(fixture('sitemap_maps.xml', { HOST: 'https://example.com' }));
+    assert.deepStrictEqual([...urls], [
+        'https://example.com/P/AntiqueMap/orbis-1570',
+        'https://example.com/P/AntiqueMap/europa-1595',
+        'https://example.com/P/AntiqueMap/asia-1600_d',
+        'https://example.com/P/AntiqueMap/nomodal-1650',
+        'https://example.com/P/AntiqueMap/nolink-1660',
+        'https://example.com/P/AntiqueMap/gone-1720',
+        'https://example.com/P/AntiqueMap/orbisnova-1571',
+        'https://example.com/P/AntiqueMap/orbis2-1570'
+    ]);
+    assert.strictEqual((await extractUrls(fixture('sitemap_other.xml', { HOST: 'https://example.com' }))).size, 0);
+});
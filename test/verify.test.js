@@ -0,0 +1,149 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const sharp = require('sharp');
+const { tempWorkingDir, removeDir } = require('./helpers');
+const { getJobStore } = require('../job_store');
+const { inspectImage, verifyDownloads, hashFile, MANIFEST_FILE } = require('../verify');
+
+const BASE_URL = 'https://www.geographicus.com/mm5/graphics/00000001/zoomify/';
+
+// Helper function to draw a test image of 3x3 tiles of 256 pixels: paper-like noise, except where
+// flat(tileX, tileY) gives a single colour for the whole tile
+function drawImage(filePath, flat = () => null) {
+    const size = 768;
+    const pixels = Buffer.alloc(size * size * 3);
+    let seed = 7;
+    for (let y = 0; y < size; y++) {
+        for (let x = 0; x < size; x++) {
+            seed = (seed * 1103515245 + 12345) % 2147483648;
+            const colour = flat(Math.floor(x / 256), Math.floor(y / 256)) || [180 + seed % 60, 160 + seed % 50, 120 + seed % 40];
+            pixels.set(colour, (y * size + x) * 3);
+        }
+    }
+    return sharp(pixels, { raw: { width: size, height: size, channels: 3 } }).jpeg({ quality: 90 }).toFile(filePath);
+}
+
+const EXPECTED = { width: 768, height: 768, tileSize: 256 };
+
+test('flat margins and solid sea are not mistaken for blank tiles', async (t) => {
+    const { dir } = tempWorkingDir();
+    t.after(() => removeDir(dir));
+    const filePath = path.join(dir, 'margins.jpg');
+    // A cream paper border all round and a tile of flat sea in the middle
+    await drawImage(filePath, (x, y) => (x === 1 && y === 1 ? [70, 110, 160] : [235, 225, 200]));
+    const result = await inspectImage(filePath, EXPECTED);
+    assert.deepStrictEqual(result.problems, []);
+    assert.deepStrictEqual([result.width, result.height], [768, 768]);
+});
+
+test('all-white or all-black tiles, a wrong size and a truncated JPEG are problems', async (t) => {
+    const { dir } = tempWorkingDir();
+    t.after(() => removeDir(dir));
+
+    const blank = path.join(dir, 'blank.jpg');
+    await drawImage(blank, (x, y) => {
+        if (x === 1 && y === 1) {
+            return [255, 255, 255];
+        }
+        return x === 2 && y === 0 ? [0, 0, 0] : null;
+    });
+    const blankResult = await inspectImage(blank, EXPECTED);
+    assert.deepStrictEqual(blankResult.blankTiles, [{ x: 2, y: 0 }, { x: 1, y: 1 }]);
+    assert.match(blankResult.problems.join('; '), /2 blank tile region\(s\), ie\. at tile 2,0/);
+
+    const good = path.join(dir, 'good.jpg');
+    await drawImage(good);
+    const wrongSize = await inspectImage(good, { width: 1000, height: 768, tileSize: 256 });
+    assert.deepStrictEqual(wrongSize.problems, ['is 768x768, ImageProperties.xml says 1000x768']);
+
+    // Cutting off the end removes the End Of Image marker and part of the data
+    const truncated = path.join(dir, 'truncated.jpg');
+    const data = fs.readFileSync(good);
+    fs.writeFileSync(truncated, data.subarray(0, Math.floor(data.length * 0.6)));
+    const truncatedResult = await inspectImage(truncated, EXPECTED);
+    assert.match(truncatedResult.problems[0], /no end of image marker/);
+    assert.ok(truncatedResult.problems.length >= 2, truncatedResult.problems.join('; '));
+});
+
+test('verifyDownloads records good files and rejects bad ones into matching subfolders', async (t) => {
+    const { dir } = tempWorkingDir();
+    const store = getJobStore(dir);
+    t.after(() => {
+        store.close();
+        removeDir(dir);
+    });
+    const outputDir = path.join(dir, 'finished_zoomify_downloads');
+    const rejectedDir = path.join(dir, 'rejected_downloads');
+
+    // Helper function to record a download at a path relative to the output folder
+    const addDownload = async (key, relativePath, flat) => {
+        const url = `${BASE_URL}${key}/ImageProperties.xml`;
+        const outputPath = path.join(outputDir, relativePath);
+        fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+        await drawImage(outputPath, flat);
+        store.recordExtractSuccess(`https://www.geographicus.com/P/AntiqueMap/${key.toLowerCase()}`, {
+            zoomlinkId: key.split('-')[0],
+            imagePropertiesUrl: url,
+            imageProperties: { width: 768, height: 768, tileSize: 256, numTiles: 14 }
+        });
+        store.recordDownloadSuccess(url, outputPath);
+        return { url, outputPath };
+    };
+    const white = (x, y) => (x === 1 && y === 1 ? [255, 255, 255] : null);
+    const good = await addDownload('ORB1570-1570', 'World/Orbis.jpg');
+    const badEurope = await addDownload('EUR1595-1595', 'Europe/Map.jpg', white);
+    const badAsia = await addDownload('ASI1600-1600', 'Asia/Map.jpg', white);
+    fs.writeFileSync(path.join(outputDir, 'stray.jpg'), fs.readFileSync(good.outputPath));
+
+    const summary = await verifyDownloads(store, { outputDir, rejectedDir, cacheDirFor: () => null });
+    assert.strictEqual(summary.checked, 3);
+    assert.strictEqual(summary.passed, 1);
+    assert.deepStrictEqual(summary.rejected, [badEurope.outputPath, badAsia.outputPath]);
+    assert.deepStrictEqual(summary.untracked, [path.join(outputDir, 'stray.jpg')]);
+
+    // Both rejects are called Map.jpg; each keeps its folder, so neither overwrites the other
+    assert.ok(fs.existsSync(path.join(rejectedDir, 'Europe', 'Map.jpg')));
+    assert.ok(fs.existsSync(path.join(rejectedDir, 'Asia', 'Map.jpg')));
+    const requeued = store.getByImagePropertiesUrl(badEurope.url);
+    assert.strictEqual(requeued.download_status, 'pending');
+    assert.strictEqual(requeued.download_error_type, 'corrupt_image');
+
+    const sha256 = await hashFile(good.outputPath);
+    assert.strictEqual(store.getByImagePropertiesUrl(good.url).sha256, sha256);
+    assert.strictEqual(fs.readFileSync(path.join(outputDir, MANIFEST_FILE), 'utf-8'), `${sha256}  World/Orbis.jpg\n`);
+
+    // A file that changed after it passed counts as corrupt on the next run
+    const again = await verifyDownloads(store, { outputDir, rejectedDir, cacheDirFor: () => null });
+    assert.strictEqual(again.unchanged, 1);
+    fs.appendFileSync(good.outputPath, 'x');
+    const changed = await verifyDownloads(store, { outputDir, rejectedDir, cacheDirFor: () => null });
+    assert.deepStrictEqual(changed.rejected, [good.outputPath]);
+    assert.ok(fs.existsSync(path.join(rejectedDir, 'World', 'Orbis.jpg')));
+});
+
+test('verifyDownloads checks the tile regions of the tile size the map was downloaded with', async (t) => {
+    const { dir } = tempWorkingDir();
+    const store = getJobStore(dir);
+    t.after(() => {
+        store.close();
+        removeDir(dir);
+    });
+    const outputDir = path.join(dir, 'finished_zoomify_downloads');
+    const url = `${BASE_URL}LRG1600-1600/ImageProperties.xml`;
+    const outputPath = path.join(outputDir, 'LRG1600-1600.jpg');
+    fs.mkdirSync(outputDir, { recursive: true });
+    // A white corner the size of a 256 pixel tile is only part of the first 512 pixel tile
+    await drawImage(outputPath, (x, y) => (x === 0 && y === 0 ? [255, 255, 255] : null));
+    store.recordExtractSuccess('https://www.geographicus.com/P/AntiqueMap/lrg-1600', {
+        zoomlinkId: 'LRG1600',
+        imagePropertiesUrl: url,
+        imageProperties: { width: 768, height: 768, tileSize: 512, numTiles: 5 }
+    });
+    store.recordDownloadSuccess(url, outputPath);
+
+    const summary = await verifyDownloads(store, { outputDir, rejectedDir: path.join(dir, 'rejected'), cacheDirFor: () => null });
+    assert.deepStrictEqual([summary.passed, summary.rejected], [1, []]);
+    assert.strictEqual(store.getByImagePropertiesUrl(url).tile_size, 512);
+});
@@ -0,0 +1,70 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createWorkerPool, sleep } = require('../worker_pool');
+
+test('the pool runs every job on at most concurrency workers, each keeping its slot', async () => {
+    const pool = createWorkerPool({ concurrency: 3 });
+    let active = 0;
+    let most = 0;
+    const slotsSeen = new Set();
+    const result = await pool.run([1, 2, 3, 4, 5, 6, 7, 8], async (item, { slot }) => {
+        active++;
+        most = Math.max(most, active);
+        slotsSeen.add(slot);
+        await sleep(10 + item % 3 * 10);
+        active--;
+    });
+    assert.deepStrictEqual(result, { completed: 8, notStarted: [] });
+    assert.strictEqual(most, 3);
+    assert.deepStrictEqual([...slotsSeen].sort(), [0, 1, 2]);
+});
+
+test('a job past its timeout is aborted and a failed job does not stop the others', async () => {
+    const errors = [];
+    const pool = createWorkerPool({ concurrency: 2, jobTimeout: 0.05, onError: (err, item) => errors.push([item, err.name]) });
+    const result = await pool.run(['slow', 'broken', 'quick'], async (item, { signal }) => {
+        if (item === 'slow') {
+            await sleep(5000, signal);
+        }
+        if (item === 'broken') {
+            throw new Error('Broken');
+        }
+    });
+    assert.strictEqual(result.completed, 3);
+    assert.deepStrictEqual(errors.sort(), [['broken', 'Error'], ['slow', 'TimeoutError']]);
+});
+
+test('cancelling aborts running jobs and leaves the queue, and beforeJob can stop the pool', async () => {
+    const pool = createWorkerPool({ concurrency: 1, onError: () => {} });
+    const cancelled = [];
+    const run = pool.run(['a', 'b', 'c'], async (item, { signal }) => {
+        await sleep(5000, signal).catch(err => {
+            cancelled.push([item, err.name]);
+            throw err;
+        });
+    });
+    await sleep(20);
+    pool.cancel();
+    assert.deepStrictEqual(await run, { completed: 1, notStarted: ['b', 'c'] });
+    assert.deepStrictEqual(cancelled, [['a', 'AbortError']]);
+
+    let allowed = 2;
+    const gated = createWorkerPool({ concurrency: 1, beforeJob: async () => allowed-- > 0 });
+    assert.deepStrictEqual(await gated.run(['a', 'b', 'c', 'd'], async () => {}), { completed: 2, notStarted: ['c', 'd'] });
+});
+
+test('raising the concurrency of a running pool starts more workers', async () => {
+    const pool = createWorkerPool({ concurrency: 1 });
+    let most = 0;
+    let active = 0;
+    const run = pool.run(Array.from({ length: 6 }, (_, i) => i), async () => {
+        active++;
+        most = Math.max(most, active);
+        await sleep(30);
+        active--;
+    });
+    pool.setConcurrency(3);
+    assert.strictEqual(pool.stats().concurrency, 3);
+    await run;
+    assert.strictEqual(most, 3);
+});
@@ -0,0 +1,104 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const sharp = require('sharp');
+const { parseImageProperties, computeTileLayout, listLevelTiles, sanitizeFilename, tileUrl, downloadTiles } = require('../zoomify_downloader');
+const { fixture } = require('./mock_server');
+const { tempWorkingDir, removeDir } = require('./helpers');
+
+const BASE_URL = 'https://www.geographicus.com/mm5/graphics/00000001/zoomify/';
+
+test('sanitizeFilename keeps the Zoomify folder name with unsafe characters replaced', () => {
+    assert.strictEqual(sanitizeFilename(`${BASE_URL}ORB1570-ortelius-1570/ImageProperties.xml`, BASE_URL), 'ORB1570-ortelius-1570');
+    assert.strictEqual(sanitizeFilename(`${BASE_URL}A1-carte.de/l'Europe/ImageProperties.xml`, BASE_URL), 'A1-carte_de_l_Europe');
+});
+
+test('parseImageProperties reads the image size and tile count', async () => {
+    const properties = await parseImageProperties('<IMAGE_PROPERTIES WIDTH="600" HEIGHT="400" NUMTILES="8" NUMIMAGES="1" VERSION="1.8" TILESIZE="256" />');
+    assert.deepStrictEqual(properties, { width: 600, height: 400, tileSize: 256, numTiles: 8 });
+});
+
+test('parseImageProperties rejects documents without a size or IMAGE_PROPERTIES element', async () => {
+    await assert.rejects(parseImageProperties(fixture('image_properties_invalid.xml')), /missing required attributes/);
+    await assert.rejects(parseImageProperties('<html></html>'), /missing IMAGE_PROPERTIES tag/);
+    await assert.rejects(parseImageProperties('not xml <'), /Failed to parse ImageProperties.xml/);
+});
+
+test('computeTileLayout halves each level until the image fits one tile', () => {
+    const layout = computeTileLayout({ width: 600, height: 400, tileSize: 256 });
+    assert.deepStrictEqual(layout.levels.map(level => [level.width, level.height, level.cols, level.rows]), [
+        [150, 100, 1, 1],
+        [300, 200, 2, 1],
+        [600, 400, 3, 2]
+    ]);
+    assert.strictEqual(layout.totalTiles, 9);
+});
+
+test('computeTileLayout matches a pyramid libvips made of an odd-sized image, TileGroups included', async (t) => {
+    const { dir } = tempWorkingDir();
+    t.after(() => removeDir(dir));
+    // libvips writes the same ImageProperties.xml and TileGroup folders as the Zoomify converter
+    const pyramidDir = path.join(dir, 'ODD4097');
+    await sharp({ create: { width: 4097, height: 3073, channels: 3, background: '#8a7a5a' } })
+        .jpeg()
+        .tile({ size: 256, layout: 'zoomify' })
+        .toFile(pyramidDir);
+    const properties = await parseImageProperties(fs.readFileSync(path.join(pyramidDir, 'ImageProperties.xml'), 'utf-8'));
+    assert.deepStrictEqual(properties, { width: 4097, height: 3073, tileSize: 256, numTiles: 313 });
+
+    const layout = computeTileLayout(properties);
+    assert.deepStrictEqual(layout.levels.map(level => level.width), [129, 257, 513, 1025, 2049, 4097]);
+    assert.strictEqual(layout.totalTiles, 313);
+    const expected = layout.levels
+        .flatMap(level => listLevelTiles(layout, level))
+        .map(tile => `TileGroup${tile.group}/${tile.z}-${tile.x}-${tile.y}.jpg`)
+        .sort();
+    const written = fs.readdirSync(pyramidDir)
+        .filter(name => name.startsWith('TileGroup'))
+        .flatMap(group => fs.readdirSync(path.join(pyramidDir, group)).map(name => `${group}/${name}`))
+        .sort();
+    assert.deepStrictEqual(expected, written);
+    assert.ok(written.includes('TileGroup1/5-16-12.jpg'));
+});
+
+test('computeTileLayout falls back to rounding down when only that fits NUMTILES and rejects a NUMTILES that fits neither', () => {
+    // Halving 1025x769 rounding down gives 1025, 512 and 256 pixel wide levels of 20 + 4 + 1 tiles
+    const truncated = computeTileLayout({ width: 1025, height: 769, tileSize: 256, numTiles: 25 });
+    assert.deepStrictEqual(truncated.levels.map(level => level.width), [256, 512, 1025]);
+    assert.strictEqual(computeTileLayout({ width: 1025, height: 769, tileSize: 256, numTiles: 29 }).levels.length, 4);
+    assert.throws(() => computeTileLayout({ width: 1025, height: 769, tileSize: 256, numTiles: 40 }),
+        /NUMTILES in ImageProperties\.xml is 40, but a 1025x769 pyramid of 256 pixel tiles has 29 tiles/);
+});
+
+test('listLevelTiles numbers tiles across TileGroup folders of 256', () => {
+    const layout = computeTileLayout({ width: 256 * 20, height: 256 * 20, tileSize: 256 });
+    const level = layout.levels[layout.levels.length - 1];
+    const tiles = listLevelTiles(layout, level);
+    assert.strictEqual(tiles.length, 400);
+    assert.strictEqual(tiles[0].group, Math.floor(level.tileOffset / 256));
+    assert.strictEqual(tiles[399].group, Math.floor((level.tileOffset + 399) / 256));
+    assert.strictEqual(tileUrl('https://example.com/zoomify/X-1', tiles[1]), `https://example.com/zoomify/X-1/TileGroup${tiles[1].group}/${level.z}-1-0.jpg`);
+});
+
+test('downloadTiles stops waiting between tile retries once its signal is aborted', async (t) => {
+    const server = http.createServer((req, res) => {
+        res.writeHead(500);
+        res.end();
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const { dir } = tempWorkingDir();
+    t.after(() => {
+        server.close();
+        removeDir(dir);
+    });
+
+    const controller = new AbortController();
+    setTimeout(() => controller.abort(Object.assign(new Error('Cancelled'), { name: 'AbortError' })), 300);
+    const started = Date.now();
+    // Three retries would back off for 1 + 2 + 3 seconds
+    await assert.rejects(downloadTiles(`http://127.0.0.1:${server.address().port}/X-1`, [{ z: 0, x: 0, y: 0, group: 0 }], dir,
+        { retries: 3, signal: controller.signal }), { name: 'AbortError' });
+    assert.ok(Date.now() - started < 3000, `took ${Date.now() - started}ms`);
+});
@@ -0,0 +1,36 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { findZoomlinkId, imagePropertiesUrlFor } = require('../zoomify_resolver');
+const { fixture } = require('./mock_server');
+
+const BASE_URL = 'https://www.geographicus.com/mm5/graphics/00000001/zoomify/';
+
+test('findZoomlinkId reads the ID up to the first dash from the script after the modal comment', () => {
+    const html = fixture('product_page.html', { ZOOMLINK: 'ORB1570', SLUG: '1570', TITLE: 'Typus Orbis Terrarum' });
+    assert.strictEqual(findZoomlinkId(html), 'ORB1570');
+});
+
+test('findZoomlinkId ignores data-zoomlink values before the modal comment', () => {
+    const html = fixture('product_page.html', { ZOOMLINK: 'RIGHT', SLUG: '1570' })
+        .replace('<h1>', '<script type="text/javascript" charset="utf-8">x(\'<a data-zoomlink="WRONG-1570">\')</script><h1>');
+    assert.strictEqual(findZoomlinkId(html), 'RIGHT');
+});
+
+test('findZoomlinkId fails with the messages failures.js classifies', () => {
+    assert.throws(() => findZoomlinkId(fixture('product_page_no_modal.html')), /Zoomify modal comment not found/);
+    assert.throws(() => findZoomlinkId(fixture('product_page_no_zoomlink.html')), /No data-zoomlink pattern found/);
+    assert.throws(() => findZoomlinkId('<!-- OUT ZOOMIFY MODAL --><p>no script</p>'), /No matching script element/);
+});
+
+test('imagePropertiesUrlFor replaces the map ID before the first dash with the zoomlink ID', () => {
+    assert.strictEqual(
+        imagePropertiesUrlFor('https://www.geographicus.com/P/AntiqueMap/orbis-ortelius-1570', 'ORB1570', BASE_URL),
+        `${BASE_URL}ORB1570-ortelius-1570/ImageProperties.xml`
+    );
+    assert.strictEqual(
+        imagePropertiesUrlFor('https://www.geographicus.com/P/AntiqueMap/asia-1600_d', 'ASI1600', BASE_URL),
+        `${BASE_URL}ASI1600-1600_d/ImageProperties.xml`
+    );
+    assert.throws(() => imagePropertiesUrlFor('https://www.geographicus.com/P/Other/gift-card', 'X', BASE_URL), /missing \/P\/AntiqueMap\//);
+    assert.throws(() => imagePropertiesUrlFor('https://www.geographicus.com/P/AntiqueMap/nodash', 'X', BASE_URL), /missing dash/);
+});
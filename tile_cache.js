@@ -0,0 +1,99 @@
+const fs = require('fs');
+const path = require('path');
+const { directorySize } = require('./disk');
+
+// The tile cache (workingDir/Tilecache) holds one folder of tiles per map, named like its output file.
+// A folder's modification time is when a download last used it, which is what eviction goes by.
+
+// Every map folder in the cache with its size, oldest first: { key, dir, bytes, files, lastUsed }
+function cacheEntries(tileCacheDir) {
+    if (!fs.existsSync(tileCacheDir)) {
+        return [];
+    }
+    return fs.readdirSync(tileCacheDir, { withFileTypes: true })
+        .filter(entry => entry.isDirectory())
+        .map(entry => {
+            const dir = path.join(tileCacheDir, entry.name);
+            return { key: entry.name, dir, ...directorySize(dir), lastUsed: fs.statSync(dir).mtime };
+        })
+        .sort((a, b) => a.lastUsed - b.lastUsed);
+}
+
+// Totals for the whole cache: { maps, bytes, files, oldest, newest } (dates are null for an empty cache)
+function cacheStats(tileCacheDir) {
+    const entries = cacheEntries(tileCacheDir);
+    return {
+        maps: entries.length,
+        bytes: entries.reduce((sum, entry) => sum + entry.bytes, 0),
+        files: entries.reduce((sum, entry) => sum + entry.files, 0),
+        oldest: entries.length ? entries[0].lastUsed : null,
+        newest: entries.length ? entries[entries.length - 1].lastUsed : null
+    };
+}
+
+// Mark a map's cache folder as used now, creating it if needed; tiles read from the cache do not change
+// the folder, so a download calls this before it starts
+function touchCache(cacheDir) {
+    fs.mkdirSync(cacheDir, { recursive: true });
+    const now = new Date();
+    fs.utimesSync(cacheDir, now, now);
+}
+
+// Remove one map's cache folder, returning the bytes it held
+function removeCache(cacheDir) {
+    const { bytes } = directorySize(cacheDir);
+    fs.rmSync(cacheDir, { recursive: true, force: true });
+    return bytes;
+}
+
+// Evict least recently used map folders until the cache is at most maxBytes (0 for no cap) and at least
+// free bytes have been removed. Folders named in keep (ie. of downloads in progress) are never removed.
+// Returns { removed, freedBytes, remainingBytes } with the keys of the removed folders.
+function pruneCache(tileCacheDir, { maxBytes = 0, free = 0, keep = [] } = {}) {
+    const entries = cacheEntries(tileCacheDir);
+    const kept = new Set(keep);
+    let remainingBytes = entries.reduce((sum, entry) => sum + entry.bytes, 0);
+    let freedBytes = 0;
+    const removed = [];
+
+    for (const entry of entries) {
+        const overCap = maxBytes > 0 && remainingBytes > maxBytes;
+        if (!overCap && freedBytes >= free) {
+            break;
+        }
+        if (kept.has(entry.key)) {
+            continue;
+        }
+        fs.rmSync(entry.dir, { recursive: true, force: true });
+        removed.push(entry.key);
+        remainingBytes -= entry.bytes;
+        freedBytes += entry.bytes;
+    }
+    return { removed, freedBytes, remainingBytes };
+}
+
+// Remove the cache folders of maps that are downloaded and verified; their tiles are not needed again
+// unless the map is re-queued. keyFor turns an ImageProperties URL into its folder name.
+function removeCompletedCaches(store, tileCacheDir, keyFor) {
+    const result = { removed: [], freedBytes: 0 };
+    store.downloadedMaps()
+        .filter(row => row.sha256)
+        .forEach(row => {
+            const key = keyFor(row.image_properties_url);
+            const cacheDir = path.join(tileCacheDir, key);
+            if (fs.existsSync(cacheDir)) {
+                result.freedBytes += removeCache(cacheDir);
+                result.removed.push(key);
+            }
+        });
+    return result;
+}
+
+module.exports = {
+    cacheEntries,
+    cacheStats,
+    touchCache,
+    removeCache,
+    pruneCache,
+    removeCompletedCaches
+};
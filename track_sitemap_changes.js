@@ -1,18 +1,33 @@
 const fs = require('fs');
 const path = require('path');
-const https = require('https');
-const { parseString } = require('xml2js');
-
-// File paths
-const workingDir = 'C:/Users/Mai/Documents/zoomifyjs';
-const CURRENT_SITEMAP = path.join(workingDir, 'local_sitemap.xml');        // Local working copy
-const LATEST_SITEMAP = path.join(workingDir, 'latest_geographicus_sitemap.xml'); // Latest downloaded copy
-const CHANGES_LOG = path.join(workingDir, 'logs', 'sitemap_changes.json');         // Track changes over time
-const INITIAL_URLS_NOXML = path.join(workingDir, 'logs', 'initial_urls_noxml.txt');   // Initial URLs for processing
-
-// Ensure the changes log exists with valid JSON
-if (!fs.existsSync(CHANGES_LOG)) {
-    fs.writeFileSync(CHANGES_LOG, JSON.stringify({ changes: [] }, null, 2));
+const { Readable } = require('stream');
+const { loadConfigOrExit, resolveOptions } = require('./config');
+const { collectSitemap, parseSitemapStream } = require('./sitemap');
+const { readCheckpoint, writeJsonAtomic } = require('./checkpoint');
+const { getJobStore } = require('./job_store');
+const { applyDelisting, writeDelistedReport } = require('./delisted');
+const { createRateLimiter } = require('./rate_limiter');
+const { selectProductUrls, describeSelection, printDryRun } = require('./selection');
+const { createRunNotifier } = require('./notify');
+
+// File paths in a working directory
+function sitemapPaths(workingDir) {
+    return {
+        snapshot: path.join(workingDir, 'logs', 'sitemap_snapshot.json'),        // Every listed URL with its lastmod
+        currentSitemap: path.join(workingDir, 'local_sitemap.xml'),              // Local copy kept by older versions, read if there is no snapshot
+        changesLog: path.join(workingDir, 'logs', 'sitemap_changes.json'),       // Track changes over time
+        initialUrls: path.join(workingDir, 'logs', 'initial_urls_noxml.txt'),    // Initial URLs for processing
+        delistedReport: path.join(workingDir, 'logs', 'delisted_report.json')    // Delisted maps we hold or never captured
+    };
+}
+
+// Helper function to read the change history, creating an empty one if there is none yet
+function readChangesLog(changesLog) {
+    if (!fs.existsSync(changesLog)) {
+        fs.mkdirSync(path.dirname(changesLog), { recursive: true });
+        fs.writeFileSync(changesLog, JSON.stringify({ changes: [] }, null, 2));
+    }
+    return JSON.parse(fs.readFileSync(changesLog, 'utf-8'));
 }
 
 // Helper function to transform sitemap URL to Zoomify URL
@@ -40,110 +55,165 @@ function filterDuplicateUrls(urls) {
     return filteredUrls;
 }
 
+// Helper function to keep only map product pages
+function isAntiqueMapUrl(url) {
+    return url.includes('/P/AntiqueMap/');
+}
+
+// Helper function to drop the '_d' duplicates from a Map of URL to lastmod
+function filterDuplicateEntries(entries) {
+    const kept = filterDuplicateUrls(new Set(entries.keys()));
+    return new Map([...entries].filter(([url]) => kept.has(url)));
+}
+
 // Helper function to extract URLs from sitemap XML
-function extractUrls(xmlContent) {
-    return new Promise((resolve, reject) => {
-        parseString(xmlContent, (err, result) => {
-            if (err) {
-                reject(err);
-                return;
-            }
-            
-            const urls = new Set(
-                result.urlset.url
-                    .map(entry => entry.loc[0])
-                    .filter(url => url.includes('/P/AntiqueMap/'))
-            );
-            
-            // Filter out '_d' URLs
-            const filteredUrls = filterDuplicateUrls(urls);
-            resolve(filteredUrls);
-        });
+async function extractUrls(xmlContent) {
+    const urls = new Set();
+    await parseSitemapStream(Readable.from([xmlContent]), (kind, entry) => {
+        if (kind === 'url' && isAntiqueMapUrl(entry.loc)) {
+            urls.add(entry.loc);
+        }
     });
+
+    // Filter out '_d' URLs
+    return filterDuplicateUrls(urls);
 }
 
-// Helper function to download the latest sitemap
-function downloadSitemap() {
-    return new Promise((resolve, reject) => {
-        https.get('https://www.geographicus.com/sitemap.xml', (res) => {
-            if (res.statusCode !== 200) {
-                reject(new Error(`Failed to download sitemap: ${res.statusCode}`));
-                return;
-            }
+// Helper function to download the latest sitemap, following sitemap indexes, gzip and redirects.
+// Resolves with a Map of every map URL to its lastmod (null when the sitemap has none).
+async function downloadSitemap(sitemapUrl, limiter) {
+    const { urls, sitemaps } = await collectSitemap(sitemapUrl, { filter: isAntiqueMapUrl, limiter });
+    return { entries: filterDuplicateEntries(urls), sitemaps };
+}
 
-            let data = '';
-            res.on('data', chunk => data += chunk);
-            res.on('end', () => resolve(data));
-        }).on('error', reject);
-    });
+// Helper function to read the URLs and lastmods of the previous check.
+// Falls back to the local_sitemap.xml copy written by older versions.
+async function readLocalSitemap(paths) {
+    const snapshot = readCheckpoint(paths.snapshot);
+    if (snapshot && snapshot.urls) {
+        return new Map(Object.entries(snapshot.urls));
+    }
+    if (fs.existsSync(paths.currentSitemap) && fs.statSync(paths.currentSitemap).size > 0) {
+        const { urls } = await collectSitemap(paths.currentSitemap, { filter: isAntiqueMapUrl });
+        return filterDuplicateEntries(urls);
+    }
+    return new Map();
 }
 
-// Helper function to read local sitemap
-function readLocalSitemap(filepath) {
-    return fs.existsSync(filepath) 
-        ? fs.readFileSync(filepath, 'utf-8')
-        : '';
+// Every map URL of the last sitemap check in workingDir, in sitemap order
+async function loadSitemapUrls(workingDir) {
+    return [...(await readLocalSitemap(sitemapPaths(workingDir))).keys()];
 }
 
-// Helper function to find differences between two sets
-function findDifferences(oldUrls, newUrls) {
-    const added = [...newUrls].filter(url => !oldUrls.has(url));
-    const removed = [...oldUrls].filter(url => !newUrls.has(url));
-    return { added, removed };
+// Helper function to find added, removed and changed (different lastmod) URLs
+function findDifferences(oldEntries, newEntries) {
+    const added = [...newEntries.keys()].filter(url => !oldEntries.has(url));
+    const removed = [...oldEntries.keys()].filter(url => !newEntries.has(url));
+    const changed = [...newEntries.keys()].filter(url => {
+        const before = oldEntries.get(url);
+        const after = newEntries.get(url);
+        return oldEntries.has(url) && before && after && Date.parse(before) !== Date.parse(after);
+    });
+    return { added, removed, changed };
 }
 
-// Main function to check for sitemap changes
-async function checkSitemapChanges() {
+// Check the sitemap for added, removed and changed map URLs. options are config.js settings
+// (see resolveOptions); options.events, an EventEmitter, gets a 'changes' event with the differences,
+// and options.rateLimiter is the rate limiter (rate_limiter.js) to share with other stages.
+// selected in the result holds the added URLs that match the selection settings.
+async function checkSitemapChanges(options = {}) {
+    const { events = null, rateLimiter = createRateLimiter(), ...settings } = options;
+    const config = resolveOptions('sitemap', settings);
+    const workingDir = config.workingDir;
+    const paths = sitemapPaths(workingDir);
+    rateLimiter.configure(config);
+
     try {
         console.log('[INFO] Downloading latest sitemap...');
-        const latestXml = await downloadSitemap();
-        
-        // Save the latest sitemap
-        fs.writeFileSync(LATEST_SITEMAP, latestXml);
-        
-        // Extract URLs from both sitemaps
-        const latestUrls = await extractUrls(latestXml);
-        console.log(`[INFO] Found ${latestUrls.size} URLs in latest sitemap`);
-
-        const localXml = readLocalSitemap(CURRENT_SITEMAP);
-        const localUrls = localXml ? await extractUrls(localXml) : new Set();
-        console.log(`[INFO] Found ${localUrls.size} URLs in local sitemap`);
+        const { entries: latestEntries, sitemaps } = await downloadSitemap(config.sitemapUrl, rateLimiter);
+        const latestUrls = new Set(latestEntries.keys());
+        console.log(`[INFO] Found ${latestUrls.size} URLs in latest sitemap (${sitemaps.length} sitemap files)`);
+
+        const localEntries = await readLocalSitemap(paths);
+        console.log(`[INFO] Found ${localEntries.size} URLs in local sitemap`);
 
         // Find differences
-        const { added, removed } = findDifferences(localUrls, latestUrls);
+        const { added, removed, changed } = findDifferences(localEntries, latestEntries);
+
+        // The added URLs the selection settings (selection.js) hand on to extraction; a dry run stops here,
+        // leaving the local copy, the change history and the job store as they are
+        const selected = selectProductUrls(added, config);
+        if (selected.length !== added.length) {
+            console.log(`[INFO] ${selected.length} of ${added.length} added URLs match the selection (${describeSelection(config)})`);
+        }
+        if (config.dryRun) {
+            console.log(`\n[DRY RUN] ${added.length} added, ${removed.length} removed, ${changed.length} changed (nothing was saved)`);
+            printDryRun('sitemap', selected);
+            return { latestUrls, changes: { added, removed, changed }, delisting: null, selected, dryRun: true };
+        }
 
         // Generate/Update initial_urls_noxml.txt with all current URLs
-        const allZoomifyUrls = [...latestUrls].map(url => url).join('\n');
-        fs.writeFileSync(INITIAL_URLS_NOXML, allZoomifyUrls);
-        console.log(`[INFO] Updated ${INITIAL_URLS_NOXML} with ${latestUrls.size} URLs`);
+        const allZoomifyUrls = [...latestUrls].join('\n');
+        fs.mkdirSync(path.dirname(paths.initialUrls), { recursive: true });
+        fs.writeFileSync(paths.initialUrls, allZoomifyUrls);
+        console.log(`[INFO] Updated ${paths.initialUrls} with ${latestUrls.size} URLs`);
+
+        // The snapshot is always replaced, so lastmods are compared against the latest check
+        writeJsonAtomic(paths.snapshot, {
+            date: new Date().toISOString(),
+            sitemapUrl: config.sitemapUrl,
+            sitemaps,
+            urls: Object.fromEntries(latestEntries)
+        });
+
+        // Removed products are marked delisted (no longer extracted) and their files handled per delistedPolicy
+        const store = getJobStore(workingDir);
+        const delisting = applyDelisting(store, { removed, added }, {
+            policy: config.delistedPolicy,
+            outputDir: path.join(workingDir, 'finished_zoomify_downloads'),
+            delistedDir: path.join(workingDir, 'delisted')
+        });
+        if (delisting.delisted > 0 || delisting.relisted > 0) {
+            console.log(`[INFO] ${delisting.delisted} maps delisted, ${delisting.relisted} back in the sitemap` +
+                `${delisting.moved ? `, ${delisting.moved} moved to delisted/` : ''}` +
+                `${delisting.restored ? `, ${delisting.restored} moved back from delisted/` : ''}`);
+        }
+        if (config.delistedPolicy === 'report' && store.delistedMaps().length > 0) {
+            writeDelistedReport(store, paths.delistedReport);
+        }
 
         // If there are changes, log them
-        if (added.length > 0 || removed.length > 0) {
-            const changes = JSON.parse(fs.readFileSync(CHANGES_LOG, 'utf-8'));
+        const changes = readChangesLog(paths.changesLog);
+        if (added.length > 0 || removed.length > 0 || changed.length > 0) {
             changes.changes.push({
                 date: new Date().toISOString(),
                 added: added,
-                removed: removed
+                removed: removed,
+                changed: changed
             });
             
-            fs.writeFileSync(CHANGES_LOG, JSON.stringify(changes, null, 2));
+            fs.writeFileSync(paths.changesLog, JSON.stringify(changes, null, 2));
             
             console.log('\n[CHANGES DETECTED]');
             console.log(`[ADDED] ${added.length} URLs`);
             console.log(`[REMOVED] ${removed.length} URLs`);
-
-            // If this is the first run or changes were found, update the local copy
-            if (!localXml || added.length > 0 || removed.length > 0) {
-                fs.writeFileSync(CURRENT_SITEMAP, latestXml);
-                console.log('[INFO] Updated local sitemap');
-            }
+            console.log(`[CHANGED] ${changed.length} URLs (new lastmod)`);
         } else {
             console.log('\n[INFO] No changes detected');
         }
 
+        if (events) {
+            events.emit('changes', { stage: 'sitemap', added, removed, changed, delisting, selected });
+        }
+        const notifier = createRunNotifier('sitemap', config);
+        notifier.handle('changes', { added, removed, changed });
+        await notifier.flush();
+
         return {
             latestUrls,
-            changes: { added, removed }
+            changes: { added, removed, changed },
+            delisting,
+            selected
         };
 
     } catch (error) {
@@ -154,25 +224,28 @@ async function checkSitemapChanges() {
 
 // If running directly, show historical changes
 if (require.main === module) {
+    const config = loadConfigOrExit('sitemap');
     console.log('[INFO] Checking for sitemap changes...');
-    checkSitemapChanges().then(() => {
+    checkSitemapChanges(config).then(result => {
+        if (result.dryRun) {
+            return;
+        }
         // Print summary of all historical changes
-        const allChanges = JSON.parse(fs.readFileSync(CHANGES_LOG, 'utf-8'));
+        const allChanges = readChangesLog(sitemapPaths(config.workingDir).changesLog);
         console.log('\n[HISTORY] Changes Summary:');
         allChanges.changes.forEach(change => {
             console.log(`\n${new Date(change.date).toLocaleDateString()}:`);
             console.log(`[ADDED] ${change.added.length} URLs`);
             console.log(`[REMOVED] ${change.removed.length} URLs`);
+            console.log(`[CHANGED] ${(change.changed || []).length} URLs`);
         });
-    });
+    }).catch(() => process.exit(1));
 }
 
 module.exports = {
     checkSitemapChanges,
     extractUrls,
-    CURRENT_SITEMAP,
-    LATEST_SITEMAP,
-    CHANGES_LOG,
-    INITIAL_URLS_NOXML,
-    workingDir
+    filterDuplicateUrls,
+    loadSitemapUrls,
+    sitemapPaths
 }; 
\ No newline at end of file
@@ -0,0 +1,305 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const sharp = require('sharp');
+const { fetchBuffer, parseImageProperties, computeTileLayout } = require('./zoomify_downloader');
+const { sidecarPath } = require('./image_metadata');
+const { moveFile } = require('./disk');
+
+// Point samples taken along each side of a tile when looking for blank tiles
+const SAMPLES_PER_TILE = 8;
+
+// A tile whose samples are all within this many levels of pure black or pure white is treated as blank.
+// Only those two count: a failed or placeholder tile decodes to one of them (the stitching canvas is
+// white), while flat paper margins and solid sea in a scan are some other colour.
+const BLANK_TOLERANCE = 2;
+
+// Name of the checksum file written next to the downloads, readable by `sha256sum -c`
+const MANIFEST_FILE = 'SHA256SUMS';
+
+// Helper function to hash a file without reading it into memory in one go
+function hashFile(filePath) {
+    return new Promise((resolve, reject) => {
+        const hash = crypto.createHash('sha256');
+        fs.createReadStream(filePath)
+            .on('data', chunk => hash.update(chunk))
+            .on('end', () => resolve(hash.digest('hex')))
+            .on('error', reject);
+    });
+}
+
+// Helper function to tell Deep Zoom (.dzi) and IIIF (info.json) outputs from stitched images
+function isPyramid(outputPath) {
+    return /\.dzi$/i.test(outputPath) || path.basename(outputPath) === 'info.json';
+}
+
+// Helper function to list the files and folders that make up one output
+function outputParts(outputPath) {
+    if (/\.dzi$/i.test(outputPath)) {
+        return [outputPath, outputPath.replace(/\.dzi$/i, '_files')];
+    }
+    return path.basename(outputPath) === 'info.json' ? [path.dirname(outputPath)] : [outputPath];
+}
+
+// Helper function to tell whether a path lies inside a folder
+function isInside(filePath, dir) {
+    return path.resolve(filePath).startsWith(path.resolve(dir) + path.sep);
+}
+
+// Find the folder under toDir matching the one an output sits in under fromDir, so outputs in subfolders
+// (see naming.js) keep them when moved; a IIIF pyramid is the folder around info.json
+function matchingFolder(outputPath, fromDir, toDir) {
+    const top = path.basename(outputPath) === 'info.json' ? path.dirname(outputPath) : outputPath;
+    return isInside(top, fromDir) ? path.join(toDir, path.relative(fromDir, path.dirname(top))) : toDir;
+}
+
+// Move the files of one output (and its .xmp sidecar) into targetDir, returning the path that stands
+// in for outputPath there, or null if none of them were on disk
+function moveOutput(outputPath, targetDir) {
+    let moved = null;
+    [...outputParts(outputPath), sidecarPath(outputPath)].forEach(part => {
+        if (!fs.existsSync(part)) {
+            return;
+        }
+        const target = path.join(targetDir, path.basename(part));
+        fs.mkdirSync(targetDir, { recursive: true });
+        fs.rmSync(target, { recursive: true, force: true });
+        moveFile(part, target);
+        if (!moved) {
+            moved = path.join(targetDir, path.relative(path.dirname(part), outputPath));
+        }
+    });
+    return moved;
+}
+
+// Helper function to list the images and .dzi files in a folder and its subfolders (outputs named with
+// folders, see naming.js), leaving out the tiles of Deep Zoom and IIIF pyramids and hidden folders
+function listImages(dir) {
+    if (!fs.existsSync(dir)) {
+        return [];
+    }
+    const entries = fs.readdirSync(dir, { withFileTypes: true });
+    if (entries.some(entry => entry.name === 'info.json')) {
+        return [];
+    }
+    return entries.flatMap(entry => {
+        const entryPath = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+            return entry.name.startsWith('.') || entry.name.endsWith('_files') ? [] : listImages(entryPath);
+        }
+        return /\.(jpe?g|tiff?|png|webp|dzi)$/i.test(entry.name) ? [entryPath] : [];
+    });
+}
+
+// Helper function to check that a JPEG ends with its End Of Image marker
+function hasJpegEnd(filePath) {
+    const fd = fs.openSync(filePath, 'r');
+    try {
+        const { size } = fs.fstatSync(fd);
+        const tail = Buffer.alloc(2);
+        fs.readSync(fd, tail, 0, 2, Math.max(0, size - 2));
+        return tail.readUInt16BE(0) === 0xffd9;
+    } finally {
+        fs.closeSync(fd);
+    }
+}
+
+// Decode an image and list what is wrong with it: unreadable or truncated data, dimensions that
+// differ from ImageProperties.xml, and tile-sized regions that are all black or all white.
+// expected: { width, height, tileSize }; width/height may be null when unknown, and without tileSize the
+// tile regions are not checked (a guessed size would put them in the wrong places).
+async function inspectImage(filePath, expected = {}) {
+    const problems = [];
+    const blankTiles = [];
+    const { tileSize } = expected;
+
+    if (/\.jpe?g$/i.test(filePath) && !hasJpegEnd(filePath)) {
+        problems.push('JPEG data is truncated (no end of image marker)');
+    }
+
+    let info;
+    try {
+        info = await sharp(filePath, { limitInputPixels: false }).metadata();
+    } catch (err) {
+        problems.push(`cannot be read: ${err.message}`);
+        return { problems, blankTiles };
+    }
+
+    if (expected.width && expected.height && (info.width !== expected.width || info.height !== expected.height)) {
+        problems.push(`is ${info.width}x${info.height}, ImageProperties.xml says ${expected.width}x${expected.height}`);
+    }
+
+    // Sample every tile with nearest-neighbour scaling; this decodes the whole image, so damaged data fails here too.
+    // Without a tile size the image is still decoded, at a sample per 256 pixels.
+    const scale = SAMPLES_PER_TILE / (tileSize || 256);
+    const sampleWidth = Math.max(1, Math.round(info.width * scale));
+    const sampleHeight = Math.max(1, Math.round(info.height * scale));
+    let samples;
+    try {
+        samples = await sharp(filePath, { limitInputPixels: false, failOn: 'truncated' })
+            .removeAlpha()
+            .resize(sampleWidth, sampleHeight, { fit: 'fill', kernel: 'nearest', fastShrinkOnLoad: false })
+            .raw()
+            .toBuffer({ resolveWithObject: true });
+    } catch (err) {
+        problems.push(`image data is damaged: ${err.message}`);
+        return { width: info.width, height: info.height, problems, blankTiles };
+    }
+
+    const { data, info: sampled } = samples;
+    for (let top = 0, y = 0; tileSize && top < sampled.height; top += SAMPLES_PER_TILE, y++) {
+        for (let left = 0, x = 0; left < sampled.width; left += SAMPLES_PER_TILE, x++) {
+            const right = Math.min(left + SAMPLES_PER_TILE, sampled.width);
+            const bottom = Math.min(top + SAMPLES_PER_TILE, sampled.height);
+            // Thin edge tiles have too few samples to tell blank from plain paper
+            if ((right - left) * (bottom - top) < SAMPLES_PER_TILE * 2) {
+                continue;
+            }
+            let min = 255;
+            let max = 0;
+            for (let row = top; row < bottom; row++) {
+                for (let col = left; col < right; col++) {
+                    for (let c = 0; c < sampled.channels; c++) {
+                        const value = data[(row * sampled.width + col) * sampled.channels + c];
+                        min = Math.min(min, value);
+                        max = Math.max(max, value);
+                    }
+                }
+            }
+            if (max <= BLANK_TOLERANCE || min >= 255 - BLANK_TOLERANCE) {
+                blankTiles.push({ x, y });
+            }
+        }
+    }
+    if (blankTiles.length > 0) {
+        problems.push(`${blankTiles.length} blank tile region(s), ie. at tile ${blankTiles[0].x},${blankTiles[0].y}`);
+    }
+
+    return { width: info.width, height: info.height, problems, blankTiles };
+}
+
+// Remove the cached copies of blank tiles so the next download fetches them again
+function dropCachedTiles(cacheDir, properties, blankTiles) {
+    if (!cacheDir || !fs.existsSync(cacheDir) || blankTiles.length === 0) {
+        return;
+    }
+    const layout = computeTileLayout(properties);
+    const z = layout.levels.length - 1;
+    blankTiles.forEach(({ x, y }) => {
+        const tilePath = path.join(cacheDir, `${z}-${x}-${y}.jpg`);
+        if (fs.existsSync(tilePath)) {
+            fs.unlinkSync(tilePath);
+        }
+    });
+}
+
+// Check a freshly stitched image, throwing if it is bad. Cached blank tiles are dropped first
+// so a retry downloads them again.
+async function checkDownload(filePath, properties, cacheDir) {
+    const result = await inspectImage(filePath, properties);
+    if (result.problems.length > 0) {
+        dropCachedTiles(cacheDir, properties, result.blankTiles);
+        throw new Error(`Verification failed: ${result.problems.join('; ')}`);
+    }
+    return result;
+}
+
+// Helper function to read WIDTH/HEIGHT/TILESIZE, from ImageProperties.xml for maps recorded before the
+// job store kept them (waiting for limiter, a rate limiter); without a tile size the blank tile check is skipped
+async function expectedProperties(row, limiter) {
+    if (row.width && row.height && row.tile_size) {
+        return { width: row.width, height: row.height, tileSize: row.tile_size, numTiles: row.num_tiles };
+    }
+    try {
+        return await parseImageProperties((await fetchBuffer(row.image_properties_url, { limiter })).toString('utf-8'));
+    } catch (err) {
+        console.warn(`[WARN] Could not read ImageProperties.xml for ${row.image_properties_url}: ${err.message}`);
+        return { width: row.width, height: row.height };
+    }
+}
+
+// Rewrite the checksum manifest from the hashes in the job store
+function writeManifest(store, outputDir) {
+    const lines = store.downloadedMaps()
+        .filter(row => row.sha256 && row.output_path)
+        .map(row => `${row.sha256}  ${path.relative(outputDir, row.output_path).split(path.sep).join('/')}`);
+    const manifestPath = path.join(outputDir, MANIFEST_FILE);
+    fs.writeFileSync(manifestPath, lines.length ? lines.join('\n') + '\n' : '', 'utf-8');
+    return { count: lines.length, manifestPath };
+}
+
+// Verify every downloaded image. Files that already passed and still match their recorded hash are
+// only re-decoded with full = true. Bad files are moved to rejectedDir (in the same subfolders they had in
+// outputDir, so outputs of the same name do not overwrite each other) and their maps re-queued. Duplicates
+// whose file is a link to another download (duplicates policy link) are left to that download's check.
+// limiter is the rate limiter for the ImageProperties.xml of maps recorded without their tile size.
+async function verifyDownloads(store, { outputDir, rejectedDir, cacheDirFor, full = false, limiter = null }) {
+    const summary = { checked: 0, passed: 0, unchanged: 0, linked: 0, rejected: [], untracked: [] };
+    const rows = store.downloadedMaps();
+
+    for (const row of rows) {
+        if (row.linked_to) {
+            summary.linked++;
+            continue;
+        }
+        const problems = [];
+        let blankTiles = [];
+        let properties = {};
+        let sha256 = null;
+
+        if (!fs.existsSync(row.output_path)) {
+            problems.push('file is missing');
+        } else {
+            sha256 = await hashFile(row.output_path);
+            if (row.sha256 && row.sha256 !== sha256) {
+                problems.push('checksum differs from the one recorded when it was last verified');
+            } else if (row.sha256 && !full) {
+                summary.unchanged++;
+                continue;
+            } else if (isPyramid(row.output_path)) {
+                // A pyramid has no single image to decode; its descriptor and tiles must be present
+                const tilesDir = outputParts(row.output_path).slice(-1)[0];
+                if (!fs.existsSync(tilesDir) || fs.readdirSync(tilesDir).length === 0) {
+                    problems.push('pyramid tiles are missing');
+                }
+            } else {
+                properties = await expectedProperties(row);
+                const result = await inspectImage(row.output_path, properties);
+                problems.push(...result.problems);
+                blankTiles = result.blankTiles;
+            }
+        }
+        summary.checked++;
+
+        if (problems.length === 0) {
+            store.recordVerification(row.image_properties_url, sha256);
+            summary.passed++;
+            continue;
+        }
+
+        console.log(`[BAD] ${row.output_path}: ${problems.join('; ')}`);
+        moveOutput(row.output_path, matchingFolder(row.output_path, outputDir, rejectedDir));
+        dropCachedTiles(cacheDirFor(row.image_properties_url), properties, blankTiles);
+        store.requeueDownload(row.image_properties_url, `Verification failed: ${problems.join('; ')}`);
+        summary.rejected.push(row.output_path);
+    }
+
+    // Files in the output folder that no map in the job store points at
+    const tracked = new Set(rows.map(row => path.resolve(row.output_path)));
+    summary.untracked = listImages(outputDir).filter(file => !tracked.has(path.resolve(file)));
+
+    summary.manifest = writeManifest(store, outputDir);
+    return summary;
+}
+
+module.exports = {
+    MANIFEST_FILE,
+    hashFile,
+    isInside,
+    matchingFolder,
+    moveOutput,
+    inspectImage,
+    checkDownload,
+    verifyDownloads,
+    writeManifest
+};
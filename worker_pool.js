@@ -0,0 +1,154 @@
+// A queue of jobs worked through by a changeable number of workers, each running one job at a time.
+// Every worker has a slot number (0, 1, ...) it keeps for its lifetime, so a worker can own a resource
+// such as a browser page. Jobs get an AbortSignal that fires when the job runs past jobTimeout seconds
+// (reason: a TimeoutError) or the pool is cancelled (reason: an AbortError); a job is expected to give
+// up soon after, and its worker only takes the next job once it has.
+
+// Helper function to build the error a job is aborted with
+function abortError(name, message) {
+    const err = new Error(message);
+    err.name = name;
+    return err;
+}
+
+// Wait ms milliseconds, rejecting with the signal's reason as soon as it is aborted
+function sleep(ms, signal = null) {
+    return new Promise((resolve, reject) => {
+        if (signal && signal.aborted) {
+            reject(signal.reason);
+            return;
+        }
+        const onAbort = () => {
+            clearTimeout(timer);
+            reject(signal.reason);
+        };
+        const timer = setTimeout(() => {
+            if (signal) {
+                signal.removeEventListener('abort', onAbort);
+            }
+            resolve();
+        }, ms);
+        if (signal) {
+            signal.addEventListener('abort', onAbort, { once: true });
+        }
+    });
+}
+
+// concurrency: number of workers; jobTimeout: seconds before a job is aborted (0 for no limit);
+// beforeJob: awaited before each job is taken, returning false stops the pool (ie. after Ctrl-C)
+function createWorkerPool({ concurrency = 1, jobTimeout = 0, beforeJob = async () => true, onError = null } = {}) {
+    let limit = Math.max(1, concurrency);
+    let queue = [];
+    let work = null;
+    let stopped = false;
+    let completed = 0;
+    let finish = null;
+    const slots = new Set();
+    const running = new Map();
+
+    const reportError = onError || ((err, item) => console.error(`[ERROR] Unexpected error processing ${item}:`, err));
+
+    // Helper function to pick the lowest slot number not held by a worker
+    function freeSlot() {
+        let slot = 0;
+        while (slots.has(slot)) {
+            slot++;
+        }
+        return slot;
+    }
+
+    async function worker(slot) {
+        try {
+            // A worker retires when the concurrency was lowered below the number of workers
+            while (!stopped && queue.length > 0 && slots.size <= limit) {
+                if (!(await beforeJob())) {
+                    stopped = true;
+                    break;
+                }
+                if (stopped || queue.length === 0 || slots.size > limit) {
+                    break;
+                }
+
+                const { item, index } = queue.shift();
+                const controller = new AbortController();
+                const timer = jobTimeout > 0
+                    ? setTimeout(() => controller.abort(abortError('TimeoutError', `Job timed out after ${jobTimeout}s`)), jobTimeout * 1000)
+                    : null;
+                running.set(slot, { item, controller });
+                try {
+                    await work(item, { slot, index, signal: controller.signal });
+                } catch (err) {
+                    reportError(err, item);
+                } finally {
+                    clearTimeout(timer);
+                    running.delete(slot);
+                    completed++;
+                }
+            }
+        } finally {
+            slots.delete(slot);
+            if (slots.size === 0 && finish) {
+                finish();
+            }
+        }
+    }
+
+    // Helper function to start workers up to the concurrency limit while there are more queued jobs than idle workers
+    function spawn() {
+        while (work && !stopped && slots.size < limit && queue.length > slots.size - running.size) {
+            const slot = freeSlot();
+            slots.add(slot);
+            worker(slot);
+        }
+    }
+
+    const pool = {
+        // Run fn(item, { slot, index, signal }) for every item. Resolves once the queue is empty (or the pool
+        // was stopped) and every running job has finished, with the items that were never started.
+        run(items, fn) {
+            queue = items.map((item, index) => ({ item, index }));
+            work = fn;
+            stopped = false;
+            completed = 0;
+            return new Promise(resolve => {
+                finish = () => {
+                    finish = null;
+                    work = null;
+                    resolve({ completed, notStarted: queue.map(entry => entry.item) });
+                };
+                spawn();
+                if (slots.size === 0) {
+                    finish();
+                }
+            });
+        },
+
+        // Change the number of workers; extra workers retire after their current job
+        setConcurrency(n) {
+            limit = Math.max(1, n);
+            spawn();
+        },
+
+        // Take no new jobs; running jobs finish normally
+        stop() {
+            stopped = true;
+        },
+
+        // Take no new jobs and abort the running ones
+        cancel() {
+            stopped = true;
+            running.forEach(({ controller }) => controller.abort(abortError('AbortError', 'Job was cancelled')));
+        },
+
+        stats() {
+            return { concurrency: limit, active: running.size, queued: queue.length, completed };
+        }
+    };
+
+    return pool;
+}
+
+module.exports = {
+    createWorkerPool,
+    sleep
+};
@@ -0,0 +1,323 @@
+const fs = require('fs');
+const path = require('path');
+const http = require('http');
+const https = require('https');
+const sharp = require('sharp');
+const { parseString } = require('xml2js');
+const { writeDeepZoom, writeIiifTiles } = require('./pyramid');
+const { sleep } = require('./worker_pool');
+
+// Zoomify stores at most 256 tiles per TileGroup folder
+const TILES_PER_GROUP = 256;
+
+// Output formats: stitched images, or a tiled pyramid built from the cached tiles of every level.
+// maxDimension is the largest width or height the format can hold.
+const OUTPUT_FORMATS = {
+    jpeg:    { extension: '.jpg', maxDimension: 65535 },
+    tiff:    { extension: '.tif' },
+    bigtiff: { extension: '.tif' },
+    png:     { extension: '.png' },
+    webp:    { extension: '.webp', maxDimension: 16383 },
+    dzi:     { extension: '.dzi', pyramid: true },
+    iiif:    { extension: '', pyramid: true }   // A folder holding info.json and the tiles
+};
+
+// Classic TIFF offsets are 32 bit; images that could get near 4GB are written as BigTIFF instead
+const TIFF_SIZE_LIMIT = 0xffffffff * 0.9;
+
+// Helper function to pick the http/https module for a URL
+function clientFor(url) {
+    return url.startsWith('https:') ? https : http;
+}
+
+// Helper function to download a URL into a Buffer, following up to 5 redirects.
+// With a limiter (see rate_limiter.js) every request waits its turn with it. Once signal (an AbortSignal)
+// is aborted the wait or the request ends and the promise rejects with the signal's reason.
+async function fetchBuffer(url, { signal = null, limiter = null } = {}, redirectsLeft = 5) {
+    if (limiter) {
+        await limiter.acquire(url, signal);
+    }
+    return new Promise((resolve, reject) => {
+        const req = clientFor(url).get(url, signal ? { signal } : {}, (res) => {
+            if (limiter) {
+                limiter.report(url, res.statusCode, res.headers);
+            }
+            if ([301, 302, 303, 307, 308].includes(res.statusCode) && res.headers.location && redirectsLeft > 0) {
+                res.resume();
+                resolve(fetchBuffer(new URL(res.headers.location, url).toString(), { signal, limiter }, redirectsLeft - 1));
+                return;
+            }
+            if (res.statusCode !== 200) {
+                res.resume();
+                const err = new Error(`Request for ${url} returned status ${res.statusCode}`);
+                err.statusCode = res.statusCode;
+                reject(err);
+                return;
+            }
+
+            const chunks = [];
+            res.on('data', chunk => chunks.push(chunk));
+            res.on('end', () => resolve(Buffer.concat(chunks)));
+            res.on('error', reject);
+        });
+        req.on('error', err => reject(signal && signal.aborted ? signal.reason : err));
+        req.setTimeout(30000, () => req.destroy(new Error(`Request for ${url} timed out`)));
+    });
+}
+
+// Parse the IMAGE_PROPERTIES element of an ImageProperties.xml document
+function parseImageProperties(xmlContent) {
+    return new Promise((resolve, reject) => {
+        parseString(xmlContent, (err, result) => {
+            if (err) {
+                reject(new Error(`Failed to parse ImageProperties.xml: ${err.message}`));
+                return;
+            }
+
+            const attrs = result && result.IMAGE_PROPERTIES && result.IMAGE_PROPERTIES.$;
+            if (!attrs) {
+                reject(new Error('Invalid XML content - missing IMAGE_PROPERTIES tag'));
+                return;
+            }
+
+            const properties = {
+                width: parseInt(attrs.WIDTH),
+                height: parseInt(attrs.HEIGHT),
+                tileSize: parseInt(attrs.TILESIZE) || 256,
+                numTiles: parseInt(attrs.NUMTILES) || null
+            };
+
+            if (!properties.width || !properties.height) {
+                reject(new Error('Invalid XML content - missing required attributes'));
+                return;
+            }
+
+            resolve(properties);
+        });
+    });
+}
+
+// Helper function to list the levels of a pyramid whose level sizes are halved with round (Math.ceil or Math.floor)
+function pyramidLevels(width, height, tileSize, round) {
+    const levels = [];
+    let levelWidth = width;
+    let levelHeight = height;
+
+    while (true) {
+        levels.unshift({ width: levelWidth, height: levelHeight });
+        if (levelWidth <= tileSize && levelHeight <= tileSize) {
+            break;
+        }
+        levelWidth = round(levelWidth / 2);
+        levelHeight = round(levelHeight / 2);
+    }
+    return levels;
+}
+
+// Compute the zoom levels of a Zoomify pyramid, smallest level first.
+// Each level halves the one above it, rounding up (as the Zoomify converter, libvips and OpenLayers do),
+// until the whole image fits in a single tile; a 1025 pixel wide image has levels of 1025, 513, 257 and 129.
+// Some older converters rounded down instead, so when NUMTILES only matches that layout it is used; when
+// it matches neither, the tile numbering cannot be trusted and this throws.
+function computeTileLayout({ width, height, tileSize, numTiles = null }) {
+    let levels = pyramidLevels(width, height, tileSize, Math.ceil);
+    if (numTiles && countTiles(levels, tileSize) !== numTiles) {
+        const truncated = pyramidLevels(width, height, tileSize, Math.floor);
+        if (countTiles(truncated, tileSize) !== numTiles) {
+            throw new Error(`NUMTILES in ImageProperties.xml is ${numTiles}, but a ${width}x${height} pyramid of ${tileSize} pixel tiles ` +
+                `has ${countTiles(levels, tileSize)} tiles`);
+        }
+        levels = truncated;
+    }
+
+    // Tiles are numbered across all levels (smallest first, row by row) to find their TileGroup
+    let tileOffset = 0;
+    levels.forEach((level, z) => {
+        level.z = z;
+        level.cols = Math.ceil(level.width / tileSize);
+        level.rows = Math.ceil(level.height / tileSize);
+        level.tileOffset = tileOffset;
+        tileOffset += level.cols * level.rows;
+    });
+
+    return { tileSize, levels, totalTiles: tileOffset };
+}
+
+// Helper function to count the tiles of a list of levels
+function countTiles(levels, tileSize) {
+    return levels.reduce((sum, level) => sum + Math.ceil(level.width / tileSize) * Math.ceil(level.height / tileSize), 0);
+}
+
+// List the tiles of one level with their TileGroup path and pixel position
+function listLevelTiles(layout, level) {
+    const tiles = [];
+    for (let y = 0; y < level.rows; y++) {
+        for (let x = 0; x < level.cols; x++) {
+            const index = level.tileOffset + y * level.cols + x;
+            tiles.push({
+                x,
+                y,
+                z: level.z,
+                group: Math.floor(index / TILES_PER_GROUP),
+                left: x * layout.tileSize,
+                top: y * layout.tileSize
+            });
+        }
+    }
+    return tiles;
+}
+
+// Helper to sanitize filenames: the Zoomify folder name with anything unsafe replaced
+function sanitizeFilename(url, zoomifyBaseUrl) {
+    let base = url.replace(zoomifyBaseUrl, '');
+    base = base.replace('/ImageProperties.xml', '');
+    return base.replace(/[^a-z0-9_\-]/gi, '_');
+}
+
+// Helper function to build the URL of a tile relative to the ImageProperties.xml URL
+function tileUrl(baseUrl, tile) {
+    return `${baseUrl}/TileGroup${tile.group}/${tile.z}-${tile.x}-${tile.y}.jpg`;
+}
+
+// Helper function to download one tile with retries, reusing the cached copy when present; signal and
+// limiter are passed on to fetchBuffer, and an aborted signal also ends the wait between attempts
+async function downloadTile(baseUrl, tile, cacheDir, retries, { signal = null, limiter = null } = {}) {
+    const cachePath = path.join(cacheDir, `${tile.z}-${tile.x}-${tile.y}.jpg`);
+    if (fs.existsSync(cachePath) && fs.statSync(cachePath).size > 0) {
+        return cachePath;
+    }
+
+    for (let attempt = 0; ; attempt++) {
+        try {
+            const data = await fetchBuffer(tileUrl(baseUrl, tile), { signal, limiter });
+            fs.writeFileSync(cachePath, data);
+            return cachePath;
+        } catch (err) {
+            if (signal && signal.aborted) {
+                throw signal.reason;
+            }
+            if (attempt >= retries) {
+                throw new Error(`Tile ${tile.z}-${tile.x}-${tile.y} failed after ${retries + 1} attempts: ${err.message}`, { cause: err });
+            }
+            // Back off a little longer after each failed attempt
+            await sleep(1000 * (attempt + 1), signal);
+        }
+    }
+}
+
+// Download every tile of a level into cacheDir using a fixed number of workers, each request waiting for
+// options.limiter (a rate limiter) when given. Once options.signal is aborted no further tiles are started
+// and the download fails with its reason.
+async function downloadTiles(baseUrl, tiles, cacheDir, options = {}) {
+    const { concurrency = 8, retries = 3, onProgress, signal = null, limiter = null } = options;
+    fs.mkdirSync(cacheDir, { recursive: true });
+
+    let next = 0;
+    let completed = 0;
+    const worker = async () => {
+        while (next < tiles.length) {
+            if (signal && signal.aborted) {
+                throw signal.reason;
+            }
+            const tile = tiles[next++];
+            tile.path = await downloadTile(baseUrl, tile, cacheDir, retries, { signal, limiter });
+            completed++;
+            if (onProgress) {
+                onProgress(completed, tiles.length);
+            }
+        }
+    };
+
+    await Promise.all(Array(Math.min(concurrency, tiles.length)).fill(0).map(worker));
+    return tiles;
+}
+
+// Helper function to apply the encoder settings of an output format
+function encode(image, format, width, height) {
+    switch (format) {
+        case 'tiff':
+        case 'bigtiff':
+            return image.tiff({
+                compression: 'lzw',
+                predictor: 'horizontal',
+                tile: true,
+                bigtiff: format === 'bigtiff' || width * height * 3 > TIFF_SIZE_LIMIT
+            });
+        case 'png':
+            return image.png({ compressionLevel: 6 });
+        case 'webp':
+            return image.webp({ lossless: true });
+        default:
+            return image.jpeg({ quality: 95 });
+    }
+}
+
+// Throw before any tiles are downloaded if the image is too large for the chosen format
+function checkFormatLimits(format, { width, height }) {
+    const { maxDimension } = OUTPUT_FORMATS[format];
+    if (maxDimension && (width > maxDimension || height > maxDimension)) {
+        throw new Error(`Image is ${width}x${height}, too large for ${format} (at most ${maxDimension} pixels a side); use tiff, bigtiff, png or a pyramid format`);
+    }
+}
+
+// Stitch downloaded tiles into one image of the given size
+async function stitchTiles(tiles, width, height, outputPath, format = 'jpeg') {
+    const image = sharp({
+        create: { width, height, channels: 3, background: { r: 255, g: 255, b: 255 } },
+        limitInputPixels: false
+    })
+        .composite(tiles.map(tile => ({ input: tile.path, left: tile.left, top: tile.top })));
+    await encode(image, format, width, height).toFile(outputPath);
+}
+
+// Download and stitch the full resolution level of a Zoomify image.
+// With format 'dzi' or 'iiif' every level is downloaded and written out as a tiled pyramid instead;
+// outputPath is then the .dzi file or the IIIF folder, and options.iiifId the URL it is served from.
+async function downloadZoomifyImage(imagePropertiesUrl, outputPath, options = {}) {
+    const { cacheDir, format = 'jpeg' } = options;
+    if (!cacheDir) {
+        throw new Error('A tile cache directory is required');
+    }
+    if (!OUTPUT_FORMATS[format]) {
+        throw new Error(`Unknown output format "${format}"`);
+    }
+
+    const baseUrl = imagePropertiesUrl.replace(/\/ImageProperties\.xml$/i, '');
+    const xml = await fetchBuffer(imagePropertiesUrl, { signal: options.signal, limiter: options.limiter });
+    const properties = await parseImageProperties(xml.toString('utf-8'));
+    const layout = computeTileLayout(properties);
+
+    checkFormatLimits(format, properties);
+
+    if (OUTPUT_FORMATS[format].pyramid) {
+        const tiles = [].concat(...layout.levels.map(level => listLevelTiles(layout, level)));
+        await downloadTiles(baseUrl, tiles, cacheDir, options);
+        const pyramid = format === 'dzi'
+            ? await writeDeepZoom(layout, cacheDir, outputPath)
+            : await writeIiifTiles(layout, cacheDir, outputPath, options.iiifId);
+        return { ...properties, tileCount: tiles.length, outputPath: pyramid.outputPath, pyramid: true };
+    }
+
+    const level = layout.levels[layout.levels.length - 1];
+    const tiles = listLevelTiles(layout, level);
+    await downloadTiles(baseUrl, tiles, cacheDir, options);
+    if (options.signal && options.signal.aborted) {
+        throw options.signal.reason;
+    }
+    await stitchTiles(tiles, properties.width, properties.height, outputPath, format);
+
+    return { ...properties, tileCount: tiles.length, outputPath };
+}
+
+module.exports = {
+    OUTPUT_FORMATS,
+    fetchBuffer,
+    parseImageProperties,
+    computeTileLayout,
+    listLevelTiles,
+    tileUrl,
+    sanitizeFilename,
+    downloadTiles,
+    stitchTiles,
+    downloadZoomifyImage
+};
@@ -0,0 +1,90 @@
+const cheerio = require('cheerio');
+const { fetchBuffer } = require('./zoomify_downloader');
+
+// Text of the comment that precedes the Zoomify modal script on product pages
+const MODAL_COMMENT = 'OUT ZOOMIFY MODAL';
+
+// Helper function to find the first comment containing text, in document order
+function findComment(node, text) {
+    for (const child of node.children || []) {
+        if (child.type === 'comment' && child.data.includes(text)) {
+            return child;
+        }
+        const found = findComment(child, text);
+        if (found) {
+            return found;
+        }
+    }
+    return null;
+}
+
+// Find the data-zoomlink ID in product page HTML. Mirrors the browser path in extract_zoomify.js:
+// the first text/javascript utf-8 script after the modal comment, up to the first dash.
+function findZoomlinkId(html) {
+    const $ = cheerio.load(html);
+
+    const modalComment = findComment($.root()[0], MODAL_COMMENT);
+    if (!modalComment) {
+        throw new Error('Zoomify modal comment not found');
+    }
+
+    // Get the next script element after the comment
+    let currentNode = modalComment.next;
+    let scriptContent = '';
+    while (currentNode) {
+        if (currentNode.type === 'script' &&
+            currentNode.attribs.type === 'text/javascript' &&
+            currentNode.attribs.charset === 'utf-8') {
+            scriptContent = currentNode.children.map(child => child.data || '').join('');
+            break;
+        }
+        currentNode = currentNode.next;
+    }
+
+    if (!scriptContent) {
+        throw new Error('No matching script element found after modal comment');
+    }
+
+    // Look for the first data-zoomlink occurrence
+    const match = scriptContent.match(/data-zoomlink="([^-]+)-/);
+    if (!match) {
+        throw new Error('No data-zoomlink pattern found in script content');
+    }
+
+    return match[1];  // Return just the part before the dash
+}
+
+// Build the ImageProperties.xml URL of a product page from its zoomlink ID: the part of the product's
+// map ID before the first dash is replaced with the zoomlink ID, ie. /P/AntiqueMap/X-name -> ID-name
+function imagePropertiesUrlFor(productUrl, zoomlinkId, zoomifyBaseUrl) {
+    const antiqueMapIndex = productUrl.indexOf('/P/AntiqueMap/');
+    if (antiqueMapIndex === -1) {
+        throw new Error('Invalid URL format - missing /P/AntiqueMap/');
+    }
+    const mapId = productUrl.substring(antiqueMapIndex + 14); // Skip '/P/AntiqueMap/'
+    const dashIndex = mapId.indexOf('-');
+    if (dashIndex === -1) {
+        throw new Error('Invalid URL format - missing dash (-) in map ID');
+    }
+
+    // Keep everything after the dash, replace only the part before it
+    const mapIdSuffix = mapId.substring(dashIndex);
+    return `${zoomifyBaseUrl}${zoomlinkId}${mapIdSuffix}/ImageProperties.xml`;
+}
+
+// Fetch a product page's HTML over plain HTTP; request holds the signal and rate limiter for fetchBuffer
+async function fetchProductPage(productUrl, request = {}) {
+    return (await fetchBuffer(productUrl, request)).toString('utf-8');
+}
+
+// Fetch a product page over plain HTTP and read its zoomlink ID without a browser
+async function resolveZoomlinkIdByFetch(productUrl, request = {}) {
+    return findZoomlinkId(await fetchProductPage(productUrl, request));
+}
+
+module.exports = {
+    findZoomlinkId,
+    imagePropertiesUrlFor,
+    fetchProductPage,
+    resolveZoomlinkIdByFetch
+};